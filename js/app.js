@@ -1,70 +1,266 @@
-// 현재 활성 데이터 (기본값: data.js의 목데이터)
-let activeThreats = THREATS;
+// 현재 활성 데이터 (기본값: data.js의 목데이터 — 본문의 출처/날짜/태그 줄은 필드로 분리)
+let activeThreats = THREATS.map(withArticleMeta);
 let activeDetections = DETECTIONS;
+let activeLogs = null; // data.xlsx · 로그 파일의 원본 로그 행 — 매칭 룰 변경 시 재계산에 사용
 
 document.addEventListener("DOMContentLoaded", () => {
+  setupDateRange();
   renderThreats();
   renderDetections();
+  setupChatHistory(); // 오늘 대화 복원 — 인사말보다 먼저
   setupChatbot();
   setupSidebar();
   setupRefreshButton();
-  autoLoadExcel();
+  setupThreatControls();
+  setupRulesEditor();
+  setupImportReport();
+  setupLogTable();
+  setupTimeline();
+  setupTrends();
+  setupTriage();
+  setupBriefing();
+  setupSuppressions();
+  setupLogDrop();
+  initRules().finally(autoLoadExcel);
 });
 
-// ─── 자동 로드 (data.xlsx) ───────────────────────────────────────────
+// ─── 자동 로드 (data.xlsx + logs.json의 로그 파일) ──────────────────
 async function autoLoadExcel() {
   const status = document.getElementById("excel-status");
   status.textContent = "⏳ data.xlsx 로딩 중...";
   status.className = "excel-status loading";
 
+  const { count: assetCount, report: assetReport } = await loadAssetInventory();
+  setImportReports([assetReport]);
+
+  let workbook = null;
+  let workbookName = "data.xlsx";
   try {
-    const { threats, detections } = await parseExcelFromUrl("./data.xlsx");
+    workbook = await parseExcelFromUrl("./data.xlsx");
+  } catch (err) {
+    console.log("data.xlsx 없음:", err.message);
+  }
+  // 일별 파일(data_YYYYMMDD.xlsx) — data.xlsx가 없으면 마지막 날짜 파일을 현재 데이터로 (trends.js)
+  await loadTrends(await listTrendFiles(), workbook ? workbook.threats : [], activeRules);
+  const latest = latestTrendWorkbook();
+  if (!workbook && latest) {
+    workbook = latest.workbook;
+    workbookName = latest.file;
+  }
+  const files = await loadLogManifest();
+  const imported = files.filter((f) => !f.error);
+  setImportReports([workbook && workbook.report, files.length && buildLogFileReport("logs.json", files), assetReport]);
 
-    if (threats.length === 0 && detections.length === 0) {
-      status.textContent = "⚠️ data.xlsx에서 데이터를 찾을 수 없습니다. 시트명을 확인해주세요.";
-      status.className = "excel-status error";
-      return;
-    }
+  if (!workbook && imported.length === 0) {
+    activeDetections = filterMockDetections(DETECTIONS);
+    renderDetections();
+    status.textContent = "목데이터 표시 중 (data.xlsx 없음)";
+    status.className = "excel-status";
+    return;
+  }
 
-    activeThreats = threats.length > 0 ? threats : THREATS;
-    activeDetections = detections.length > 0 ? detections : DETECTIONS;
+  const threats = workbook ? workbook.threats : [];
+  if (threats.length === 0 && imported.length === 0) {
+    status.textContent = "⚠️ data.xlsx에서 데이터를 찾을 수 없습니다. 시트명을 확인해주세요.";
+    status.className = "excel-status error";
+    return;
+  }
 
-    renderThreats();
-    renderDetections();
+  // 로그 파일만 있으면 목데이터 위협동향과 연계
+  activeThreats = threats.length > 0 ? threats : THREATS.map(withArticleMeta);
+  activeLogs = mergeImportedLogs(workbook ? workbook.logs : emptyLogs(), imported);
+  let detections;
+  if (imported.length > 0 || isRangeActive()) {
+    detections = correlateActiveLogs();
+  } else {
+    detections = workbook.detections;
+    activeSuppressed = workbook.suppressed;
+  }
+  activeDetections = detections.length > 0 || imported.length > 0 || isRangeActive() ? detections : DETECTIONS;
+
+  // 직전 로드와 비교 — 기간 필터와 무관하게 전체 기간 기준 (load-diff.js)
+  const sources = [workbook && workbookName, imported.length && `로그 파일 ${imported.length}개`].filter(Boolean).join(" + ");
+  recordLoad(sources, activeThreats, isRangeActive() ? correlateLogs(activeThreats, splitSuppressed(activeLogs).logs, activeRules) : activeDetections);
+
+  renderThreats();
+  renderDetections();
 
-    status.textContent = `✅ data.xlsx — 뉴스 ${activeThreats.length}건 / 탐지 ${activeDetections.length}건 로드 완료`;
-    status.className = "excel-status success";
+  status.textContent = `✅ ${sources} — 뉴스 ${activeThreats.length}건 / 탐지 ${activeDetections.length}건 로드 완료` +
+    (assetCount ? ` (assets.xlsx 자산 ${assetCount}건 연계)` : "");
+  status.className = "excel-status success";
 
+  appendChatMessage(
+    "bot",
+    html`📂 <b>${sources}</b> 데이터가 반영되었습니다.<br>• 외부 위협동향: ${activeThreats.length}건<br>• 탐지현황: ${activeDetections.length}건${activeSuppressed.length > 0 && html`<br>• 억제 규칙으로 제외: ${activeSuppressed.length}행`}${files.length > 0 && html`<br><br>📥 로그 파일<br>${formatImportedFiles(files)}`}${workbook && formatColumnWarnings(workbook.columns)}${formatValidationSummary()}${loadDiff.previous && html`<br><br>${formatLoadDiff()}`}`,
+    false // 로드 · 새로고침마다 나오는 상태 알림이라 대화 기록에 남기지 않음
+  );
+
+  const spikes = latestTrendSpikes();
+  if (spikes.length > 0) {
     appendChatMessage(
       "bot",
-      `📂 <b>data.xlsx</b> 데이터가 반영되었습니다.<br>• 외부 위협동향: ${activeThreats.length}건<br>• 탐지현황: ${activeDetections.length}건`
+      html`📊 <b>${spikes[0].day}</b> 급증 ${spikes.length}건 (직전 ${TREND_BASELINE_DAYS}일 평균 대비)<br>${joinHtml(spikes.slice(0, 5).map((s) => html`• ${formatSpike(s)}`), html`<br>`)}${spikes.length > 5 && html`<br>… 외 ${spikes.length - 5}건 — 상단 <b>📊 추세</b>에서 확인하세요`}`,
+      false
     );
-  } catch (err) {
-    status.textContent = "목데이터 표시 중 (data.xlsx 없음)";
-    status.className = "excel-status";
-    console.log("data.xlsx 없음, 목데이터 사용:", err.message);
   }
 }
 
+// 가져온 로그 파일 목록 — "• spam.csv → 스팸스나이퍼 120행 (CSV)"
+function formatImportedFiles(files) {
+  const lines = files.map((f) => (f.error
+    ? html`• ${f.file}: ⚠️ ${f.error}`
+    : html`• ${f.file} → ${LOG_SOURCES[f.source].label} ${f.rows.length}행 (${f.format.toUpperCase()})`));
+  return joinHtml(lines, html`<br>`);
+}
+
+// ─── 로그 파일 끌어다 놓기 ─────────────────────────────────────────
+function setupLogDrop() {
+  const hasFiles = (e) => [...(e.dataTransfer?.types || [])].includes("Files");
+  document.addEventListener("dragover", (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.add("drop-active");
+  });
+  document.addEventListener("dragleave", (e) => {
+    if (!e.relatedTarget) document.body.classList.remove("drop-active");
+  });
+  document.addEventListener("drop", (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.remove("drop-active");
+    importLogFiles([...e.dataTransfer.files]);
+  });
+}
+
+// 파일을 읽어 현재 로그에 합치고 탐지현황 재계산 → 읽은 파일 결과 목록
+async function importLogFiles(fileList) {
+  const files = await Promise.all(fileList.map((f) => readLogFile(f)));
+  const imported = files.filter((f) => !f.error);
+  setImportReports([...importReports, buildLogFileReport("끌어다 놓은 파일", files)]);
+
+  if (imported.length > 0) {
+    activeLogs = mergeImportedLogs(activeLogs || emptyLogs(), imported);
+    recorrelate();
+  }
+  appendChatMessage(
+    "bot",
+    html`📥 로그 파일 ${imported.length}개를 가져왔습니다. 탐지현황: ${activeDetections.length}건<br>${formatImportedFiles(files)}${formatValidationSummary()}`
+  );
+  return imported;
+}
+
+// 로그 시트 헤더 매핑 결과 중 찾지 못한 컬럼 / 헤더 없이 열 순서로 읽은 시트 안내
+function formatColumnWarnings(columns) {
+  const lines = Object.values(columns)
+    .map((c) => {
+      if (c.positional) return html`• ${c.sheet}: 헤더를 인식하지 못해 기본 열 순서로 읽었습니다`;
+      if (c.missing.length) return html`• ${c.sheet}: 찾지 못한 컬럼 — ${c.missing.join(", ")}`;
+      return "";
+    })
+    .filter(Boolean);
+  return lines.length ? html`<br><br>⚠️ 컬럼 확인 필요<br>${joinHtml(lines, html`<br>`)}` : "";
+}
+
+// 가져오기 검증 결과 한 줄 요약 (문제가 없으면 생략)
+function formatValidationSummary() {
+  const { errors, warnings } = countIssues(importReports);
+  if (errors + warnings === 0) return "";
+  return html`<br><br>📋 가져오기 검증: 오류 ${errors}건 / 경고 ${warnings}건 — 상단 <b>검증 리포트</b>에서 확인하세요`;
+}
+
+// 같은 폴더의 assets.xlsx로 자산 기준정보(ASSETS) 교체 — 없으면 목데이터 유지
+// → { count: 반영한 자산 수, report: 검증 리포트 (파일이 없으면 null) }
+async function loadAssetInventory() {
+  try {
+    const response = await fetch("./assets.xlsx");
+    if (!response.ok) return { count: 0, report: null };
+    const data = new Uint8Array(await response.arrayBuffer());
+    const report = validateAssetsData(data);
+    const imported = parseAssetsData(data);
+    if (imported.length === 0) return { count: 0, report };
+    ASSETS.length = 0;
+    imported.forEach((a) => ASSETS.push(a));
+    return { count: imported.length, report };
+  } catch (_) {
+    return { count: 0, report: null };
+  }
+}
+
+// 기간 안의 로드된 로그에서 억제 규칙에 걸린 행을 빼고 상관분석 (빠진 행 → activeSuppressed)
+function correlateActiveLogs() {
+  const { logs, suppressed } = splitSuppressed(filterLogsByRange(activeLogs));
+  activeSuppressed = suppressed;
+  return correlateLogs(activeThreats, logs, activeRules);
+}
+
+// 매칭 룰 · 기간 · 억제 규칙 변경 후 로드된 로그로 탐지현황 재계산 (목데이터면 false)
+function recorrelate() {
+  if (!activeLogs) return false;
+  activeDetections = correlateActiveLogs();
+  renderThreats(); // 우선순위 · 기간 필터가 탐지에 따라 바뀜
+  renderDetections();
+  return true;
+}
+
 // ─── 새로고침 버튼 ────────────────────────────────────────────────────
 function setupRefreshButton() {
   document.getElementById("btn-refresh").addEventListener("click", autoLoadExcel);
 }
 
+// ─── 외부 위협동향 정렬·필터 ───────────────────────────────────────
+function setupThreatControls() {
+  document.getElementById("threat-sort").addEventListener("change", renderThreats);
+  document.getElementById("threat-outlet").addEventListener("change", renderThreats);
+}
+
+// 출처 선택 목록을 현재 기사 기준으로 갱신 (선택값 유지)
+function updateOutletOptions() {
+  const select = document.getElementById("threat-outlet");
+  const current = select.value;
+  const outlets = [...new Set(activeThreats.map((t) => t.source).filter(Boolean))].sort();
+  setHtml(select, html`<option value="">전체 출처</option>${outlets.map((o) => html`<option value="${o}">${o}</option>`)}`);
+  select.value = outlets.includes(current) ? current : "";
+}
+
+function getVisibleThreats(priorities) {
+  const sort = document.getElementById("threat-sort").value;
+  const outlet = document.getElementById("threat-outlet").value;
+  const list = activeThreats.filter((t) => (!outlet || t.source === outlet) && threatInRange(t, activeDetections));
+  if (sort === "sheet") return list;
+  const byDate = (a, b) => {
+    // 날짜 없는 기사는 항상 뒤로
+    if (!a.date || !b.date) return (a.date ? -1 : 0) + (b.date ? 1 : 0);
+    return sort === "asc" ? a.date.localeCompare(b.date) : b.date.localeCompare(a.date);
+  };
+  // 우선순위순 — 같은 점수면 최신순
+  if (sort === "priority") {
+    return [...list].sort((a, b) => priorities.get(b.id).score - priorities.get(a.id).score || (b.date || "").localeCompare(a.date || ""));
+  }
+  return [...list].sort(byDate);
+}
+
+function formatThreatMeta(t) {
+  return [t.source, t.date].filter(Boolean).join(" · ");
+}
+
 // ─── 외부 위협동향 렌더링 ───────────────────────────────────────────
 function renderThreats() {
   const list = document.getElementById("threat-list");
-  if (activeThreats.length === 0) {
-    list.innerHTML = `<div class="empty-msg">데이터가 없습니다.</div>`;
+  updateOutletOptions();
+  const priorities = threatPriorities(activeThreats, activeDetections, ASSETS);
+  const threats = getVisibleThreats(priorities);
+  if (threats.length === 0) {
+    setHtml(list, html`<div class="empty-msg">데이터가 없습니다.</div>`);
     return;
   }
-  list.innerHTML = activeThreats.map(
-    (t) => `
-    <div class="list-item threat-item" data-id="${t.id}" title="${t.source} · ${t.date}">
+  setHtml(list, threats.map((t) => {
+    const meta = formatThreatMeta(t);
+    return html`
+    <div class="list-item threat-item" data-id="${t.id}" title="${meta}">
       <span class="item-dot"></span>
-      <span class="item-text">${t.title} <span class="item-source">(${t.source})</span></span>
-    </div>`
-  ).join("");
+      <span class="item-text">${formatPriorityBadge(priorities.get(t.id))} ${t.title}${meta && html` <span class="item-source">(${meta})</span>`}</span>
+    </div>`;
+  }));
 
   list.querySelectorAll(".threat-item").forEach((el) => {
     el.addEventListener("click", () => {
@@ -72,6 +268,10 @@ function renderThreats() {
       el.classList.add("active");
       const t = activeThreats.find((x) => x.id === +el.dataset.id);
       appendChatMessage("bot", formatNewsMessage(t));
+      const cross = formatCrossSourceMessage(t);
+      if (cross) appendChatMessage("bot", cross);
+      const timeline = formatThreatTimeline(t, activeDetections);
+      if (timeline) appendChatMessage("bot", timeline);
       highlightMatchedDetections(t.id);
     });
   });
@@ -80,32 +280,50 @@ function renderThreats() {
 // ─── 탐지현황 렌더링 ────────────────────────────────────────────────
 function renderDetections() {
   const list = document.getElementById("detection-list");
-  if (activeDetections.length === 0) {
-    list.innerHTML = `<div class="empty-msg">데이터가 없습니다.</div>`;
+  updateSuppressedToggle();
+  const suppressed = showSuppressed ? suppressedGroups() : [];
+  if (activeDetections.length === 0 && suppressed.length === 0) {
+    setHtml(list, html`<div class="empty-msg">${isRangeActive() ? `${formatDateRange()}에 탐지가 없습니다.` : "데이터가 없습니다."}</div>`);
     return;
   }
-  list.innerHTML = activeDetections.map(
-    (d) => `
+  setHtml(list, activeDetections.map((d) => {
+    const assetCount = findAffectedAssets(d, ASSETS).length;
+    return html`
     <div class="list-item detection-item" data-id="${d.id}">
       <span class="item-dot ${getTypeClass(d.type)}"></span>
-      <span class="item-text">${d.label}</span>
-    </div>`
-  ).join("");
+      <span class="item-text">${d.label}${d.matchType === "IOC" && html` <span class="ioc-badge">IOC</span>`}${formatScoreBadge(d)}${assetCount > 0 && html` <span class="item-assets">자산 ${assetCount}</span>`}${formatDiffBadge(d, activeThreats)}${formatTriageBadge(d)}</span>
+    </div>`;
+  }).concat(goneDetections().map((g) => html`
+    <div class="list-item detection-gone" title="직전 로드에는 있었으나 이번 로드에서 사라진 탐지">
+      <span class="item-dot ${getTypeClass(g.type)}"></span>
+      <span class="item-text">${g.label} <span class="diff-badge diff-gone">사라짐</span></span>
+    </div>`)).concat(suppressed.map((g, i) => html`
+    <div class="list-item detection-suppressed" data-suppressed="${i}" title="억제 규칙으로 탐지에서 빠진 로그 — 클릭하면 원본 로그">
+      <span class="item-dot ${getTypeClass(g.type)}"></span>
+      <span class="item-text">${g.label}</span>
+    </div>`)));
+
+  list.querySelectorAll(".detection-suppressed").forEach((el) => {
+    el.addEventListener("click", () => openLogTable(suppressed[+el.dataset.suppressed]));
+  });
 
   list.querySelectorAll(".detection-item").forEach((el) => {
-    el.addEventListener("click", () => {
-      clearActive(".detection-item");
-      el.classList.add("active");
-      const d = activeDetections.find((x) => x.id === +el.dataset.id);
-      appendChatMessage("bot", formatDetectionMessage(d));
-    });
+    el.addEventListener("click", () => selectDetection(activeDetections.find((x) => x.id === +el.dataset.id)));
   });
 }
 
+// 탐지현황 항목 클릭과 같음 — 항목 강조 + 이벤트 요약 + 원본 로그
+function selectDetection(d) {
+  clearActive(".detection-item");
+  const el = document.querySelector(`.detection-item[data-id="${d.id}"]`);
+  if (el) el.classList.add("active");
+  appendChatMessage("bot", formatDetectionMessage(d));
+  openLogTable(d);
+}
+
 function getTypeClass(type) {
-  if (type === "메일") return "dot-mail";
-  if (type === "웹방화벽") return "dot-waf";
-  return "dot-ndr";
+  const source = sourceForType(type);
+  return source ? source.dot : "dot-etc";
 }
 
 function highlightMatchedDetections(threatId) {
@@ -117,25 +335,118 @@ function highlightMatchedDetections(threatId) {
 
 // ─── 메시지 포맷 ────────────────────────────────────────────────────
 function formatNewsMessage(t) {
-  const tags = (t.tags || []).map((g) => `<span class="tag">${g}</span>`).join(" ");
-  return `<div class="chat-card">
+  const tags = joinHtml((t.tags || []).map((g) => html`<span class="tag">${g}</span>`), " ");
+  return html`<div class="chat-card">
     <div class="chat-card-title">📰 ${t.title}</div>
-    <div class="chat-card-meta">${t.source} · ${t.date} ${tags}</div>
-    <div class="chat-card-body">${String(t.body || "").replace(/\n/g, "<br>")}</div>
+    <div class="chat-card-meta">${formatThreatMeta(t)} ${tags}</div>
+    <div class="chat-card-body">${nl2br(t.body)}</div>
+    ${formatThreatIOCs(extractIOCs(`${t.title}\n${t.body || ""}`))}
+    ${formatPriorityBreakdown(threatPriority(t, activeDetections, ASSETS))}
+    <button class="btn-action detail-rows-btn" data-threat-report="${t.id}" data-label="${t.title}">📝 보고서 생성</button>
   </div>`;
 }
 
+// 기사에서 추출한 IOC 목록
+function formatThreatIOCs(iocs) {
+  if (countIOCs(iocs) === 0) return "";
+  const rows = Object.entries(iocs)
+    .filter(([, list]) => list.length)
+    .map(([type, list]) => html`<tr><th>${IOC_TYPE_LABELS[type]}</th><td>${joinHtml(list, html`<br>`)}</td></tr>`);
+  return html`<div class="chat-card-section">🧬 추출된 IOC ${countIOCs(iocs)}건</div>
+    <table class="detail-table">${rows}</table>`;
+}
+
+// 소스 간 교차 상관 — 같은 위협에 2개 이상 소스의 탐지가 있을 때 겹치는 IP · 호스트를 시간순으로
+function formatCrossSourceMessage(t) {
+  const sources = [...new Set(activeDetections.filter((d) => d.threatId === t.id).map((d) => d.source))];
+  if (sources.length < 2) return "";
+  const links = crossSourceLinks(t.id, activeDetections, ASSETS);
+  const rows = links.map((link) => html`<tr>
+    <td>${link.kind === "ip" ? "IP" : "호스트"} ${link.value}</td>
+    <td>${joinHtml(link.sightings.map(formatSighting), html`<br>→ `)}</td>
+  </tr>`);
+  return html`<div class="chat-card">
+    <div class="chat-card-title">🔗 소스 간 교차 상관</div>
+    <div class="chat-card-meta">${t.title} — ${sources.join(" · ")}</div>
+    ${links.length
+      ? html`<table class="detail-table asset-hit-table"><tr><th>대상</th><th>소스별 관측 (먼저 본 순)</th></tr>${rows}</table>`
+      : html`<p class="rules-hint">소스 간 겹치는 IP · 호스트가 없습니다.</p>`}
+  </div>`;
+}
+
+// "● 웹방화벽 클라이언트 IP 3건 02-19 23:00 ~ 02-20 01:10"
+function formatSighting(s) {
+  const time = s.first === null ? ""
+    : s.first === s.last ? formatTimestamp(s.first, "short") : `${formatTimestamp(s.first, "short")} ~ ${formatTimestamp(s.last, "short")}`;
+  return html`<span class="item-dot ${getTypeClass(s.type)}"></span> <b>${s.source}</b> ${s.roles.join(", ")}${s.count > 0 && ` ${s.count}건`}${time && html` <small class="item-source">${time}</small>`}`;
+}
+
 function formatDetectionMessage(d) {
+  const triage = triageFor(d);
   const rows = Object.entries(d.detail)
-    .map(([k, v]) => `<tr><th>${k}</th><td>${v}</td></tr>`)
-    .join("");
-  return `<div class="chat-card">
+    .map(([k, v]) => html`<tr><th>${k}</th><td>${v}</td></tr>`);
+  return html`<div class="chat-card">
     <div class="chat-card-title">🔍 이벤트 요약 설명</div>
     <div class="chat-card-meta">${d.label}</div>
     <table class="detail-table">${rows}</table>
+    ${formatMatchReasons(d)}
+    ${formatAffectedAssets(findAffectedAssets(d, ASSETS))}
+    ${formatManagedAssets(findManagedAssets(d, ASSETS))}
+    ${d.rows && d.rows.length > 0 && html`<button class="btn-action detail-rows-btn" data-detection-rows="${d.id}" data-label="${d.label}">📑 원본 로그 ${d.rows.length}행 보기</button>`}
+    <button class="btn-action detail-rows-btn" data-detection-triage="${d.id}" data-label="${d.label}">🗂 분석 상태: ${triage.status}${triage.assignee && ` (${triage.assignee})`}</button>
   </div>`;
 }
 
+function formatScoreBadge(d) {
+  if (d.score === undefined) return "";
+  return html` <span class="score-badge score-${scoreLevelClass(d.score)}" title="매칭 신뢰도">${d.score}</span>`;
+}
+
+function scoreLevelClass(score) {
+  return { 높음: "high", 보통: "mid", 낮음: "low" }[scoreLevel(score)];
+}
+
+// 매칭 근거: 어떤 키워드가 어느 필드에서 몇 행 일치했는지 + 희소도
+function formatMatchReasons(d) {
+  if (!d.matches || d.matches.length === 0) return "";
+  const rows = d.matches
+    .map((m) => html`<tr><td>${LOG_SOURCES[m.source].label}</td><td>${m.type && `${IOC_TYPE_LABELS[m.type]} `}${m.term}</td><td>${m.fieldLabel}</td><td>${m.count}행</td><td>${Math.round(m.rarity * 100)}%</td></tr>`);
+  const heading = d.matchType === "IOC" ? "🧬 IOC 일치 — 신뢰도" : "🎯 매칭 근거 — 신뢰도";
+  return html`<div class="chat-card-section">${heading} <span class="score-badge score-${scoreLevelClass(d.score)}">${d.score}</span> (${scoreLevel(d.score)})</div>
+    <table class="detail-table asset-hit-table">
+      <tr><th>소스</th><th>키워드</th><th>필드</th><th>일치</th><th>희소도</th></tr>
+      ${rows}
+    </table>`;
+}
+
+function formatAffectedAssets(assets) {
+  if (assets.length === 0) return "";
+  const rows = assets
+    .map((a) => {
+      const missing = missingSecuritySW(a);
+      const sw = missing.length
+        ? html`<span class="sw-missing">${missing.join(", ")} 미설치</span>`
+        : "정상";
+      return html`<tr><td>${a.hostname}</td><td>${a.ip}</td><td>${a.manageDept}</td><td>${a.manager}</td><td>${sw}</td></tr>`;
+    });
+  return html`<div class="chat-card-section">🖥 영향 자산 ${assets.length}건</div>
+    <table class="detail-table asset-hit-table">
+      <tr><th>호스트명</th><th>IP</th><th>관리부서</th><th>관리담당자</th><th>보안 SW</th></tr>
+      ${rows}
+    </table>`;
+}
+
+// 메일 수신자가 관리 · 운영하는 자산 — 영향 자산과 구분해 참고로만 표시
+function formatManagedAssets(assets) {
+  if (assets.length === 0) return "";
+  const rows = assets.map((a) => html`<tr><td>${a.hostname}</td><td>${a.ip}</td><td>${a.manageDept}</td><td>${a.manager}${a.operator && a.operator !== a.manager && ` / ${a.operator}`}</td></tr>`);
+  return html`<div class="chat-card-section">👤 수신자 담당 자산 ${assets.length}건 <small class="item-source">(수신자가 관리 · 운영 — 영향 자산 아님)</small></div>
+    <table class="detail-table asset-hit-table">
+      <tr><th>호스트명</th><th>IP</th><th>관리부서</th><th>관리담당자 / 운영자</th></tr>
+      ${rows}
+    </table>`;
+}
+
 // ─── 챗봇 ───────────────────────────────────────────────────────────
 function setupChatbot() {
   const input = document.getElementById("chat-input");
@@ -151,17 +462,45 @@ function setupChatbot() {
     }
   });
   attachBtn.addEventListener("click", () => fileInput.click());
-  fileInput.addEventListener("change", (e) => {
-    if (e.target.files[0]) {
-      appendChatMessage("user", `📎 파일 첨부: ${e.target.files[0].name}`);
-      appendChatMessage("bot", `<b>${e.target.files[0].name}</b> 파일을 수신했습니다.`);
-      fileInput.value = "";
+  // 탐지 카드의 [원본 로그 보기] · [분석 상태] — 그 사이 탐지현황이 다시 계산되었으면 항목을 다시 고르도록 안내
+  // 질의 답변의 [원본 로그]는 답변 당시의 행 묶음 (chat-query.js)
+  document.getElementById("chat-messages").addEventListener("click", (e) => {
+    const queryRows = e.target.closest("[data-chat-rows]");
+    if (queryRows) {
+      if (!openLogTable(chatRowSets.get(queryRows.dataset.chatRows))) appendChatMessage("bot", "이전 대화의 답변입니다. 같은 질문을 다시 입력해 주세요.");
+      return;
+    }
+    // 지표 조회 카드의 자산 · 탐지 버튼 (pivot.js)
+    const assetBtn = e.target.closest("[data-chat-asset]");
+    if (assetBtn) {
+      const asset = ASSETS.find((a) => String(a.id) === assetBtn.dataset.chatAsset);
+      return appendChatMessage("bot", asset ? formatAssetCard(asset) : "자산 기준정보가 다시 로드되었습니다. 지표를 다시 조회해 주세요.");
+    }
+    // 기사 카드의 [보고서 생성] · 보고서 카드의 내려받기 (incident-report.js)
+    const reportBtn = e.target.closest("[data-threat-report], [data-report-xlsx], [data-report-html]");
+    if (reportBtn) return handleReportButton(reportBtn);
+    const btn = e.target.closest("[data-detection-rows], [data-detection-triage], [data-detection-open]");
+    if (!btn) return;
+    const id = +(btn.dataset.detectionRows || btn.dataset.detectionTriage || btn.dataset.detectionOpen);
+    const d = activeDetections.find((x) => x.id === id && x.label === btn.dataset.label);
+    if (d && btn.dataset.detectionTriage) openTriage(d);
+    else if (d && btn.dataset.detectionOpen) selectDetection(d);
+    else if (!openLogTable(d)) appendChatMessage("bot", "탐지현황이 다시 계산되었습니다. 탐지현황에서 항목을 다시 선택해 주세요.");
+  });
+  // 첨부 파일은 종류별로 현재 데이터에 합침 (chat-attach.js) — 여러 개면 순서대로
+  fileInput.addEventListener("change", async (e) => {
+    const files = [...e.target.files];
+    fileInput.value = "";
+    for (const file of files) {
+      appendChatMessage("user", `📎 파일 첨부: ${file.name}`);
+      await ingestAttachment(file);
     }
   });
 
   appendChatMessage(
     "bot",
-    "안녕하세요! 위협탐지 챗봇입니다.<br>• <b>외부 위협동향</b> 항목 클릭 → 뉴스 본문 표시<br>• <b>탐지현황</b> 항목 클릭 → 이벤트 요약 표시<br>• 상단 <b>엑셀 데이터 가져오기</b> 버튼으로 실제 데이터를 반영할 수 있습니다."
+    html`안녕하세요! 위협탐지 챗봇입니다.<br>• <b>외부 위협동향</b> 항목 클릭 → 뉴스 본문 표시<br>• <b>탐지현황</b> 항목 클릭 → 이벤트 요약 표시<br>• 상단 <b>엑셀 데이터 가져오기</b> 버튼으로 실제 데이터를 반영할 수 있습니다.<br>• <b>📎</b> 첨부: 엑셀 · 로그 파일, 기사(.txt · .html · .eml), 자산 목록을 바로 반영합니다.<br>• 대화는 날짜별로 저장되며 <b>💬 대화 기록</b>에서 다시 보고 내보낼 수 있습니다.`,
+    false
   );
 }
 
@@ -176,58 +515,115 @@ function sendMessage() {
 
 function autoReply(text) {
   const lower = text.toLowerCase();
+  const threats = threatsInRange(); // 기간 필터 적용 (date-range.js)
 
-  if (/(피싱|phishing|메일|mail)/.test(lower)) {
-    const list = activeDetections.filter((d) => d.type === "메일");
-    if (list.length === 0) return "현재 탐지된 메일 관련 위협이 없습니다.";
-    return `현재 탐지된 <b>메일 관련 위협</b> ${list.length}건:<br>` + list.map((d) => `• ${d.label}`).join("<br>");
+  if (/(보고서|incident\s*report)/.test(lower)) return answerReportRequest(text, threats);
+
+  if (/(교차|상관|연관|correlation)/.test(lower)) {
+    const items = threats
+      .map((t) => [t, crossSourceLinks(t.id, activeDetections, ASSETS)])
+      .filter(([, links]) => links.length > 0)
+      .map(([t, links]) => html`• ${t.title}: ${joinHtml(links.slice(0, 3).map((l) => `${l.value} (${l.sightings.map((s) => s.source).join(" → ")})`), ", ")}${links.length > 3 && ` 외 ${links.length - 3}건`}`);
+    if (items.length === 0) return "소스 간 겹치는 IP · 호스트가 있는 위협이 없습니다.";
+    return html`<b>소스 간 교차 상관</b> ${items.length}건 — 기사를 클릭하면 상세를 볼 수 있습니다.<br>${joinHtml(items, html`<br>`)}`;
+  }
+  if (/(우선순위|priority|중요한|급한|심각한)/.test(lower)) {
+    const priorities = threatPriorities(threats, activeDetections, ASSETS);
+    const ranked = threats.filter((t) => priorities.get(t.id).parts).sort((a, b) => priorities.get(b.id).score - priorities.get(a.id).score);
+    if (ranked.length === 0) return "탐지가 연계된 위협이 없습니다.";
+    const items = ranked.slice(0, 5).map((t, i) => html`${i + 1}. ${formatPriorityBadge(priorities.get(t.id))} ${t.title}`);
+    return html`<b>우선순위 상위 위협</b> (${ranked.length}건 중 ${items.length}건)<br>${joinHtml(items, html`<br>`)}`;
+  }
+  if (/(타임라인|timeline|시간순|보도\s*(전|이전|이후))/.test(lower)) {
+    const items = threats
+      .map((t) => [t, summarizeTimeline(t, threatEvents(t.id, activeDetections))])
+      .filter(([, s]) => s.first !== null)
+      .map(([t, s]) => html`• ${t.title}: <b>${s.verdict}</b> (${formatTimestamp(s.first, "short")} ~ ${formatTimestamp(s.last, "short")}, ${s.total}건)`);
+    if (items.length === 0) return "시각 정보가 있는 탐지 로그가 없습니다.";
+    return html`<b>보도일 대비 이벤트 시점</b> — 상단 <b>📈 타임라인</b>에서 차트로 볼 수 있습니다.<br>${joinHtml(items, html`<br>`)}`;
   }
-  if (/(웹방화벽|waf|방화벽)/.test(lower)) {
-    const list = activeDetections.filter((d) => d.type.includes("웹방화벽"));
-    if (list.length === 0) return "현재 탐지된 웹방화벽 관련 이벤트가 없습니다.";
-    return `현재 <b>웹방화벽</b> 관련 탐지 ${list.length}건:<br>` + list.map((d) => `• ${d.label}`).join("<br>");
+  if (/(추세|트렌드|trend|급증|spike)/.test(lower)) {
+    if (!trendData || trendData.days.length === 0) return "일별 데이터 파일(data_YYYYMMDD.xlsx)이 없어 추세를 계산할 수 없습니다.";
+    const { days, spikes } = trendData;
+    const recent = spikes.slice(0, 8).map((s) => html`• ${s.day.slice(5)} ${formatSpike(s)}`);
+    return html`<b>일별 추세</b> — ${days[0]} ~ ${days[days.length - 1]} (파일 ${days.length}개)<br>${spikes.length === 0
+      ? "급증한 위협 · 룰이 없습니다."
+      : html`급증 ${spikes.length}건${spikes.length > recent.length && ` 중 최근 ${recent.length}건`}:<br>${joinHtml(recent, html`<br>`)}`}<br>상단 <b>📊 추세</b>에서 일별 그래프를 볼 수 있습니다.`;
   }
-  if (/(ndr|엔디알)/.test(lower)) {
-    const list = activeDetections.filter((d) => d.type.includes("NDR"));
-    if (list.length === 0) return "현재 탐지된 NDR 관련 이벤트가 없습니다.";
-    return `현재 <b>NDR</b> 관련 탐지 ${list.length}건:<br>` + list.map((d) => `• ${d.label}`).join("<br>");
+  if (/(분석\s*상태|분석\s*현황|조사중|오탐|종결|담당자?|triage)/.test(lower)) {
+    const records = activeDetections.map((d) => [d, triageFor(d)]);
+    const counts = TRIAGE_STATUSES.map((s) => `${s.label} ${records.filter(([, r]) => r.status === s.label).length}`).join(" · ");
+    const open = records
+      .filter(([, r]) => r.status === "조사중")
+      .map(([d, r]) => html`• ${d.label}${r.assignee && ` — ${r.assignee}`}`);
+    return html`<b>탐지 분석 상태</b> (현재 탐지 ${records.length}건) — ${counts}${open.length > 0 && html`<br>조사중:<br>${joinHtml(open, html`<br>`)}`}<br>상단 <b>🗂 분석 현황</b>에서 기록 전체와 이력을 볼 수 있습니다.`;
   }
-  if (/(전체|요약|현황|통계|summary)/.test(lower)) {
+  if (/(변화|달라진|바뀐|증감|diff|지난\s*로드|직전\s*로드)/.test(lower)) {
+    return formatLoadDiff(loadDiff, 20) || "비교할 직전 로드가 없습니다. 🔄 데이터 새로고침 후 다시 물어보세요.";
+  }
+  // 기간 · IP · 도메인 · 호스트 · 건수가 든 질문은 원본 로그에서 직접 (chat-query.js)
+  const query = parseChatQuery(text);
+  if (isStructuredQuery(query)) return answerChatQuery(query);
+  // 소스별 키워드 (log-sources.js의 keywords)
+  const source = Object.values(LOG_SOURCES).find((s) => s.keywords.test(lower));
+  if (source) {
+    const list = activeDetections.filter((d) => d.type.split(",").includes(source.type));
+    if (list.length === 0) return `현재 탐지된 ${source.type} 관련 이벤트가 없습니다.`;
+    return html`현재 <b>${source.type}</b> 관련 탐지 ${list.length}건:<br>${formatLabelList(list)}`;
+  }
+  if (/(전체|요약|현황|통계|summary|브리핑|briefing)/.test(lower)) {
     const total = activeDetections.reduce((s, d) => s + d.count, 0);
-    const mailCnt = activeDetections.filter((d) => d.type === "메일").reduce((s, d) => s + d.count, 0);
-    return `<b>위협 탐지 현황 요약</b><br>
-      • 외부 위협동향: ${activeThreats.length}건<br>
+    const bySource = Object.values(LOG_SOURCES)
+      .map((s) => [s, activeDetections.filter((d) => d.type.split(",")[0] === s.type).reduce((sum, d) => sum + d.count, 0)])
+      .filter(([, count]) => count > 0)
+      .map(([s, count]) => html`• ${s.type} ${s.action}: ${count}건<br>`);
+    return html`<b>위협 탐지 현황 요약</b>${isRangeActive() && ` — ${formatDateRange()}`}<br>
+      • 외부 위협동향: ${threats.length}건<br>
       • 총 탐지 이벤트: <b>${total}건</b><br>
-      • 메일 피싱 유입: ${mailCnt}건<br>
-      • 웹방화벽/NDR 차단·탐지: ${total - mailCnt}건`;
+      ${bySource}
+      상단 <b>📰 일일 브리핑</b>에서 상위 위협 · 공격 IP · 대상 서버 · 전일 대비 신규를 한 장으로 보고 인쇄할 수 있습니다.`;
   }
   if (/(도움|help|사용법)/.test(lower)) {
-    return "사용 방법:<br>① 상단 <b>엑셀 데이터 가져오기</b>로 .xlsx 업로드<br>② <b>외부 위협동향</b> 클릭 → 기사 본문 표시<br>③ <b>탐지현황</b> 클릭 → 이벤트 상세 표시<br>④ 키워드 질문: 피싱, NDR, 웹방화벽, 전체 요약";
+    return html`사용 방법:<br>① 상단 <b>엑셀 데이터 가져오기</b>로 .xlsx 업로드<br>② <b>외부 위협동향</b> 클릭 → 기사 본문 표시<br>③ <b>탐지현황</b> 클릭 → 이벤트 상세 표시<br>④ 키워드 질문: 피싱, ${sourceTypeHint()}, 교차 상관, 타임라인, 우선순위, 추세, 변화, 분석 상태, 전체 요약<br>⑤ 조건 질문: "어제 10.150.21.10 관련 웹방화벽 차단 몇 건?", "최근 3일 NDR 몇 건?", "2월 20일 ~ 22일 피싱 메일 유입"<br>⑥ 지표 조회: IP · 도메인 · 메일 주소 · 호스트명만 입력 → 전체 소스 로그 · 연계 위협 · 자산<br>⑦ 보고서: 기사 카드의 <b>📝 보고서 생성</b> 또는 "ChinaZ 보고서" → 엑셀 · 인쇄용 HTML`;
   }
 
-  // 뉴스 제목 키워드 검색
-  const matched = activeThreats.filter((t) =>
-    t.title.toLowerCase().includes(lower) || (t.tags || []).some((tag) => tag.toLowerCase().includes(lower))
+  // 뉴스 제목 · 태그 · 출처 키워드 검색
+  const matched = threats.filter((t) =>
+    t.title.toLowerCase().includes(lower) ||
+    (t.tags || []).some((tag) => tag.toLowerCase().includes(lower)) ||
+    (t.source || "").toLowerCase().includes(lower)
   );
   if (matched.length > 0) {
-    return `"<b>${text}</b>" 관련 위협동향 ${matched.length}건:<br>` +
-      matched.map((t) => `• ${t.title} (${t.source})`).join("<br>");
+    const items = matched.map((t) => html`• ${t.title}${formatThreatMeta(t) && ` (${formatThreatMeta(t)})`}`);
+    return html`"<b>${text}</b>" 관련 위협동향 ${matched.length}건:<br>${joinHtml(items, html`<br>`)}`;
   }
 
-  return `"<b>${text}</b>"에 대한 정보를 찾지 못했습니다.<br>키워드 예시: 피싱, NDR, 웹방화벽, 전체 요약`;
+  return html`"<b>${text}</b>"에 대한 정보를 찾지 못했습니다.<br>키워드 예시: 피싱, ${sourceTypeHint()}, 전체 요약`;
+}
+
+// 챗봇 안내의 소스 키워드 예시 — "메일, NDR, 웹방화벽"
+function sourceTypeHint() {
+  return Object.values(LOG_SOURCES).map((s) => s.type).join(", ");
+}
+
+function formatLabelList(detections) {
+  return joinHtml(detections.map((d) => `• ${d.label}`), html`<br>`);
 }
 
 // ─── 유틸 ───────────────────────────────────────────────────────────
-function appendChatMessage(role, html) {
+// content: html`` 결과(SafeHtml)는 서식 그대로, 그 외 문자열은 텍스트로 표시
+// record: 오늘 대화 기록에 남김 (chat-history.js — 인사말 · 복원한 메시지는 false)
+function appendChatMessage(role, content, record = true) {
   const box = document.getElementById("chat-messages");
   const wrap = document.createElement("div");
   wrap.className = `chat-message ${role}`;
   const bubble = document.createElement("div");
   bubble.className = "bubble";
-  bubble.innerHTML = html;
+  setHtml(bubble, content);
   wrap.appendChild(bubble);
   box.appendChild(wrap);
   box.scrollTop = box.scrollHeight;
+  if (record) recordChatMessage(role, bubble.innerHTML);
 }
 
 function clearActive(selector) {
@@ -0,0 +1,126 @@
+/**
+ * 뉴스기사 텍스트 파싱 모듈
+ *
+ * 기사 전체 텍스트에서 제목 · 출처 · 날짜 · 태그를 분리한다.
+ *   첫 번째 줄 → 제목, 메타데이터 줄을 제외한 나머지 → 본문
+ *
+ * 인식하는 메타데이터 줄 (본문 앞부분 5줄 이내):
+ *   출처: 보안뉴스 | 날짜: 2026-02-24 | 태그: 피싱, 메일
+ *   출처 : 보안뉴스, 날짜 : 2026.02.24, 키워드 : 피싱 / 메일
+ *   [데일리시큐] 2026.02.20 / 키워드: DDoS, SSH
+ *   매체: 보안뉴스 · 입력 2026년 2월 24일 · tags: phishing
+ * 키 뒤에는 ":"가 있어야 한다 ("출처 불명의 첨부 파일…", "Source code was leaked…"는 본문).
+ * 콜론 없이 띄어 쓰는 형태는 "입력 2026년 2월 24일"처럼 날짜 키 + 날짜만, 줄 전체가 메타데이터일 때 인정한다.
+ */
+
+const ARTICLE_META_KEYS = {
+  source: ["출처", "매체", "언론사", "source"],
+  date: ["날짜", "일자", "작성일", "등록일", "게시일", "입력", "date"],
+  tags: ["태그", "키워드", "tags", "tag", "keywords"],
+};
+const ARTICLE_META_SPACED_KEYS = ["입력", "작성일", "등록일", "게시일"];
+const ARTICLE_META_DATE_ONLY = /^\d{4}\s*[-./년]\s*\d{1,2}\s*[-./월]\s*\d{1,2}\s*일?(?:\s+\d{1,2}:\d{2}(?::\d{2})?)?$/;
+
+function parseArticleText(text) {
+  const lines = String(text || "").split("\n").map((l) => l.trim());
+  const first = lines.findIndex(Boolean);
+  if (first === -1) return { title: "", source: "", date: "", tags: [], body: "" };
+
+  const title = lines[first];
+  const rest = lines.slice(first + 1);
+  const meta = { source: "", date: "", tags: [] };
+
+  // 본문 앞부분의 메타데이터 줄만 검사 (본문 중간의 "출처:" 인용 등은 무시)
+  let checked = 0;
+  const bodyLines = rest.filter((line) => {
+    if (!line || checked >= 5) return true;
+    checked++;
+    const parsed = parseArticleMetaLine(line);
+    if (!parsed) return true;
+    if (parsed.source && !meta.source) meta.source = parsed.source;
+    if (parsed.date && !meta.date) meta.date = parsed.date;
+    if (parsed.tags.length && !meta.tags.length) meta.tags = parsed.tags;
+    return false;
+  });
+
+  const body = bodyLines.join("\n").replace(/^\n+|\n+$/g, "").replace(/\n{3,}/g, "\n\n");
+  return { title, ...meta, body };
+}
+
+// 목데이터처럼 출처/날짜/태그가 비어 있고 본문에 메타데이터 줄이 있는 기사를 보정
+function withArticleMeta(threat) {
+  if (threat.source && threat.date && (threat.tags || []).length) return threat;
+  const parsed = parseArticleText(`${threat.title}\n${threat.body || ""}`);
+  return {
+    ...threat,
+    source: threat.source || parsed.source,
+    date: threat.date || parsed.date,
+    tags: (threat.tags || []).length ? threat.tags : parsed.tags,
+    body: parsed.body,
+  };
+}
+
+// 메타데이터 줄 1개 파싱 — 메타데이터가 아니면 null
+function parseArticleMetaLine(line) {
+  const result = { source: "", date: "", tags: [] };
+  const allKeys = Object.values(ARTICLE_META_KEYS).flat().join("|");
+  const keyed = new RegExp(`(?:^|[|·,/]\\s*)(${allKeys})\\s*(?:([:：])\\s*|\\s+)`, "gi");
+
+  // "키: 값" 형태로 구분된 조각 수집 — 콜론 없는 키는 ARTICLE_META_SPACED_KEYS만
+  const marks = [];
+  let m;
+  while ((m = keyed.exec(line)) !== null) {
+    const key = m[1].toLowerCase();
+    if (!m[2] && !ARTICLE_META_SPACED_KEYS.includes(key)) continue;
+    marks.push({ key, spaced: !m[2], start: m.index, valueStart: keyed.lastIndex });
+  }
+  const values = marks.map((mark, i) => {
+    const end = i + 1 < marks.length ? marks[i + 1].start : line.length;
+    return line.slice(mark.valueStart, end).replace(/[|·,/\s]+$/, "").trim();
+  });
+  // 띄어 쓴 키는 값이 날짜뿐이고, 줄이 메타데이터 조각으로만 이뤄졌을 때만 ("입력 값 검증" 같은 본문 제외)
+  if (marks.some((mark) => mark.spaced)) {
+    const lead = line.slice(0, marks[0].start).replace(/^\[[^\]]{2,20}\]/, "").trim();
+    if (lead || marks.some((mark, i) => mark.spaced && !ARTICLE_META_DATE_ONLY.test(values[i]))) return null;
+  }
+  marks.forEach((mark, i) => {
+    const value = values[i];
+    if (ARTICLE_META_KEYS.source.includes(mark.key)) result.source = value;
+    else if (ARTICLE_META_KEYS.date.includes(mark.key)) result.date = normalizeArticleDate(value) || "";
+    else result.tags = splitArticleTags(value);
+  });
+
+  // "[데일리시큐] 2026.02.20" 형태 — 대괄호 매체명 + 날짜
+  const bracket = line.match(/^\[([^\]]{2,20})\]/);
+  if (bracket && !result.source) result.source = bracket[1].trim();
+  if (!result.date && (marks.length || bracket)) result.date = normalizeArticleDate(line) || "";
+
+  // 키가 하나도 없거나, 값이 모두 비었으면 일반 본문 줄로 취급
+  const found = result.source || result.date || result.tags.length;
+  if (!found) return null;
+  // 대괄호로 시작하는 본문 줄("[속보] ...")은 날짜가 함께 있을 때만 메타데이터로 인정
+  if (!marks.length && !(bracket && result.date)) return null;
+  if (!marks.length && line.length > 60) return null;
+  return result;
+}
+
+// "2026.02.24", "2026/2/24", "2026년 2월 24일" → "2026-02-24" (없는 날짜면 "")
+function normalizeArticleDate(value) {
+  const m = String(value || "").match(/(\d{4})\s*[-./년]\s*(\d{1,2})\s*[-./월]\s*(\d{1,2})/);
+  if (!m) return "";
+  return formatTimestamp(parseTimestamp(`${m[1]}-${m[2]}-${m[3]}`), "date");
+}
+
+// 기사 보도일 0시 (KST) → ms (날짜 없으면 null)
+function articleTime(threat) {
+  return parseTimestamp(threat.date);
+}
+
+function splitArticleTags(value) {
+  return [...new Set(
+    String(value || "")
+      .split(/[,/#·;]+/)
+      .map((t) => t.trim())
+      .filter(Boolean)
+  )];
+}
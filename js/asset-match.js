@@ -0,0 +1,78 @@
+/**
+ * 탐지 ↔ 정보자산 연계 모듈
+ *
+ * 탐지 이벤트의 대상(targets)을 자산관리 기준정보(ASSETS)와 매칭하여
+ * 피해가 예상되는 내부 자산 목록을 만든다.
+ *
+ *   targets.ips        → 자산 IP            (NDR 소스/대상 IP, 웹방화벽 서버 IP)
+ *   targets.hosts      → 자산 호스트명      (로그에 IP 대신 호스트명이 남는 경우)
+ *   targets.recipients → 메일 주소 로컬파트 = 호스트명  (스팸스나이퍼 수신자)
+ *
+ * 수신자 이름이 관리담당자 · 운영자와 같은 자산은 영향 자산이 아니라 "담당 자산"으로 따로 본다
+ * (findManagedAssets) — 한 사람이 관리하는 자산 전체가 피싱 메일 한 통의 영향 자산이 되지 않도록.
+ */
+
+// 미설치 시 경고하는 보안 SW
+const REQUIRED_SW = { edr: "EDR", eps: "EPS", pms: "PMS" };
+
+// 탐지 1건의 영향 자산 목록
+function findAffectedAssets(detection, assets) {
+  const targets = detection && detection.targets;
+  if (!targets) return [];
+
+  const ips = new Set((targets.ips || []).map((v) => String(v).trim()));
+  const hosts = new Set((targets.hosts || []).map((v) => norm(v)));
+  const recipients = (targets.recipients || []).map(parseRecipient);
+
+  return assets.filter((a) => {
+    if (a.ip && ips.has(a.ip)) return true;
+    if (a.hostname && hosts.has(norm(a.hostname))) return true;
+    return recipients.some((r) => r.local && r.local === norm(a.hostname));
+  });
+}
+
+// 메일 수신자가 관리담당자 · 운영자인 자산 (영향 자산으로 이미 잡힌 자산 제외)
+function findManagedAssets(detection, assets) {
+  const recipients = ((detection && detection.targets && detection.targets.recipients) || []).map(parseRecipient).filter((r) => r.name);
+  if (recipients.length === 0) return [];
+  const affected = new Set(findAffectedAssets(detection, assets));
+  return assets.filter((a) => !affected.has(a) && recipients.some((r) => r.name === a.manager || r.name === a.operator));
+}
+
+// 자산에 설치되지 않은 필수 보안 SW 라벨 목록
+function missingSecuritySW(asset) {
+  return Object.entries(REQUIRED_SW)
+    .filter(([k]) => !asset[k])
+    .map(([, label]) => label);
+}
+
+// 자산 중요도 0~1 — OT(제어 시스템) > 서버 > 그 외 단말, 필수 보안 SW가 빠져 있으면 가산
+function assetCriticality(asset) {
+  const text = `${asset.assetName} ${asset.hostname} ${asset.os}`;
+  let base = 0.5;
+  if (asset.category === "OT") base = 1;
+  else if (/server|srv|서버|\bdb|\bdc\d*\b|\bad\b|web|was|mail/i.test(text)) base = 0.8;
+  return Math.min(1, base + (missingSecuritySW(asset).length > 0 ? 0.2 : 0));
+}
+
+// 로그 값 목록을 IP / 호스트명으로 분류
+function splitTargets(values) {
+  const ips = [];
+  const hosts = [];
+  values.forEach((v) => {
+    const s = String(v || "").trim();
+    if (!s) return;
+    const ip = s.match(/\b\d{1,3}(?:\.\d{1,3}){3}\b/);
+    if (ip) ips.push(ip[0]);
+    else hosts.push(s);
+  });
+  return { ips: [...new Set(ips)], hosts: [...new Set(hosts)] };
+}
+
+// "홍길동 <hong@corp.com>" → { name: "홍길동", local: "hong" }
+function parseRecipient(value) {
+  const s = String(value || "").trim();
+  const email = s.match(/([^\s<>"]+)@[^\s<>"]+/);
+  const name = s.replace(/<[^>]*>/g, "").replace(/[^\s<>"]+@[^\s<>"]+/g, "").replace(/["']/g, "").trim();
+  return { name, local: email ? norm(email[1]) : "" };
+}
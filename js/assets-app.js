@@ -8,11 +8,18 @@
   // ── 초기화 ─────────────────────────────────────────────
   function init() {
     renderSummaryCards();
-    renderTable(ASSETS);
     bindEvents();
+    applyQueryParam();
     showStartupModal();
   }
 
+  // assets.html?q=FSVMGR001 — 위협탐지 챗봇의 자산 카드에서 넘어온 검색어
+  function applyQueryParam() {
+    const keyword = new URLSearchParams(window.location.search).get("q");
+    if (keyword) document.getElementById("filter-keyword").value = keyword;
+    applyFilter();
+  }
+
   // ── 시작 모달: fetch 시도 → 실패 시 파일 선택 UI 표시 ──
   async function showStartupModal() {
     // 로컬 서버 환경이면 fetch로 자동 로드 시도
@@ -81,19 +88,18 @@
     document.getElementById("card-ot").textContent = otCount + "건";
 
     const swContainer = document.getElementById("sw-rates");
-    swContainer.innerHTML = swKeys
+    setHtml(swContainer, swKeys
       .map((k) => {
         const installed = ASSETS.filter((a) => a[k]).length;
         const rate = Math.round((installed / total) * 100);
-        return `<div class="sw-rate-item">
+        return html`<div class="sw-rate-item">
           <span class="sw-rate-label">${swLabels[k]}</span>
           <div class="sw-rate-bar-wrap">
             <div class="sw-rate-bar" style="width:${rate}%"></div>
           </div>
           <span class="sw-rate-pct">${rate}%</span>
         </div>`;
-      })
-      .join("");
+      }));
   }
 
   // ── 테이블 렌더링 ────────────────────────────────────────
@@ -102,16 +108,16 @@
     const tbody = document.getElementById("asset-tbody");
 
     if (assets.length === 0) {
-      tbody.innerHTML = `<tr><td colspan="17" class="asset-empty">검색 결과가 없습니다.</td></tr>`;
+      setHtml(tbody, html`<tr><td colspan="17" class="asset-empty">검색 결과가 없습니다.</td></tr>`);
       document.getElementById("result-count").textContent = "0건";
       return;
     }
 
     document.getElementById("result-count").textContent = assets.length + "건";
 
-    tbody.innerHTML = assets
+    setHtml(tbody, assets
       .map(
-        (a) => `
+        (a) => html`
       <tr class="asset-row" data-id="${a.id}">
         <td><span class="category-badge category-${a.category.toLowerCase()}">${a.category}</span></td>
         <td>${a.assetName}</td>
@@ -132,8 +138,7 @@
         <td>${swBadge(a.nac)}</td>
         <td>${swBadge(a.pms)}</td>
       </tr>`
-      )
-      .join("");
+      ));
 
     // 행 클릭 → 상세 모달
     tbody.querySelectorAll(".asset-row").forEach((row) => {
@@ -146,8 +151,8 @@
 
   function swBadge(val) {
     return val
-      ? `<span class="sw-badge sw-on">O</span>`
-      : `<span class="sw-badge sw-off">X</span>`;
+      ? html`<span class="sw-badge sw-on">O</span>`
+      : html`<span class="sw-badge sw-off">X</span>`;
   }
 
   // ── 검색 / 필터 ─────────────────────────────────────────
@@ -179,11 +184,10 @@
 
     const swLabels = { edr: "EDR", eps: "EPS", dlp: "DLP", drm: "DRM", nac: "NAC", pms: "PMS" };
     const swRows = Object.entries(swLabels)
-      .map(([k, label]) => `<tr><th>${label}</th><td>${swBadge(asset[k])}</td></tr>`)
-      .join("");
+      .map(([k, label]) => html`<tr><th>${label}</th><td>${swBadge(asset[k])}</td></tr>`);
 
     document.getElementById("modal-title").textContent = `[${asset.category}] ${asset.hostname}`;
-    document.getElementById("modal-body").innerHTML = `
+    setHtml(document.getElementById("modal-body"), html`
       <table class="detail-table">
         <tr><th>구분</th><td><span class="category-badge category-${asset.category.toLowerCase()}">${asset.category}</span></td></tr>
         <tr><th>자산정보</th><td>${asset.assetName}</td></tr>
@@ -198,7 +202,7 @@
         <tr><th>상태</th><td><span class="status-badge">${asset.status}</span></td></tr>
         <tr><th>위치</th><td>${asset.location}</td></tr>
         ${swRows}
-      </table>`;
+      </table>`);
 
     document.getElementById("asset-modal").classList.add("open");
   }
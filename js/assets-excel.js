@@ -48,7 +48,56 @@ function parseAssetsFile(file) {
 
 function parseAssetsData(data) {
   const wb = XLSX.read(data, { type: "array" });
+  const sheet = readAssetSheet(wb);
+  if (!sheet) return [];
+  const { rows, headerRowIdx, col } = sheet;
 
+  // ── 데이터 행 파싱 ────────────────────────────────────────────────
+  const assets = [];
+  let id = 1;
+
+  for (let i = headerRowIdx + 1; i < rows.length; i++) {
+    const r = rows[i];
+
+    // 완전히 빈 행 건너뜀
+    if (r.every((c) => c === "" || c === null || c === undefined)) continue;
+
+    const ip = get(r, col.ip);
+    const hostname = get(r, col.hostname);
+    const category = get(r, col.category).toUpperCase();
+
+    // IP 또는 호스트명이 없으면 건너뜀
+    if (!ip && !hostname) continue;
+
+    assets.push({
+      id: id++,
+      category: (category === "IT" || category === "OT") ? category : "IT",
+      assetName: get(r, col.assetName) || "OA",
+      ip,
+      mac:        get(r, col.mac),
+      hostname,
+      os:         get(r, col.os),
+      model:      get(r, col.model),
+      manageDept: get(r, col.manageDept),
+      manager:    get(r, col.manager),
+      operator:   get(r, col.operator),
+      status:     get(r, col.status) || "운영중",
+      location:   get(r, col.location),
+      edr: isChecked(r, col.edr),
+      eps: isChecked(r, col.eps),
+      dlp: isChecked(r, col.dlp),
+      drm: isChecked(r, col.drm),
+      nac: isChecked(r, col.nac),
+      pms: isChecked(r, col.pms),
+    });
+  }
+
+  return assets;
+}
+
+// 대상 시트 · 헤더 행 · 컬럼 인덱스 탐색 → { sheetName, rows, headerRowIdx, col } (데이터 없으면 null)
+// 파싱(parseAssetsData)과 가져오기 검증(validate.js)이 함께 사용
+function readAssetSheet(wb) {
   // ── 대상 시트 탐색 ────────────────────────────────────────────────
   const PREFERRED = [
     "대상 시스템", "대상시스템",
@@ -64,7 +113,7 @@ function parseAssetsData(data) {
   const ws = wb.Sheets[sheetName];
   const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: "" });
 
-  if (rows.length < 2) return [];
+  if (rows.length < 2) return null;
 
   // ── 헤더 행 탐색 (최대 5행까지) ──────────────────────────────────
   // 헤더가 병합 셀 등으로 인해 1행이 아닐 수 있음
@@ -103,47 +152,7 @@ function parseAssetsData(data) {
     pms:        findIdx(header, ["pms"]),
   };
 
-  // ── 데이터 행 파싱 ────────────────────────────────────────────────
-  const assets = [];
-  let id = 1;
-
-  for (let i = headerRowIdx + 1; i < rows.length; i++) {
-    const r = rows[i];
-
-    // 완전히 빈 행 건너뜀
-    if (r.every((c) => c === "" || c === null || c === undefined)) continue;
-
-    const ip = get(r, col.ip);
-    const hostname = get(r, col.hostname);
-    const category = get(r, col.category).toUpperCase();
-
-    // IP 또는 호스트명이 없으면 건너뜀
-    if (!ip && !hostname) continue;
-
-    assets.push({
-      id: id++,
-      category: (category === "IT" || category === "OT") ? category : "IT",
-      assetName: get(r, col.assetName) || "OA",
-      ip,
-      mac:        get(r, col.mac),
-      hostname,
-      os:         get(r, col.os),
-      model:      get(r, col.model),
-      manageDept: get(r, col.manageDept),
-      manager:    get(r, col.manager),
-      operator:   get(r, col.operator),
-      status:     get(r, col.status) || "운영중",
-      location:   get(r, col.location),
-      edr: isChecked(r, col.edr),
-      eps: isChecked(r, col.eps),
-      dlp: isChecked(r, col.dlp),
-      drm: isChecked(r, col.drm),
-      nac: isChecked(r, col.nac),
-      pms: isChecked(r, col.pms),
-    });
-  }
-
-  return assets;
+  return { sheetName, rows, headerRowIdx, col };
 }
 
 // ── 유틸 ───────────────────────────────────────────────────────────
@@ -160,7 +169,7 @@ function findIdx(header, names) {
   // 부분 일치 fallback
   for (const name of names) {
     const n = norm(name);
-    const idx = header.findIndex((h) => h.includes(n) || n.includes(h));
+    const idx = header.findIndex((h) => h && (h.includes(n) || n.includes(h)));
     if (idx !== -1) return idx;
   }
   return -1;
@@ -0,0 +1,232 @@
+/**
+ * 일일 브리핑 모듈 (index.html 📰 일일 브리핑 — 인쇄용 한 장 요약)
+ *
+ * 기간 필터 안의 위협동향 · 탐지현황을 한 장으로 모은다.
+ *   KPI            기사 수 · 총 이벤트 · 소스별 조치 건수(메일 유입 · NDR 탐지 · 웹방화벽 차단 …), 기준일 · 전일 건수
+ *   상위 위협       위협별 이벤트 건수 — 키워드 · IOC 탐지가 같은 행은 한 번만 (threatRows)
+ *   상위 공격 IP    어댑터 attackerField 값별 건수 (log-sources.js)
+ *   상위 대상 서버   어댑터 serverField 값별 건수 — 자산 기준정보의 호스트명 · 부서와 함께
+ *   전일 대비 신규   기준일 보도 기사, 기준일 전 로그에 없던 공격 IP · 대상 서버, 직전 로드 대비 신규 탐지 (load-diff.js)
+ * 기준일은 탐지 로그의 마지막 이벤트 날짜 (로그 시각이 없으면 마지막 보도일, 그것도 없으면 오늘).
+ * 목데이터처럼 원본 행이 없는 탐지는 건수만 KPI · 상위 위협에 들어가고 IP · 서버 집계와 기준일 · 전일 비교에서는 빠진다.
+ * 🖨 인쇄는 브라우저 인쇄 창을 열고, style.css의 print 스타일이 브리핑만 A4 한 장으로 출력한다 (PDF로 저장 가능).
+ */
+
+const BRIEFING_TOP_THREATS = 5;
+const BRIEFING_TOP_IPS = 8;
+const BRIEFING_NEW_LIMIT = 10;
+
+function setupBriefing() {
+  document.getElementById("btn-briefing").addEventListener("click", openBriefing);
+  document.getElementById("briefing-close").addEventListener("click", closeBriefing);
+  document.getElementById("briefing-modal").addEventListener("click", (e) => {
+    if (e.target === e.currentTarget) closeBriefing();
+  });
+  document.getElementById("briefing-print").addEventListener("click", () => window.print());
+}
+
+// 열린 동안 body에 표시 — 인쇄 스타일이 나머지 화면을 숨긴다
+function openBriefing() {
+  renderBriefing();
+  document.getElementById("briefing-modal").classList.add("open");
+  document.body.classList.add("briefing-open");
+}
+
+function closeBriefing() {
+  document.getElementById("briefing-modal").classList.remove("open");
+  document.body.classList.remove("briefing-open");
+}
+
+// ── 집계 ─────────────────────────────────────────────────────────
+// → { day, generatedAt, range, articles, total, kpis, threats, attackers, servers, news, hasRows }
+function buildBriefing(threats = threatsInRange(), detections = activeDetections, assets = ASSETS) {
+  const ids = new Set(threats.map((t) => t.id));
+  const related = detections.filter((d) => ids.has(d.threatId));
+  const mock = related.filter((d) => !d.rows);
+
+  // 행 → { source, row, time, count, threats } (여러 위협에 걸린 행도 한 번)
+  const events = new Map();
+  const ranked = threats.map((t) => {
+    const rows = threatRows(t.id, related);
+    rows.forEach(({ source, row }) => {
+      if (!events.has(row)) events.set(row, { source, row, time: rowTime(source, row), count: source.count([row]), threats: new Set() });
+      events.get(row).threats.add(t.title);
+    });
+    const own = related.filter((d) => d.threatId === t.id);
+    return {
+      threat: t,
+      count: rows.reduce((sum, r) => sum + events.get(r.row).count, 0) + own.filter((d) => !d.rows).reduce((sum, d) => sum + d.count, 0),
+      sources: [...new Set(own.map((d) => d.source))],
+      priority: threatPriority(t, detections, assets),
+    };
+  }).filter((t) => t.count > 0).sort((a, b) => b.count - a.count);
+
+  const list = [...events.values()];
+  const times = list.map((e) => e.time).filter((t) => t !== null);
+  const published = threats.map((t) => parseTimestamp(t.date)).filter((t) => t !== null);
+  const day = startOfDay(times.length ? Math.max(...times) : published.length ? Math.max(...published) : Date.now());
+  const sum = (items) => items.reduce((total, e) => total + e.count, 0);
+
+  const kpis = Object.values(LOG_SOURCES).map((source) => {
+    const rows = list.filter((e) => e.source === source);
+    return {
+      source,
+      count: sum(rows) + sum(mock.filter((d) => sourceForType(d.type) === source)),
+      day: sum(rows.filter((e) => onBriefingDay(e.time, day))),
+      previous: sum(rows.filter((e) => onBriefingDay(e.time, day - DAY_MS))),
+    };
+  });
+  const attackers = briefingIPs(list, "attackerField", assets);
+  const servers = briefingIPs(list, "serverField", assets);
+  const before = { attackers: ipsBefore("attackerField", day), servers: ipsBefore("serverField", day) };
+  const newDetections = loadDiff && loadDiff.previous
+    ? [...loadDiff.changes.values()].filter((c) => c.status === "new").map((c) => c.after)
+    : null;
+
+  return {
+    day,
+    generatedAt: Date.now(),
+    range: isRangeActive() ? formatDateRange() : "전체 기간",
+    hasRows: list.length > 0,
+    articles: threats.length,
+    total: {
+      count: kpis.reduce((total, k) => total + k.count, 0),
+      day: kpis.reduce((total, k) => total + k.day, 0),
+      previous: kpis.reduce((total, k) => total + k.previous, 0),
+    },
+    kpis,
+    threats: ranked,
+    attackers,
+    servers,
+    news: {
+      articles: threats.filter((t) => onBriefingDay(parseTimestamp(t.date), day)),
+      attackers: attackers.filter((a) => a.last >= day && !before.attackers.has(a.ip)),
+      servers: servers.filter((s) => s.last >= day && !before.servers.has(s.ip)),
+      detections: newDetections,
+    },
+  };
+}
+
+function onBriefingDay(ms, day) {
+  return ms !== null && ms >= day && ms < day + DAY_MS;
+}
+
+// 어댑터 field(attackerField | serverField)가 가리키는 IP별 → [{ ip, count, sources, threats, asset, first, last }] 건수순
+function briefingIPs(events, field, assets) {
+  const ips = new Map();
+  events.forEach((e) => {
+    if (!e.source[field]) return;
+    rowIPs(e.row[e.source[field]]).forEach((ip) => {
+      if (!ips.has(ip)) ips.set(ip, { ip, count: 0, sources: new Set(), threats: new Set(), asset: assets.find((a) => a.ip === ip) || null, first: null, last: null });
+      const entry = ips.get(ip);
+      entry.count += e.count;
+      entry.sources.add(e.source.label);
+      e.threats.forEach((t) => entry.threats.add(t));
+      if (e.time !== null) {
+        entry.first = entry.first === null ? e.time : Math.min(entry.first, e.time);
+        entry.last = entry.last === null ? e.time : Math.max(entry.last, e.time);
+      }
+    });
+  });
+  return [...ips.values()].sort((a, b) => b.count - a.count);
+}
+
+// "10.1.1.1, 10.1.1.2 (대표)" → ["10.1.1.1", "10.1.1.2"]
+function rowIPs(value) {
+  return String(value || "").replace(/\([^)]*\)/g, "").split(/[,;\s]+/).filter(isIPv4);
+}
+
+// 기준일 전 원본 로그(기간 필터와 무관한 전체 행)에서 같은 역할로 보인 IP
+function ipsBefore(field, day) {
+  const ips = new Set();
+  Object.entries(activeLogs || {}).forEach(([key, rows]) => {
+    const source = LOG_SOURCES[key];
+    if (!source || !source[field]) return;
+    rows.forEach((row) => {
+      const time = rowTime(source, row);
+      if (time !== null && time < day) rowIPs(row[source[field]]).forEach((ip) => ips.add(ip));
+    });
+  });
+  return ips;
+}
+
+// ── 화면 ─────────────────────────────────────────────────────────
+function renderBriefing() {
+  const b = buildBriefing();
+  setHtml(document.getElementById("briefing-body"), html`
+    <div class="briefing-title">
+      <h2>일일 보안 브리핑</h2>
+      <span>기준일 ${formatTimestamp(b.day, "date")} · ${b.range} · ${formatTimestamp(b.generatedAt, "minute")} 작성</span>
+    </div>
+    <div class="briefing-kpis">
+      ${formatKpi("외부 위협동향", `${b.articles}건`, `기준일 보도 ${b.news.articles.length}건`)}
+      ${formatKpi("총 이벤트", `${b.total.count}건`, b.hasRows ? formatDayCompare(b.total) : "")}
+      ${b.kpis.map((k) => formatKpi(`${k.source.type} ${k.source.action}`, `${k.count}건`, b.hasRows ? formatDayCompare(k) : "", k.source.dot))}
+    </div>
+    ${formatBriefingThreats(b.threats)}
+    <div class="briefing-columns">
+      ${formatBriefingIPs("🎯 상위 공격 IP", b.attackers, b.hasRows, "위협", (e) => [...e.threats].join(" · "))}
+      ${formatBriefingIPs("🖥 상위 대상 서버", b.servers, b.hasRows, "자산", (e) => (e.asset ? `${e.asset.hostname} (${e.asset.manageDept})` : "-"))}
+    </div>
+    ${formatBriefingNews(b)}
+    ${!b.hasRows && html`<p class="rules-hint">원본 로그가 없어(목데이터 표시 중) 공격 IP · 대상 서버 · 기준일 비교는 집계하지 않았습니다.</p>`}`);
+  document.getElementById("briefing-status").textContent = `기준일 ${formatTimestamp(b.day, "date")}`;
+}
+
+function formatKpi(label, value, sub, dot = "") {
+  return html`<div class="briefing-kpi">
+    <div class="briefing-kpi-label">${dot && html`<span class="item-dot ${dot}"></span> `}${label}</div>
+    <div class="briefing-kpi-value">${value}</div>
+    <div class="briefing-kpi-sub">${sub}</div>
+  </div>`;
+}
+
+// "기준일 12 · 전일 5 (▲7)"
+function formatDayCompare({ day, previous }) {
+  const delta = day - previous;
+  const mark = delta > 0 ? html`<span class="briefing-up">▲${delta}</span>` : delta < 0 ? html`<span class="briefing-down">▼${-delta}</span>` : "-";
+  return html`기준일 ${day} · 전일 ${previous} (${mark})`;
+}
+
+function formatBriefingThreats(threats) {
+  if (threats.length === 0) return html`<div class="briefing-section">📰 상위 위협</div><div class="empty-msg">탐지가 연계된 위협이 없습니다.</div>`;
+  const rows = threats.slice(0, BRIEFING_TOP_THREATS).map((t, i) => html`<tr>
+    <td>${i + 1}</td><td>${formatPriorityBadge(t.priority)}</td><td>${t.threat.title}</td><td>${t.sources.join(" · ")}</td><td class="num">${t.count}</td>
+  </tr>`);
+  return html`<div class="briefing-section">📰 상위 위협 (이벤트 건수순${threats.length > BRIEFING_TOP_THREATS && `, ${threats.length}건 중 ${BRIEFING_TOP_THREATS}건`})</div>
+    <table class="detail-table asset-hit-table briefing-table">
+      <tr><th>#</th><th>우선순위</th><th>위협</th><th>소스</th><th>건수</th></tr>
+      ${rows}
+    </table>`;
+}
+
+// column · describe: 마지막 열 제목과 값 (공격 IP는 연계 위협, 대상 서버는 자산)
+function formatBriefingIPs(title, entries, hasRows, column, describe) {
+  if (!hasRows || entries.length === 0) return html`<div><div class="briefing-section">${title}</div><div class="empty-msg">집계할 로그가 없습니다.</div></div>`;
+  const rows = entries.slice(0, BRIEFING_TOP_IPS).map((e) => html`<tr>
+    <td>${e.ip}</td><td class="num">${e.count}</td><td>${[...e.sources].join(" · ")}</td>
+    <td>${describe(e)}</td>
+  </tr>`);
+  return html`<div>
+    <div class="briefing-section">${title}</div>
+    <table class="detail-table asset-hit-table briefing-table">
+      <tr><th>IP</th><th>건수</th><th>소스</th><th>${column}</th></tr>
+      ${rows}
+    </table>
+  </div>`;
+}
+
+function formatBriefingNews(b) {
+  const { articles, attackers, servers, detections } = b.news;
+  const list = (items) => (items.length ? items.slice(0, BRIEFING_NEW_LIMIT).join(", ") : "-");
+  const more = (items) => items.length > BRIEFING_NEW_LIMIT && ` 외 ${items.length - BRIEFING_NEW_LIMIT}건`;
+  return html`<div class="briefing-section">🆕 전일 대비 신규 (기준일 ${formatTimestamp(b.day, "day")})</div>
+    <table class="detail-table briefing-table">
+      <tr><th>보도 기사</th><td>${list(articles.map((t) => t.title))}${more(articles)}</td></tr>
+      <tr><th>공격 IP</th><td>${b.hasRows ? html`${list(attackers.map((a) => a.ip))}${more(attackers)}` : "-"}</td></tr>
+      <tr><th>대상 서버</th><td>${b.hasRows ? html`${list(servers.map((s) => (s.asset ? `${s.ip} (${s.asset.hostname})` : s.ip)))}${more(servers)}` : "-"}</td></tr>
+      <tr><th>탐지</th><td>${detections === null
+        ? "직전 로드 기록 없음"
+        : html`${list(detections.map((d) => `${d.matchType === "IOC" ? "IOC·" : ""}${d.type} ${d.threatTitle || d.label}`))}${more(detections)} <span class="rules-hint">(직전 로드 대비)</span>`}</td></tr>
+    </table>`;
+}
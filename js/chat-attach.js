@@ -0,0 +1,283 @@
+/**
+ * 챗봇 📎 첨부 모듈 (app.js setupChatbot)
+ *
+ * 첨부한 파일을 종류별로 현재 데이터에 합치고, 무엇이 추가됐는지 챗봇으로 답한다.
+ *   .xlsx · .xls     자산 목록이면 자산 기준정보 교체 (assets-excel.js — assets.xlsx와 같음)
+ *                    아니면 data.xlsx와 같은 파서(excel.js) — 뉴스기사 시트는 위협동향에, 로그 시트는 원본 로그에 합침
+ *   .csv · .json · .log · .cef …   로그 파일 (log-import.js — 화면에 끌어다 놓기와 같음)
+ *   .txt · .html · .eml            기사 1건 → 위협동향에 추가하고 로드된 로그와 바로 상관분석
+ *
+ * 자산 목록: 뉴스기사 · 로그 시트가 없고, 자산 시트(readAssetSheet)에 IP · 호스트명 컬럼이 있는 통합문서.
+ * 기사: .txt는 첫 줄이 제목 (article.js), .html은 og:title · h1 · title,
+ *       .eml은 Subject가 제목이고 From 표시 이름 · Date 헤더를 출처 · 날짜로 쓴다 (본문의 "출처: …" 줄이 우선).
+ * 이미 있는 제목의 기사는 다시 추가하지 않는다.
+ * 같은 엑셀 · 로그 파일(이름 · 크기 · 수정 시각)을 또 첨부하면 행이 두 번 더해지지 않도록 건너뛴다 — 🔄 새로고침으로
+ * 로그를 다시 읽으면 다시 첨부할 수 있다.
+ */
+
+const ATTACH_ARTICLE_FORMATS = { txt: "text", html: "html", htm: "html", eml: "eml" };
+const ATTACH_WORKBOOK_EXTS = ["xlsx", "xls"];
+// 현재 원본 로그(activeLogs 객체)에 이미 합친 파일 — 새로고침하면 activeLogs가 새 객체라 자연히 비워짐
+const attachedLogFiles = new WeakMap();
+
+// 파일 1개 반영 → 결과는 챗봇 메시지로 (로그 파일은 importLogFiles가 답함)
+async function ingestAttachment(file) {
+  const ext = ((file.name.match(/\.([a-z0-9]+)$/i) || [])[1] || "").toLowerCase();
+  try {
+    const merged = ATTACH_WORKBOOK_EXTS.includes(ext) || logFileFormat(file.name);
+    if (merged && isAttached(file)) {
+      appendChatMessage("bot", html`📂 <b>${file.name}</b>: 이미 합친 파일이라 건너뜁니다 (같은 행이 두 번 세어지지 않도록). 다시 반영하려면 🔄 새로고침 후 첨부해 주세요.`);
+      return;
+    }
+    if (ATTACH_WORKBOOK_EXTS.includes(ext)) return await ingestWorkbook(file);
+    if (ATTACH_ARTICLE_FORMATS[ext]) {
+      return ingestArticle(file.name, parseArticleFile(ATTACH_ARTICLE_FORMATS[ext], await readAttachment(file, "text")));
+    }
+    if (logFileFormat(file.name)) {
+      if ((await importLogFiles([file])).length > 0) markAttached(file);
+      return;
+    }
+    appendChatMessage("bot", html`<b>${file.name}</b>: 지원하지 않는 형식입니다. 엑셀(.xlsx) · 로그(.csv · .json · .log · .cef) · 기사(.txt · .html · .eml) 파일을 첨부해 주세요.`);
+  } catch (err) {
+    appendChatMessage("bot", html`⚠️ <b>${file.name}</b>을(를) 반영하지 못했습니다: ${err.message}`);
+  }
+}
+
+function attachmentKey(file) {
+  return `${file.name}\u0000${file.size}\u0000${file.lastModified}`;
+}
+
+function isAttached(file) {
+  return Boolean(activeLogs && attachedLogFiles.get(activeLogs)?.has(attachmentKey(file)));
+}
+
+function markAttached(file) {
+  if (!activeLogs) return;
+  if (!attachedLogFiles.has(activeLogs)) attachedLogFiles.set(activeLogs, new Set());
+  attachedLogFiles.get(activeLogs).add(attachmentKey(file));
+}
+
+function readAttachment(file, as) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error("파일을 읽을 수 없습니다"));
+    if (as === "text") reader.readAsText(file);
+    else reader.readAsArrayBuffer(file);
+  });
+}
+
+// ── 엑셀 ─────────────────────────────────────────────────────────
+async function ingestWorkbook(file) {
+  const data = new Uint8Array(await readAttachment(file, "buffer"));
+  const wb = XLSX.read(data, { type: "array", cellDates: true });
+  if (isAssetWorkbook(wb)) return ingestAssets(file.name, data);
+
+  const parsed = parseExcelWorkbook(wb, activeRules, activeSuppressions, file.name);
+  setImportReports([...importReports, parsed.report]);
+  const added = addThreats(parsed.threats);
+  const rowCounts = Object.entries(parsed.logs).filter(([, rows]) => rows.length > 0);
+  if (added.length === 0 && rowCounts.length === 0) {
+    appendChatMessage("bot", html`📂 <b>${file.name}</b>: 새로 추가할 뉴스기사 · 로그 시트가 없습니다.${parsed.threats.length > 0 && ` (기사 ${parsed.threats.length}건은 이미 위협동향에 있음)`}`);
+    return;
+  }
+
+  if (rowCounts.length > 0) {
+    activeLogs = mergeImportedLogs(activeLogs || emptyLogs(), rowCounts.map(([source, rows]) => ({ source, rows })));
+    markAttached(file);
+  }
+  if (!recorrelate()) renderThreats();
+  const skipped = parsed.threats.length - added.length;
+  const logLines = rowCounts.map(([source, rows]) => html`<br>• ${LOG_SOURCES[source].label} +${rows.length}행`);
+  appendChatMessage(
+    "bot",
+    html`📂 <b>${file.name}</b> 데이터를 현재 데이터에 합쳤습니다.<br>• 외부 위협동향: +${added.length}건${skipped > 0 && ` (이미 있는 기사 ${skipped}건 제외)`}${logLines}<br>• 탐지현황: ${activeDetections.length}건${formatColumnWarnings(parsed.columns)}${formatValidationSummary()}`
+  );
+}
+
+// 뉴스기사 · 로그 시트 없이 IP · 호스트명 컬럼이 있는 자산 시트만 있는 통합문서
+function isAssetWorkbook(wb) {
+  if (wb.SheetNames.some((name) => name.startsWith("뉴스기사"))) return false;
+  if (logSourceKeys().some((key) => readLogSheet(wb, key))) return false;
+  const sheet = readAssetSheet(wb);
+  return Boolean(sheet) && sheet.col.ip !== -1 && sheet.col.hostname !== -1;
+}
+
+function ingestAssets(file, data) {
+  const imported = parseAssetsData(data);
+  setImportReports([...importReports, validateAssetsData(data, file)]);
+  if (imported.length === 0) {
+    appendChatMessage("bot", html`🖥 <b>${file}</b>: 자산 목록으로 인식했지만 읽을 수 있는 자산 행이 없습니다.${formatValidationSummary()}`);
+    return;
+  }
+  const before = ASSETS.length;
+  ASSETS.length = 0;
+  imported.forEach((a) => ASSETS.push(a));
+  renderThreats(); // 우선순위의 자산 중요도가 바뀜
+  renderDetections();
+  const affected = new Set(activeDetections.flatMap((d) => findAffectedAssets(d, ASSETS)));
+  appendChatMessage(
+    "bot",
+    html`🖥 <b>${file}</b> → 자산 기준정보를 ${imported.length}건으로 교체했습니다 (이전 ${before}건).<br>• 현재 탐지와 연계된 자산: ${affected.size}건${formatValidationSummary()}`
+  );
+}
+
+// ── 기사 ─────────────────────────────────────────────────────────
+function ingestArticle(file, article) {
+  if (!article.title) throw new Error("기사 제목을 찾을 수 없습니다");
+  const [threat] = addThreats([article]);
+  if (!threat) {
+    appendChatMessage("bot", html`📰 <b>${article.title}</b> — 이미 위협동향에 있는 기사입니다.`);
+    return;
+  }
+  const correlated = recorrelate();
+  if (!correlated) renderThreats();
+
+  const detections = activeDetections.filter((d) => d.threatId === threat.id);
+  const iocs = extractIOCs(`${threat.title}\n${threat.body}`);
+  const result = !correlated
+    ? "로드된 원본 로그가 없어 상관분석은 로그를 넣은 뒤에 이뤄집니다 (목데이터 표시 중)."
+    : detections.length
+      ? html`로드된 로그와 상관분석 → 탐지 ${detections.length}건<br>${formatLabelList(detections)}`
+      : "로드된 로그에서 연계된 탐지가 없습니다.";
+  appendChatMessage(
+    "bot",
+    html`📰 <b>${file}</b> → 외부 위협동향에 기사 1건을 추가했습니다.<br>• ${threat.title}${formatThreatMeta(threat) && ` (${formatThreatMeta(threat)})`}${countIOCs(iocs) > 0 && html`<br>• 본문 IOC ${countIOCs(iocs)}건`}<br>${result}`
+  );
+}
+
+// 제목이 같은 기사는 건너뛰고 id를 이어서 매김 → 추가한 위협 목록
+function addThreats(articles) {
+  const titles = new Set(activeThreats.map((t) => t.title));
+  let nextId = Math.max(0, ...activeThreats.map((t) => t.id)) + 1;
+  const added = articles
+    .filter((a) => a.title && !titles.has(a.title) && titles.add(a.title))
+    .map((a) => ({ id: nextId++, title: a.title, source: a.source, date: a.date, body: a.body, tags: a.tags }));
+  activeThreats = [...activeThreats, ...added];
+  return added;
+}
+
+// → { title, source, date, tags, body } (article.js parseArticleText와 같은 형식)
+function parseArticleFile(format, text) {
+  if (format === "text") return parseArticleText(text);
+  const doc = format === "html" ? htmlArticle(text) : emlArticle(text);
+  const parsed = parseArticleText(`${doc.title}\n${doc.text}`);
+  return {
+    ...parsed,
+    source: parsed.source || doc.source,
+    date: parsed.date || doc.date,
+    tags: parsed.tags.length ? parsed.tags : doc.tags,
+  };
+}
+
+// 기사 페이지 → 제목 · 본문 텍스트 · meta 태그의 매체 · 날짜 · 키워드
+function htmlArticle(markup) {
+  const doc = new DOMParser().parseFromString(markup, "text/html");
+  const meta = (selector) => ((doc.querySelector(selector) || { getAttribute: () => "" }).getAttribute("content") || "").trim();
+  const heading = doc.querySelector("h1");
+  const title = meta('meta[property="og:title"]') || (heading && heading.textContent.trim()) || doc.title.trim();
+
+  if (heading) heading.remove();
+  doc.querySelectorAll("script, style, noscript, nav, header, footer, aside, form").forEach((el) => el.remove());
+  doc.querySelectorAll("br, p, div, li, tr, h2, h3, h4, h5, h6, section").forEach((el) => el.append("\n"));
+  const root = doc.querySelector("article") || doc.body;
+  const text = (root ? root.textContent : "")
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+  return {
+    title,
+    text,
+    source: meta('meta[property="og:site_name"]'),
+    date: normalizeArticleDate(meta('meta[property="article:published_time"]')),
+    tags: splitArticleTags(meta('meta[name="keywords"]')),
+  };
+}
+
+// 메일로 받은 기사 (뉴스레터 · 전달 메일) — Subject → 제목, From 표시 이름 → 출처, Date → 날짜
+function emlArticle(raw) {
+  const { headers, body } = splitMimePart(raw);
+  const from = decodeMimeWords(headers.from || "");
+  const name = from.replace(/<[^>]*>/g, "").replace(/["']/g, "").trim();
+  const address = (from.match(/@([^>\s]+)/) || [])[1] || "";
+  return {
+    title: decodeMimeWords(headers.subject || "").trim(),
+    text: mimeText(headers, body),
+    source: name && !name.includes("@") ? name : address,
+    date: formatTimestamp(parseTimestamp(headers.date), "date"),
+    tags: [],
+  };
+}
+
+// 헤더 · 본문 분리 (접힌 헤더 줄은 이어 붙이고, 같은 헤더는 처음 것)
+function splitMimePart(raw) {
+  const split = raw.search(/\r?\n\r?\n/);
+  const head = split === -1 ? raw : raw.slice(0, split);
+  const body = split === -1 ? "" : raw.slice(split).replace(/^\r?\n\r?\n/, "");
+  const headers = {};
+  head.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/).forEach((line) => {
+    const m = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (m && !(m[1].toLowerCase() in headers)) headers[m[1].toLowerCase()] = m[2];
+  });
+  return { headers, body };
+}
+
+// 본문 텍스트 — multipart면 첨부가 아닌 파트 중 text/plain 우선, 없으면 text/html에서 추출
+function mimeText(headers, body) {
+  const type = headers["content-type"] || "text/plain";
+  const boundary = type.match(/boundary="?([^";]+)"?/i);
+  if (/^multipart\//i.test(type) && boundary) {
+    const parts = body.split(`--${boundary[1]}`).slice(1)
+      .filter((p) => !p.startsWith("--"))
+      .map((p) => splitMimePart(p.replace(/^\r?\n/, "")))
+      .filter((p) => !/attachment/i.test(p.headers["content-disposition"] || ""))
+      .map((p) => ({ html: /^text\/html/i.test(p.headers["content-type"] || ""), text: mimeText(p.headers, p.body) }))
+      .filter((p) => p.text);
+    const best = parts.find((p) => !p.html) || parts[0];
+    return best ? best.text : "";
+  }
+  if (!/^text\//i.test(type)) return "";
+  const text = decodeMimeBody(body, headers["content-transfer-encoding"], (type.match(/charset="?([^";]+)"?/i) || [])[1]);
+  return /^text\/html/i.test(type) ? htmlArticle(text).text : text.trim();
+}
+
+function decodeMimeBody(body, encoding = "", charset = "utf-8") {
+  const enc = encoding.trim().toLowerCase();
+  if (enc === "base64") return decodeBytes(Uint8Array.from(atob(body.replace(/\s+/g, "")), (c) => c.charCodeAt(0)), charset);
+  if (enc === "quoted-printable") return decodeBytes(quotedPrintableBytes(body.replace(/=\r?\n/g, "")), charset);
+  return body;
+}
+
+// "=?UTF-8?B?7KCA7J6R6raM?=" · "=?euc-kr?Q?=C0=FA=C0=DB?=" → 텍스트 (이어진 인코딩 단어 사이 공백은 무시)
+function decodeMimeWords(value) {
+  return value
+    .replace(/\?=\s+=\?/g, "?==?")
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (_, charset, enc, data) => (enc.toLowerCase() === "b"
+      ? decodeBytes(Uint8Array.from(atob(data), (c) => c.charCodeAt(0)), charset)
+      : decodeBytes(quotedPrintableBytes(data.replace(/_/g, " ")), charset)));
+}
+
+function quotedPrintableBytes(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    const hex = text.slice(i + 1, i + 3);
+    if (text[i] === "=" && /^[0-9a-f]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(text.charCodeAt(i) & 0xff);
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+function decodeBytes(bytes, charset = "utf-8") {
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch (_) {
+    return new TextDecoder("utf-8").decode(bytes); // 모르는 문자셋
+  }
+}
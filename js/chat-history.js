@@ -0,0 +1,250 @@
+/**
+ * 챗봇 대화 기록 모듈 (index.html 챗봇 💬 대화 기록 모달)
+ *
+ * appendChatMessage로 나간 메시지를 날짜별로 localStorage에 쌓는다 — 기사 · 탐지 카드도 화면에 그린 그대로.
+ *   { "2026-02-24": [{ at, role: "user" | "bot", html }] }
+ * 페이지를 다시 열면 오늘 대화를 이어서 보여주고, 지난 날짜는 목록에서 골라 보거나 챗봇에 다시 연다.
+ * 사고 티켓용으로 날짜별 HTML(단독으로 열리는 파일) · Markdown(표 · 굵게 유지)으로 내보낸다.
+ * 카드의 버튼(원본 로그 · 분석 상태 등)은 그때의 탐지를 가리키므로 기록 보기 · 내보내기에서는 뺀다 (탐지 · 자산 이름은 글자로).
+ * 최근 CHAT_HISTORY_DAYS일만 남기며, 저장 공간이 모자라면 오래된 날부터 지운다.
+ */
+
+const CHAT_STORAGE_KEY = "threat-trend.chat";
+const CHAT_HISTORY_DAYS = 30;
+const CHAT_ROLE_LABELS = { user: "분석가", bot: "챗봇" };
+const CHAT_EXPORT_STYLE = `
+  body { font-family: Malgun Gothic, sans-serif; font-size: 13px; color: #334155; max-width: 900px; margin: 24px auto; }
+  h1 { font-size: 18px; color: #1a1f2e; }
+  .msg { margin: 10px 0; padding: 9px 13px; border: 1px solid #e2e6ed; border-radius: 8px; line-height: 1.6; }
+  .msg.user { background: #fff3e8; border-color: #f5c9a3; }
+  .meta { font-size: 11px; color: #64748b; margin-bottom: 4px; }
+  table { border-collapse: collapse; margin: 6px 0; }
+  th, td { border: 1px solid #e2e6ed; padding: 3px 8px; text-align: left; font-size: 12px; }
+  th { background: #f8fafc; }
+  .chat-card-title { font-weight: 700; }
+  .chat-card-section { font-weight: 700; margin-top: 10px; }`;
+
+let chatHistory = loadChatHistory();
+let chatHistoryDay = null; // 모달에서 보고 있는 날짜
+
+function loadChatHistory() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CHAT_STORAGE_KEY));
+    return stored && typeof stored === "object" && !Array.isArray(stored) ? stored : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function saveChatHistory() {
+  const days = Object.keys(chatHistory).sort();
+  days.slice(0, Math.max(0, days.length - CHAT_HISTORY_DAYS)).forEach((day) => delete chatHistory[day]);
+  for (;;) {
+    try {
+      localStorage.setItem(CHAT_STORAGE_KEY, JSON.stringify(chatHistory));
+      return;
+    } catch (_) {
+      // 저장 공간 부족 — 오래된 날부터 지우고, 오늘만 남았으면 이번 세션 안에서만 유지
+      const oldest = Object.keys(chatHistory).sort()[0];
+      if (!oldest || oldest === chatToday()) return;
+      delete chatHistory[oldest];
+    }
+  }
+}
+
+function chatToday() {
+  return formatTimestamp(Date.now(), "date");
+}
+
+// appendChatMessage가 그린 말풍선 마크업을 오늘 기록에 추가
+function recordChatMessage(role, markup) {
+  const day = chatToday();
+  chatHistory[day] = [...(chatHistory[day] || []), { at: Date.now(), role, html: markup }];
+  saveChatHistory();
+}
+
+// 페이지 로드 시 오늘 대화 이어 보기 (다시 기록하지 않음)
+function restoreChatHistory() {
+  const messages = chatHistory[chatToday()] || [];
+  if (messages.length === 0) return;
+  messages.forEach((m) => appendChatMessage(m.role, cleanChatMarkup(m.html, true), false));
+  appendChatDivider(`이전 대화 ${messages.length}건 — 오늘 ${formatTimestamp(messages[messages.length - 1].at, "time")}까지`);
+}
+
+function appendChatDivider(text) {
+  const box = document.getElementById("chat-messages");
+  const divider = document.createElement("div");
+  divider.className = "chat-divider";
+  divider.textContent = text;
+  box.appendChild(divider);
+  box.scrollTop = box.scrollHeight;
+}
+
+// 저장된 마크업 → SafeHtml (스크립트 · 이벤트 속성 제거)
+// keepControls가 아니면 동작 버튼(원본 로그 · 분석 상태 · 링크)은 빼고, 이름 버튼(탐지 · 자산)은 글자만 남긴다
+// 질의 답변의 [원본 로그](data-chat-rows)는 항상 뺀다 — 행 묶음 id(q1, q2…)가 페이지마다 새로 매겨져 다른 답변을 가리킴
+// 저장본은 html.js를 거친 마크업이지만 localStorage는 다른 탭에서도 고칠 수 있어 한 번 더 거른다
+function cleanChatMarkup(markup, keepControls = false) {
+  const template = document.createElement("template");
+  template.innerHTML = String(markup || "");
+  template.content.querySelectorAll("script, style, iframe, object, embed, [data-chat-rows]").forEach((el) => el.remove());
+  if (!keepControls) {
+    template.content.querySelectorAll(".detail-rows-btn, a.btn-action").forEach((el) => el.remove());
+    template.content.querySelectorAll("button").forEach((el) => el.replaceWith(el.textContent));
+  }
+  template.content.querySelectorAll("*").forEach((el) => {
+    [...el.attributes]
+      .filter((a) => /^on/i.test(a.name) || /^\s*javascript:/i.test(a.value))
+      .forEach((a) => el.removeAttribute(a.name));
+  });
+  return new SafeHtml(template.innerHTML);
+}
+
+// ── 화면 ─────────────────────────────────────────────────────────
+function setupChatHistory() {
+  document.getElementById("btn-chat-history").addEventListener("click", openChatHistory);
+  document.getElementById("chat-history-close").addEventListener("click", closeChatHistory);
+  document.getElementById("chat-history-modal").addEventListener("click", (e) => {
+    if (e.target === e.currentTarget) closeChatHistory();
+  });
+  document.getElementById("chat-history-body").addEventListener("click", (e) => {
+    const row = e.target.closest("tr[data-day]");
+    if (!row) return;
+    chatHistoryDay = row.dataset.day;
+    renderChatHistory();
+  });
+  document.getElementById("chat-history-reopen").addEventListener("click", reopenChatDay);
+  document.getElementById("chat-history-html").addEventListener("click", () => exportChatDay(chatHistoryDay, "html"));
+  document.getElementById("chat-history-md").addEventListener("click", () => exportChatDay(chatHistoryDay, "md"));
+  document.getElementById("chat-history-delete").addEventListener("click", deleteChatDay);
+  restoreChatHistory();
+}
+
+function openChatHistory() {
+  chatHistoryDay = chatHistory[chatHistoryDay] ? chatHistoryDay : null;
+  setChatHistoryStatus("");
+  renderChatHistory();
+  document.getElementById("chat-history-modal").classList.add("open");
+}
+
+function closeChatHistory() {
+  document.getElementById("chat-history-modal").classList.remove("open");
+}
+
+function renderChatHistory() {
+  const days = Object.keys(chatHistory).sort().reverse();
+  if (!chatHistory[chatHistoryDay]) chatHistoryDay = days[0] || null;
+  ["chat-history-reopen", "chat-history-html", "chat-history-md", "chat-history-delete"]
+    .forEach((id) => { document.getElementById(id).disabled = !chatHistoryDay; });
+
+  const rows = days.map((day) => {
+    const messages = chatHistory[day];
+    const question = messages.find((m) => m.role === "user");
+    return html`<tr data-day="${day}" class="${day === chatHistoryDay ? "active" : ""}">
+      <td>${day}${day === chatToday() && " (오늘)"}</td><td>${messages.length}건</td><td>${question ? chatPlainText(question.html) : "-"}</td>
+    </tr>`;
+  });
+  const transcript = (chatHistory[chatHistoryDay] || []).map((m) => html`<div class="chat-message ${m.role}">
+    <div class="bubble"><div class="chat-time">${formatTimestamp(m.at, "time")}</div>${cleanChatMarkup(m.html)}</div>
+  </div>`);
+
+  setHtml(document.getElementById("chat-history-body"), days.length === 0
+    ? html`<p class="rules-hint">저장된 대화가 없습니다. 챗봇 메시지는 날짜별로 이 브라우저에 최근 ${CHAT_HISTORY_DAYS}일 동안 저장됩니다.</p>`
+    : html`<table class="detail-table asset-hit-table chat-history-table">
+        <tr><th>날짜</th><th>메시지</th><th>첫 질문</th></tr>
+        ${rows}
+      </table>
+      <div class="rules-form-title">💬 ${chatHistoryDay} 대화</div>
+      <div class="chat-transcript">${transcript}</div>`);
+}
+
+// 고른 날짜의 대화를 챗봇 창에 이어 붙임 (버튼 포함 — 탐지가 바뀌었으면 클릭 시 안내)
+function reopenChatDay() {
+  const messages = chatHistory[chatHistoryDay] || [];
+  appendChatDivider(`${chatHistoryDay} 대화 ${messages.length}건 다시 열기`);
+  messages.forEach((m) => appendChatMessage(m.role, cleanChatMarkup(m.html, true), false));
+  appendChatDivider(`${chatHistoryDay} 대화 끝`);
+  closeChatHistory();
+}
+
+function deleteChatDay() {
+  if (!confirm(`${chatHistoryDay} 대화 기록을 지울까요?`)) return;
+  delete chatHistory[chatHistoryDay];
+  saveChatHistory();
+  setChatHistoryStatus(`${chatHistoryDay} 기록을 지웠습니다`, "success");
+  chatHistoryDay = null;
+  renderChatHistory();
+}
+
+// ── 내보내기 ─────────────────────────────────────────────────────
+function exportChatDay(day, format) {
+  const messages = chatHistory[day] || [];
+  const title = `위협탐지 챗봇 대화 기록 — ${day}`;
+  const content = format === "html"
+    ? toHtml(html`<!DOCTYPE html>
+<html lang="ko">
+<head><meta charset="UTF-8"><title>${title}</title><style>${CHAT_EXPORT_STYLE}</style></head>
+<body>
+<h1>${title}</h1>
+${messages.map((m) => html`<div class="msg ${m.role}"><div class="meta">${CHAT_ROLE_LABELS[m.role]} · ${formatTimestamp(m.at)}</div>${cleanChatMarkup(m.html)}</div>
+`)}</body>
+</html>
+`)
+    : `# ${title}\n\n${messages.map((m) => `**${CHAT_ROLE_LABELS[m.role]}** · ${formatTimestamp(m.at)}\n\n${chatMarkdown(m.html)}\n`).join("\n---\n\n")}`;
+
+  const blob = new Blob([content], { type: format === "html" ? "text/html" : "text/markdown" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `chat_${day.replace(/-/g, "")}.${format}`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+  setChatHistoryStatus(`${a.download} 내려받기`, "success");
+}
+
+function chatPlainText(markup) {
+  const template = document.createElement("template");
+  template.innerHTML = String(markup || "");
+  return template.content.textContent.trim();
+}
+
+// 말풍선 마크업 → Markdown (줄바꿈 · 굵게 · 카드 제목 · 표 · 목록)
+function chatMarkdown(markup) {
+  const template = document.createElement("template");
+  template.innerHTML = cleanChatMarkup(markup).markup;
+  return markdownOf(template.content).replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+function markdownOf(node) {
+  return [...node.childNodes].map((n) => {
+    if (n.nodeType === Node.TEXT_NODE) return n.textContent.replace(/\s+/g, " ");
+    if (n.nodeType !== Node.ELEMENT_NODE) return "";
+    const inner = markdownOf(n);
+    switch (n.tagName) {
+      case "BR": return "\n";
+      case "B": case "STRONG": return inner.trim() && `**${inner.trim()}**`;
+      case "TABLE": return `\n\n${markdownTable(n)}\n\n`;
+      case "LI": return `\n- ${inner.trim()}`;
+      case "DIV": case "P": case "UL":
+        return n.classList.contains("chat-card-title") ? `\n\n### ${inner.trim()}\n\n` : `\n${inner.trim()}\n`;
+      default: return inner;
+    }
+  }).join("");
+}
+
+// 첫 행이 모두 th면 머리글, 아니면(항목 · 값 표) 빈 머리글
+function markdownTable(table) {
+  const rows = [...table.querySelectorAll("tr")].map((tr) => [...tr.children]
+    .map((cell) => markdownOf(cell).trim().replace(/\n+/g, "<br>").replace(/\|/g, "\\|")));
+  if (rows.length === 0) return "";
+  const width = Math.max(...rows.map((r) => r.length));
+  const line = (cells) => `| ${[...cells, ...Array(width - cells.length).fill("")].join(" | ")} |`;
+  const hasHeader = [...table.querySelector("tr").children].every((cell) => cell.tagName === "TH");
+  const [head, ...body] = hasHeader ? rows : [Array(width).fill(""), ...rows];
+  return [line(head), line(Array(width).fill("---")), ...body.map(line)].join("\n");
+}
+
+function setChatHistoryStatus(text, kind = "") {
+  const el = document.getElementById("chat-history-status");
+  el.textContent = text;
+  el.className = `excel-status ${kind}`;
+}
@@ -0,0 +1,243 @@
+/**
+ * 챗봇 질의 해석 모듈 (app.js autoReply)
+ *
+ * 자유 문장에서 조건을 뽑아 로드된 원본 로그로 직접 답한다.
+ *   "어제 10.150.21.10 관련 웹방화벽 차단 몇 건?"
+ *     → 기간 어제 · IP 10.150.21.10 · 소스 웹방화벽 · 조치 차단 · 건수 질문
+ *
+ *   소스     어댑터 keywords (log-sources.js)          피싱, 메일, NDR, 웹방화벽 …
+ *   기간     오늘 · 어제 · 그제 · N일 전 · 최근 N일/시간/주 · 이번 주 · 지난주
+ *            2월 20일 · 2026-02-20 · 2월 20일 ~ 22일 (연도가 없으면 올해, 미래면 작년)
+ *   지표     IP · 도메인 · 메일 주소 (extractIOCs — ioc.js), 호스트명 (자산 기준정보의 호스트명, 또는 web-01처럼 영문 + 구분자 + 숫자)
+ *   조치     차단 → 차단된 행만, 허용 · 통과 · 미차단 · 유입 → 차단되지 않은 행만 (어댑터 allowed)
+ *   건수     몇 건 · 건수 · 얼마나 → 건수를 앞에 크게
+ *   위협     기사 제목 키워드(ruleTerms — rules.js) · 태그가 들어 있으면 그 위협과 연계된 행만
+ *
+ * 기간 · 지표 · 건수 질문이 있거나, 위협과 소스 · 조치가 함께 있을 때만 이 모듈이 답하고
+ * 그 밖의 문장은 기존 키워드 답변으로 넘긴다 (null).
+ * 지표만 있는 질문(기간은 있어도 됨)은 지표 조회(pivot.js)로 답한다.
+ * 위협이 여럿 걸리거나, 무엇을 셀지 모르거나, 날짜를 해석할 수 없으면 되묻는다.
+ * 억제 규칙(suppress.js)에 걸린 행은 제외하고, 질문에 기간이 없으면 상단 기간 필터를 따른다.
+ */
+
+const QUERY_COUNT_PATTERN = /(몇\s*(건|개|번|회|행)|건수|개수|얼마나|how\s+many|count)/i;
+const QUERY_BLOCKED_PATTERN = /(차단|block)/i;
+const QUERY_ALLOWED_PATTERN = /(허용|통과|미차단|유입|수신|allow)/i;
+const QUERY_SAMPLE_ROWS = 3;
+
+// 답변의 [원본 로그] 버튼 → 행 묶음 (log-table.js openLogTable 형식)
+const chatRowSets = new Map();
+
+// → { sources, range, rangeError, ips, domains, emails, hosts, action, count, threats }
+function parseChatQuery(text, now = Date.now()) {
+  const iocs = extractIOCs(text);
+  const emailDomains = new Set(iocs.email.map((e) => e.split("@").pop()));
+  // 날짜 · 단어 해석 전에 지표를 지워 "10.150.21.10"을 날짜로 읽지 않도록
+  const rest = refang(text)
+    .replace(/\b[a-z0-9._%+-]+@(?:[a-z0-9-]+\.)+[a-z]{2,24}\b/gi, " ")
+    .replace(/\b\d{1,3}(?:\.\d{1,3}){3}\b/g, " ")
+    .replace(/\b(?:[a-z0-9-]+\.)+[a-z]{2,24}\b/gi, " ");
+  const lower = rest.toLowerCase();
+  const { range, error } = parseQueryRange(lower, now);
+
+  const sources = Object.keys(LOG_SOURCES).filter((key) => LOG_SOURCES[key].keywords.test(lower));
+  const action = QUERY_BLOCKED_PATTERN.test(lower) ? "blocked" : QUERY_ALLOWED_PATTERN.test(lower) ? "allowed" : null;
+
+  return {
+    text,
+    sources,
+    range,
+    rangeError: error,
+    ips: iocs.ip,
+    domains: iocs.domain.filter((d) => !emailDomains.has(d)),
+    emails: iocs.email,
+    hosts: queryHosts(rest),
+    action,
+    count: QUERY_COUNT_PATTERN.test(lower),
+    threats: queryThreats(lower, activeThreats),
+  };
+}
+
+// 기간 표현 → { range: { from, to, label } | null, error: 해석 못한 표현 | null }
+function parseQueryRange(lower, now) {
+  const today = startOfDay(now);
+  const day = (offset) => today + offset * DAY_MS;
+  // label이 없으면 날짜만 — "2026-02-20 ~ 2026-02-22"
+  const make = (from, to, label) => {
+    const dates = formatQueryRange(from, to);
+    return { range: { from, to, label: label ? `${label} (${dates})` : dates }, error: null };
+  };
+
+  let m = lower.match(/최근\s*(\d+)\s*(일|시간|주)/);
+  if (m) {
+    const n = +m[1];
+    if (m[2] === "시간") return make(now - n * 3600000, null, `최근 ${n}시간`);
+    const days = m[2] === "주" ? n * 7 : n;
+    return make(day(-(days - 1)), null, `최근 ${n}${m[2]}`);
+  }
+  m = lower.match(/(\d+)\s*일\s*전/);
+  if (m) return make(day(-+m[1]), day(-+m[1] + 1), `${m[1]}일 전`);
+  if (/오늘|금일/.test(lower)) return make(today, null, "오늘");
+  if (/그제|그저께/.test(lower)) return make(day(-2), day(-1), "그제");
+  if (/어제|전일/.test(lower)) return make(day(-1), today, "어제");
+  if (/(이번|금)\s*주/.test(lower) || /지난\s*주|저번\s*주/.test(lower)) {
+    const weekday = (new Date(today + timeZoneOffset(DISPLAY_TIME_ZONE) * 60000).getUTCDay() + 6) % 7; // 월요일 0
+    const monday = today - weekday * DAY_MS;
+    return /지난|저번/.test(lower)
+      ? make(monday - 7 * DAY_MS, monday, "지난주")
+      : make(monday, null, "이번 주");
+  }
+
+  // 2026-02-20 · 2026.2.20 · 2월 20일 · 2/20 — "2월 20일 ~ 22일"이면 범위 (연도 없는 "2.17"은 버전 번호일 수 있어 제외)
+  const datePattern = /(\d{4})\s*[-./년]\s*(\d{1,2})\s*[-./월]\s*(\d{1,2})\s*일?|(\d{1,2})\s*(?:월\s*|\/)(\d{1,2})\s*일?/g;
+  const dates = [...lower.matchAll(datePattern)]
+    .map((m) => ({ text: m[0], year: m[1], month: m[2] || m[4], date: m[3] || m[5], end: m.index + m[0].length }));
+  if (dates.length === 0) return { range: null, error: null };
+  const toMs = ({ text, year, month, date }) => {
+    const y = year ? +year : +formatTimestamp(now, "date").slice(0, 4);
+    let ms = fromWallClock(y, +month, +date);
+    if (ms !== null && !year && ms > now + DAY_MS) ms = fromWallClock(y - 1, +month, +date);
+    return { ms, text: text.trim() };
+  };
+  const first = toMs(dates[0]);
+  if (first.ms === null) return { range: null, error: first.text };
+
+  let last = first;
+  if (dates.length > 1) {
+    last = toMs(dates[1]);
+  } else {
+    // "2월 20일 ~ 22일" · "2월 20일부터 22일까지"
+    const tail = lower.slice(dates[0].end).match(/^\s*(?:~|-|부터|에서)\s*(\d{1,2})\s*일/);
+    if (tail) last = toMs({ ...dates[0], text: tail[0], date: tail[1] });
+  }
+  if (last.ms === null) return { range: null, error: last.text };
+  const [from, to] = first.ms <= last.ms ? [first.ms, last.ms] : [last.ms, first.ms];
+  return make(from, to + DAY_MS, null);
+}
+
+// "2026-02-23" · "2026-02-20 ~ 2026-02-22" · "2026-02-18 ~ 현재"
+function formatQueryRange(from, to) {
+  const start = formatTimestamp(from, "date");
+  const end = to === null ? "현재" : formatTimestamp(to - 1, "date");
+  return start === end ? start : `${start} ~ ${end}`;
+}
+
+// 호스트명 — 자산 기준정보의 호스트명(FSVMGR001), 또는 영문 + 구분자(- _) + 숫자로 끝나는 토큰 (web-01, db_02)
+// "top10" · "win11"처럼 숫자로만 끝나는 단어는 자산에 없으면 호스트명으로 보지 않는다
+// IP · 도메인은 이미 지운 문장에서 찾는다
+function queryHosts(rest) {
+  const known = new Set(ASSETS.map((a) => String(a.hostname || "").toLowerCase()).filter(Boolean));
+  return [...new Set((rest.match(/\b[a-z][a-z0-9_-]{2,}\b/gi) || [])
+    .filter((w) => known.has(w.toLowerCase()) || (!/^cve-/i.test(w) && /^[a-z][a-z0-9]*(?:[-_][a-z0-9]+)*[-_]\d+$/i.test(w))))];
+}
+
+// 제목 키워드 · 태그가 문장에 들어 있는 위협 — 일치 수가 가장 많은 것들 (소스 키워드는 제외)
+function queryThreats(lower, threats) {
+  const isSourceWord = (w) => Object.values(LOG_SOURCES).some((s) => s.keywords.test(w));
+  const scored = threats.map((t) => {
+    const terms = [...ruleTerms(t, activeRules), ...(t.tags || []).map((g) => g.toLowerCase())]
+      .filter((w) => w.length >= 2 && !isSourceWord(w));
+    return [t, new Set(terms.filter((w) => lower.includes(w))).size];
+  }).filter(([, score]) => score > 0);
+  const best = Math.max(0, ...scored.map(([, score]) => score));
+  return scored.filter(([, score]) => score === best).map(([t]) => t);
+}
+
+function isStructuredQuery(q) {
+  const indicators = q.ips.length + q.domains.length + q.emails.length + q.hosts.length;
+  return Boolean(q.range || q.rangeError || indicators || q.count || (q.threats.length && (q.sources.length || q.action)));
+}
+
+// 질의 → 답변 (SafeHtml)
+function answerChatQuery(q) {
+  if (q.rangeError) return html`"<b>${q.rangeError}</b>"은(는) 해석할 수 없는 날짜입니다. 예: 2월 20일, 2026-02-20, 최근 3일`;
+  if (q.threats.length > 1) {
+    const items = q.threats.map((t) => html`• ${t.title}`);
+    return html`여러 위협이 해당됩니다. 어느 위협을 말씀하시는지 제목의 단어를 하나 더 넣어 다시 질문해 주세요.<br>${joinHtml(items, html`<br>`)}`;
+  }
+  const indicators = [...q.ips, ...q.domains, ...q.emails, ...q.hosts];
+  if (q.count && !q.range && !indicators.length && !q.sources.length && !q.threats.length && !q.action) {
+    return html`무엇의 건수를 찾을지 알려주세요. 예: "어제 웹방화벽 차단 몇 건?", "최근 3일 10.150.21.10 관련 NDR 몇 건?"`;
+  }
+  // 지표만 있으면 소스 · 위협 · 자산 전체 피벗 (pivot.js)
+  if (isPivotQuery(q)) return answerPivot(q);
+  if (!activeLogs) return "로드된 원본 로그가 없어 조건 검색을 할 수 없습니다 (목데이터 표시 중). data.xlsx나 로그 파일을 넣어 주세요.";
+
+  const result = runChatQuery(q);
+  const conditions = [
+    q.range ? q.range.label : isRangeActive() && formatDateRange(),
+    q.threats[0] && `위협 "${q.threats[0].title}"`,
+    q.sources.length && `소스 ${q.sources.map((k) => LOG_SOURCES[k].label).join(" · ")}`,
+    ...q.ips.map((v) => `IP ${v}`), ...q.domains.map((v) => `도메인 ${v}`),
+    ...q.emails.map((v) => `메일 ${v}`), ...q.hosts.map((v) => `호스트 ${v}`),
+    q.action && (q.action === "blocked" ? "차단된 행" : "차단되지 않은 행"),
+  ].filter(Boolean);
+
+  const head = html`🔎 <b>조건</b>: ${conditions.length ? conditions.join(" · ") : "전체"}`;
+  if (result.total === 0) {
+    const hint = q.range && runChatQuery({ ...q, range: null }).total;
+    return html`${head}<br>조건에 맞는 로그가 없습니다.${hint > 0 && ` (기간을 빼면 ${hint}건)`}`;
+  }
+
+  const bySource = result.groups.map((g) => {
+    const id = `q${chatRowSets.size + 1}`;
+    chatRowSets.set(id, { sourceKey: g.sourceKey, rows: g.rows, label: `${g.source.label} — ${conditions.join(" · ") || "전체"}` });
+    const samples = g.rows.slice(0, QUERY_SAMPLE_ROWS).map((row) => html`<br>&nbsp;&nbsp;└ ${formatQueryRow(g.source, row)}`);
+    return html`• ${g.source.type} ${g.source.action} <b>${g.count}건</b> (${g.rows.length}행) <button class="btn-action chat-link" data-chat-rows="${id}">📑 원본 로그</button>${samples}`;
+  });
+  const detections = activeDetections.filter((d) => d.rows && d.rows.some((r) => result.rowSet.has(r)));
+
+  return html`${head}<br>${q.count ? html`→ <b class="query-total">${result.total}건</b> (로그 ${result.rowCount}행)` : html`→ 로그 ${result.rowCount}행, ${result.total}건`}<br>
+    ${joinHtml(bySource, html`<br>`)}
+    ${detections.length > 0 && html`<br>관련 탐지 ${detections.length}건:<br>${formatLabelList(detections.slice(0, 5))}${detections.length > 5 && html`<br>… 외 ${detections.length - 5}건`}`}`;
+}
+
+// 조건에 맞는 행 → { groups: [{ sourceKey, source, rows, count }], total, rowCount, rowSet }
+function runChatQuery(q) {
+  let logs = splitSuppressed(activeLogs).logs;
+  logs = q.range ? filterLogsByRange(logs, q.range) : filterLogsByRange(logs);
+  if (q.sources.length) logs = Object.fromEntries(Object.entries(logs).filter(([key]) => q.sources.includes(key)));
+
+  let threatRowSet = null;
+  if (q.threats.length) {
+    const detections = correlateLogs(q.threats, logs, activeRules);
+    threatRowSet = new Set(threatRows(q.threats[0].id, detections).map((r) => r.row));
+  }
+
+  const groups = Object.entries(logs)
+    .filter(([key]) => LOG_SOURCES[key])
+    .map(([sourceKey, rows]) => {
+      const source = LOG_SOURCES[sourceKey];
+      const matched = rows.filter((row) =>
+        (!threatRowSet || threatRowSet.has(row)) &&
+        (!q.action || (q.action === "blocked") !== source.allowed(row)) &&
+        rowHasIndicators(row, q));
+      return { sourceKey, source, rows: matched, count: matched.length ? source.count(matched) : 0 };
+    })
+    .filter((g) => g.rows.length > 0);
+
+  return {
+    groups,
+    total: groups.reduce((sum, g) => sum + g.count, 0),
+    rowCount: groups.reduce((sum, g) => sum + g.rows.length, 0),
+    rowSet: new Set(groups.flatMap((g) => g.rows)),
+  };
+}
+
+// 지표가 여럿이면 모두 들어 있는 행
+function rowHasIndicators(row, q) {
+  const values = Object.values(row).filter((v) => v !== null && v !== undefined && !(v instanceof Date)).map(String);
+  const has = (type, term) => values.some((v) => iocEquals(type, term, v));
+  return q.ips.every((ip) => has("ip", ip)) &&
+    q.domains.every((d) => has("domain", d) || values.some((v) => v.toLowerCase().includes(d))) &&
+    q.emails.every((e) => has("email", e)) &&
+    q.hosts.every((h) => values.some((v) => new RegExp(`(^|[^a-z0-9-])${h.replace(/[-]/g, "\\-")}($|[^a-z0-9-])`, "i").test(v)));
+}
+
+// "02-23 09:10 · Port Scan Detected · 10.150.21.10 → 10.150.20.11"
+function formatQueryRow(source, row) {
+  const time = rowTime(source, row);
+  const rule = source.ruleField && row[source.ruleField];
+  const ips = summarizeEntities(source.entities([row]), source.timeZone).map((e) => e.value);
+  return [time !== null && formatTimestamp(time, "short"), rule, ips.join(" → ")].filter(Boolean).join(" · ");
+}
@@ -0,0 +1,109 @@
+/**
+ * 기사 ↔ 로그 상관분석 모듈
+ *
+ * 파서(excel.js · log-import.js)가 소스별로 모은 로그 행(logs.spam / logs.ndr / logs.waf …)을
+ * 매칭 룰(rules.js)로 각 기사와 연계하여 탐지현황(detections)을 만든다.
+ * 탐지마다 신뢰도 점수(score)와 일치 근거(matches)를 함께 남긴다 (scoring.js).
+ * 유형 · 라벨 · 건수 · 대상 · 상세정보는 소스 어댑터(log-sources.js)가 정하고, 소스마다 별도 탐지로 남긴다
+ * (같은 위협의 소스 간 관계는 cross-source.js의 교차 상관 화면에서 본다).
+ *
+ * 탐지는 일치한 원본 로그 행의 참조(rows)와 소스 키(sourceKey)를 함께 가지며, 상세정보(detail)는 요약이고
+ * 행 전체는 원본 로그 표(log-table.js)에서 본다.
+ *
+ * 기사 본문의 IOC(ioc.js)가 로그 필드와 정확히 일치한 행은 키워드 매칭과 별도의
+ * IOC 탐지(matchType: "IOC", 신뢰도 100)로 만든다.
+ */
+
+const IOC_SCORE = 100;
+
+function correlateLogs(threats, logs, rules) {
+  const detections = [];
+  const stats = createTermStats(logs);
+  let detectionId = 1;
+
+  // ── 키워드 매칭 (소스 등록 순서대로) ─────────────────────────────
+  Object.keys(logs).filter((key) => LOG_SOURCES[key]).forEach((sourceKey) => {
+    const source = LOG_SOURCES[sourceKey];
+    threats.forEach((threat) => {
+      const { rows: matched, score, matches } = scoreLogMatches(threat, sourceKey, logs[sourceKey], rules, stats);
+      if (matched.length === 0) return;
+      const count = source.count(matched);
+      detections.push({
+        id: detectionId++,
+        threatId: threat.id,
+        sourceKey,
+        type: source.type,
+        label: formatDetectionLabel(source, threat, count),
+        count,
+        action: source.action,
+        source: source.label,
+        score,
+        matches,
+        matchedRows: matched.length,
+        rows: matched,
+        targets: source.targets(matched),
+        entities: summarizeEntities(source.entities(matched), source.timeZone),
+        detail: source.detail(matched, count),
+      });
+    });
+  });
+
+  // ── IOC 직접 매칭 ────────────────────────────────────────────────
+  threats.forEach((threat) => {
+    const iocs = extractIOCs(`${threat.title}\n${threat.body || ""}`);
+    if (countIOCs(iocs) === 0) return;
+
+    Object.keys(logs).filter((key) => LOG_SOURCES[key]).forEach((sourceKey) => {
+      const source = LOG_SOURCES[sourceKey];
+      const { rows, matches } = matchIOCRows(iocs, sourceKey, logs[sourceKey]);
+      if (rows.length === 0) return;
+      const count = source.count(rows);
+      detections.push({
+        id: detectionId++,
+        threatId: threat.id,
+        sourceKey,
+        type: source.type,
+        matchType: "IOC",
+        label: formatDetectionLabel(source, threat, count, "IOC"),
+        count,
+        action: source.action,
+        source: source.label,
+        score: IOC_SCORE,
+        matches,
+        matchedRows: rows.length,
+        rows,
+        targets: source.targets(rows),
+        entities: summarizeEntities(source.entities(rows), source.timeZone),
+        detail: { "일치 IOC": iocSummary(matches), ...source.detail(rows, count) },
+      });
+    });
+  });
+
+  return detections;
+}
+
+// 위협 1건의 탐지 원본 행 [{ sourceKey, source, row, detection }] — 키워드 · IOC 탐지가 같은 행을 가리키면 한 번만
+function threatRows(threatId, detections) {
+  const seen = new Set();
+  const rows = [];
+  detections.filter((d) => d.threatId === threatId && d.rows).forEach((d) => {
+    d.rows.forEach((row) => {
+      if (seen.has(row)) return;
+      seen.add(row);
+      rows.push({ sourceKey: d.sourceKey, source: LOG_SOURCES[d.sourceKey], row, detection: d });
+    });
+  });
+  return rows;
+}
+
+// "IP 185.220.101.5, 도메인 copyright-notice.kr"
+function iocSummary(matches) {
+  return uniqueJoin(matches.map((m) => `${IOC_TYPE_LABELS[m.type]} ${m.term}`));
+}
+
+// 고유값 목록 — limit를 넘으면 "a, b, c 외 12건"
+function uniqueJoin(values, limit = Infinity, separator = ", ") {
+  const unique = [...new Set(values.filter(Boolean))];
+  if (unique.length <= limit) return unique.join(separator);
+  return `${unique.slice(0, limit).join(separator)} 외 ${unique.length - limit}건`;
+}
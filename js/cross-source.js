@@ -0,0 +1,102 @@
+/**
+ * 소스 간 교차 상관 모듈
+ *
+ * 한 위협에 여러 소스의 탐지가 있을 때, 같은 IP · 호스트가 어느 소스에서 어떤 역할로 언제 보였는지 묶는다.
+ *   - 웹방화벽 클라이언트 IP로 공격한 주소가 이후 NDR 소스/대상 IP로 다시 등장
+ *   - 피싱 메일 수신자의 PC(자산 기준정보로 IP 확인)가 이후 NDR에서 외부로 비콘 통신
+ *
+ * 탐지마다 correlate.js가 남긴 entities(어댑터의 entities — log-sources.js)를 사용하고,
+ * 목데이터처럼 entities가 없는 탐지는 targets(영향 대상)로 대신한다.
+ *
+ * 결과 형식:
+ * [{ kind: "ip" | "host", value, sightings: [{ source, detectionIds, roles, count, first, last }] }]
+ *   sightings는 처음 본 시각 순, first/last는 ms (시각이 없으면 null)
+ */
+
+// 로그 행 → 탐지에 남길 식별자 요약 [{ kind, value, role, count, first, last }] (시간대 없는 시각은 timeZone 기준)
+function summarizeEntities(entities, timeZone = DEFAULT_TIME_ZONE) {
+  const byKey = new Map();
+  entities.forEach((e) => {
+    const values = e.kind === "ip" ? extractIPs(e.value) : [String(e.value || "").trim()].filter(Boolean);
+    const time = parseTimestamp(e.time, timeZone);
+    values.forEach((value) => {
+      const key = `${e.kind}\u0000${value}\u0000${e.role}`;
+      if (!byKey.has(key)) byKey.set(key, { kind: e.kind, value, role: e.role, count: 0, first: null, last: null });
+      const item = byKey.get(key);
+      item.count++;
+      if (time !== null) {
+        item.first = item.first === null ? time : Math.min(item.first, time);
+        item.last = item.last === null ? time : Math.max(item.last, time);
+      }
+    });
+  });
+  return [...byKey.values()];
+}
+
+// 위협 1건의 소스 간 겹치는 IP · 호스트 (2개 이상 소스에서 보인 것만)
+function crossSourceLinks(threatId, detections, assets) {
+  const byEntity = new Map();
+  detections.filter((d) => d.threatId === threatId).forEach((d) => {
+    detectionEntities(d, assets).forEach((e) => {
+      const key = entityKey(e);
+      if (!byEntity.has(key)) byEntity.set(key, { kind: e.kind, value: e.value, bySource: new Map() });
+      const sources = byEntity.get(key).bySource;
+      if (!sources.has(d.source)) {
+        sources.set(d.source, { source: d.source, type: d.type, detectionIds: [], roles: [], count: 0, first: null, last: null });
+      }
+      const s = sources.get(d.source);
+      if (!s.detectionIds.includes(d.id)) s.detectionIds.push(d.id);
+      if (!s.roles.includes(e.role)) s.roles.push(e.role);
+      if (!d.rows) s.count += e.count || 0;
+      if (e.first !== null && e.first !== undefined) s.first = s.first === null ? e.first : Math.min(s.first, e.first);
+      if (e.last !== null && e.last !== undefined) s.last = s.last === null ? e.last : Math.max(s.last, e.last);
+    });
+  });
+
+  // 행이 있는 탐지는 건수를 행 기준으로 센다 — 키워드 · IOC 탐지가 같은 행을 함께 잡아도 한 번만 (threatRows)
+  threatRows(threatId, detections).forEach(({ source, row, detection }) => {
+    const rowEntities = detectionEntities({ entities: summarizeEntities(source.entities([row]), source.timeZone) }, assets);
+    new Set(rowEntities.map(entityKey)).forEach((key) => byEntity.get(key).bySource.get(detection.source).count++);
+  });
+
+  return [...byEntity.values()]
+    .filter((link) => link.bySource.size >= 2)
+    .map((link) => ({
+      kind: link.kind,
+      value: link.value,
+      sightings: [...link.bySource.values()].sort((a, b) => (a.first ?? Infinity) - (b.first ?? Infinity)),
+    }))
+    .sort((a, b) => (a.sightings[0].first ?? Infinity) - (b.sightings[0].first ?? Infinity));
+}
+
+// 탐지 1건의 식별자 — 메일 수신자는 자산 기준정보로 PC의 IP · 호스트명을 찾아 다른 소스와 비교
+function detectionEntities(d, assets) {
+  const base = d.entities || targetEntities(d.targets || {});
+  return base.flatMap((e) => {
+    if (e.kind !== "recipient") return [e];
+    return findAffectedAssets({ targets: { recipients: [e.value] } }, assets).flatMap((a) => {
+      const role = `${e.role} ${e.value} → 자산 ${a.hostname || a.ip}`;
+      return [
+        a.ip && { ...e, kind: "ip", value: a.ip, role },
+        a.hostname && { ...e, kind: "host", value: a.hostname, role },
+      ].filter(Boolean);
+    });
+  });
+}
+
+function entityKey(e) {
+  return `${e.kind}\u0000${e.kind === "host" ? norm(e.value) : e.value}`;
+}
+
+function targetEntities(targets) {
+  return [
+    ...(targets.ips || []).map((value) => ({ kind: "ip", value, role: "영향 대상", count: 0, first: null, last: null })),
+    ...(targets.hosts || []).map((value) => ({ kind: "host", value, role: "영향 대상", count: 0, first: null, last: null })),
+    ...(targets.recipients || []).map((value) => ({ kind: "recipient", value, role: "메일 수신자", count: 0, first: null, last: null })),
+  ];
+}
+
+// "121.254.1.2(CN), 10.1.2.3" → ["121.254.1.2", "10.1.2.3"]
+function extractIPs(value) {
+  return String(value || "").match(/\b\d{1,3}(?:\.\d{1,3}){3}\b/g) || [];
+}
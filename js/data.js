@@ -146,6 +146,7 @@ const DETECTIONS = [
     count: 34,
     action: "유입",
     source: "스팸스나이퍼",
+    targets: { recipients: ["홍길동", "정인사", "김운영"] },
     detail: {
       날짜: "2026-02-24",
       발신자: "noreply@copyright-notice[.]kr (외 12개 도메인)",
@@ -163,6 +164,7 @@ const DETECTIONS = [
     count: 16,
     action: "유입",
     source: "스팸스나이퍼",
+    targets: { recipients: ["정인사"] },
     detail: {
       날짜: "2026-02-23",
       발신자: "hr-notice@payroll-update[.]com (외 3개 도메인)",
@@ -180,6 +182,7 @@ const DETECTIONS = [
     count: 25,
     action: "유입",
     source: "스팸스나이퍼",
+    targets: { recipients: ["정인사", "홍길동"] },
     detail: {
       날짜: "2026-02-22",
       발신자: "hr@performance-eval[.]net (외 7개 도메인)",
@@ -197,6 +200,7 @@ const DETECTIONS = [
     count: 21,
     action: "유입",
     source: "스팸스나이퍼",
+    targets: { recipients: ["홍길동"] },
     detail: {
       날짜: "2026-02-21",
       발신자: "audit@fss-notice[.]kr (외 4개 도메인)",
@@ -214,11 +218,12 @@ const DETECTIONS = [
     count: 7,
     action: "차단",
     source: "웹방화벽",
+    targets: { ips: ["10.150.21.10", "10.150.21.11", "10.150.80.5"], hosts: [] },
     detail: {
       로그출처: "웹방화벽",
       매칭이벤트건수: "7건",
       "클라이언트 IP": "121.254.xx.xx, 175.45.xx.xx (외 5개)",
-      "서버 IP": "10.0.1.15 (외 2개)",
+      "서버 IP": "10.150.21.10 (외 2개)",
       "URL 도메인": "ssh.chinazdns[.]com",
       룰이름: "SSH Brute Force Detection",
       패턴이름: "ChinaZ C2 Pattern",
@@ -235,11 +240,12 @@ const DETECTIONS = [
     count: 6,
     action: "차단",
     source: "웹방화벽",
+    targets: { ips: ["10.150.21.11"], hosts: [] },
     detail: {
       로그출처: "웹방화벽",
       매칭이벤트건수: "6건",
       "클라이언트 IP": "203.0.113.xx (외 2개)",
-      "서버 IP": "10.0.2.30",
+      "서버 IP": "10.150.21.11",
       "URL 도메인": "update.weblogic-patch[.]net",
       룰이름: "WebLogic RCE Exploit",
       패턴이름: "CVE-2023-21839",
@@ -251,24 +257,41 @@ const DETECTIONS = [
   {
     id: 7,
     threatId: 7,
-    type: "NDR,웹방화벽",
-    label: "[NDR, 웹방화벽] 북한 라자루스 해킹그룹 관련 이벤트 12건 탐지/차단",
-    count: 12,
-    action: "탐지/차단",
-    source: "NDR,웹방화벽",
+    type: "NDR",
+    label: "[NDR] 북한 라자루스 해킹그룹 관련 이벤트 8건 탐지",
+    count: 8,
+    action: "탐지",
+    source: "NDR",
+    targets: { ips: ["10.150.21.10", "10.150.90.100"], hosts: [] },
     detail: {
-      로그출처: "NDR, 웹방화벽",
+      로그출처: "NDR",
       NDR_RuleName: "Lateral Movement Detected, Suspicious Outbound Connection",
       "로그 소스": "내부 네트워크 센서",
       "소스 IP": "198.51.100.xx (외 3개)",
-      "대상 IP": "10.0.3.10 (외 1개)",
-      매칭이벤트건수: "12건",
-      웹방화벽_클라이언트IP: "198.51.100.xx",
-      웹방화벽_서버IP: "10.0.3.10",
-      "웹방화벽_URL도메인": "iis.lazarus-c2[.]net",
-      웹방화벽_룰이름: "WebShell Upload Detected",
-      웹방화벽_탐지근거: "라자루스 IOC IP 매칭, 웹셸 업로드 시도",
-      조치량: "NDR 탐지 8건 / 웹방화벽 차단 4건",
+      "대상 IP": "10.150.21.10 (외 1개)",
+      매칭이벤트건수: "8건",
+      조치량: "8건 탐지",
+    },
+  },
+  {
+    id: 8,
+    threatId: 7,
+    type: "웹방화벽",
+    label: "[웹방화벽] 북한 라자루스 해킹그룹 관련 이벤트 4건 차단",
+    count: 4,
+    action: "차단",
+    source: "웹방화벽",
+    targets: { ips: ["10.150.21.10"], hosts: [] },
+    detail: {
+      로그출처: "웹방화벽",
+      매칭이벤트건수: "4건",
+      "클라이언트 IP": "198.51.100.xx",
+      "서버 IP": "10.150.21.10",
+      "URL 도메인": "iis.lazarus-c2[.]net",
+      룰이름: "WebShell Upload Detected",
+      탐지근거: "라자루스 IOC IP 매칭, 웹셸 업로드 시도",
+      조치: "차단",
+      조치량: "4건 차단",
     },
   },
 ];
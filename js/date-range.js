@@ -0,0 +1,106 @@
+/**
+ * 기간 필터 (index.html 상단 기간 선택)
+ *
+ * 선택한 기간으로 외부 위협동향 · 탐지현황 · 챗봇 답변을 함께 좁힌다.
+ *   - 탐지현황: 기간 안의 로그 행(rowTime — time.js)만으로 다시 상관분석 (건수 · 신뢰도 · 상세도 기간 기준)
+ *                시각이 없는 행은 기간을 지정하면 제외
+ *                목데이터는 다시 분석할 로그 행이 없으므로 탐지의 날짜(detail.날짜, 없으면 기사 보도일)로 거름
+ *   - 외부 위협동향: 보도일이 기간 안이거나, 기간 안에 탐지가 있는 기사 (날짜 없는 기사는 항상 표시)
+ *   - 챗봇: 위 두 목록을 기준으로 답변
+ * 프리셋은 오늘(KST) 기준 날짜 단위, 직접 지정은 시작일 0시 ~ 종료일 24시.
+ */
+
+const DATE_RANGE_PRESETS = {
+  all: "전체 기간",
+  today: "오늘",
+  "24h": "최근 24시간",
+  "7d": "최근 7일",
+  "30d": "최근 30일",
+  custom: "직접 지정",
+};
+
+// { preset, from, to } — ms, to는 미포함 (null이면 제한 없음)
+let activeRange = { preset: "all", from: null, to: null };
+
+function setupDateRange() {
+  const preset = document.getElementById("range-preset");
+  setHtml(preset, Object.entries(DATE_RANGE_PRESETS).map(([key, label]) => html`<option value="${key}">${label}</option>`));
+  preset.addEventListener("change", applyDateRange);
+  document.getElementById("range-from").addEventListener("change", applyDateRange);
+  document.getElementById("range-to").addEventListener("change", applyDateRange);
+}
+
+function applyDateRange() {
+  const preset = document.getElementById("range-preset").value;
+  document.getElementById("range-custom").hidden = preset !== "custom";
+  activeRange = resolveDateRange(preset, document.getElementById("range-from").value, document.getElementById("range-to").value);
+  document.getElementById("range-preset").title = formatDateRange(activeRange);
+  if (!recorrelate()) {
+    activeDetections = filterMockDetections(DETECTIONS);
+    renderThreats();
+    renderDetections();
+  }
+}
+
+function resolveDateRange(preset, fromText = "", toText = "", now = Date.now()) {
+  const today = startOfDay(now);
+  const days = { "7d": 7, "30d": 30 }[preset];
+  if (preset === "today") return { preset, from: today, to: null };
+  if (preset === "24h") return { preset, from: now - DAY_MS, to: null };
+  if (days) return { preset, from: today - (days - 1) * DAY_MS, to: null };
+  if (preset === "custom") {
+    const from = parseTimestamp(fromText);
+    const to = parseTimestamp(toText);
+    return { preset, from, to: to === null ? null : to + DAY_MS };
+  }
+  return { preset: "all", from: null, to: null };
+}
+
+function isRangeActive(range = activeRange) {
+  return range.from !== null || range.to !== null;
+}
+
+function inDateRange(ms, range = activeRange) {
+  if (!isRangeActive(range)) return true;
+  if (ms === null) return false;
+  return (range.from === null || ms >= range.from) && (range.to === null || ms < range.to);
+}
+
+// { spam: [...], ndr: [...] } → 기간 안의 행만 (기간이 없으면 그대로)
+function filterLogsByRange(logs, range = activeRange) {
+  if (!isRangeActive(range)) return logs;
+  return Object.fromEntries(Object.entries(logs).map(([key, rows]) => [
+    key,
+    rows.filter((row) => inDateRange(rowTime(LOG_SOURCES[key], row), range)),
+  ]));
+}
+
+// 목데이터 탐지 → 날짜(하루 단위)가 기간과 겹치는 것만 — 날짜가 없으면 기사 보도일, 둘 다 없으면 제외
+function filterMockDetections(detections, range = activeRange, threats = activeThreats) {
+  if (!isRangeActive(range)) return detections;
+  return detections.filter((d) => {
+    const threat = threats.find((t) => t.id === d.threatId);
+    const time = parseTimestamp(d.detail && d.detail.날짜) ?? (threat ? articleTime(threat) : null);
+    const day = time === null ? null : startOfDay(time);
+    return day !== null && (range.from === null || day + DAY_MS > range.from) && (range.to === null || day < range.to);
+  });
+}
+
+function threatInRange(threat, detections, range = activeRange) {
+  if (!isRangeActive(range)) return true;
+  const published = articleTime(threat);
+  return published === null || inDateRange(published, range) || detections.some((d) => d.threatId === threat.id);
+}
+
+// 기간 안의 기사 (챗봇 · 타임라인)
+function threatsInRange() {
+  return activeThreats.filter((t) => threatInRange(t, activeDetections));
+}
+
+// "최근 7일 (2026-02-18 ~ 2026-02-24)"
+function formatDateRange(range = activeRange) {
+  if (!isRangeActive(range)) return DATE_RANGE_PRESETS.all;
+  const from = range.from === null ? "" : formatTimestamp(range.from, range.preset === "24h" ? "minute" : "date");
+  const to = range.to === null ? "현재" : formatTimestamp(range.to - 1, "date");
+  return `${DATE_RANGE_PRESETS[range.preset]} (${from} ~ ${to})`;
+}
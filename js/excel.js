@@ -5,19 +5,15 @@
  *
  * [뉴스기사1, 뉴스기사2, ...]  ← 시트 1개 = 기사 1개
  *   A1: 제목+본문+출처+날짜+태그가 합쳐진 전체 텍스트
- *       (첫 번째 줄 → 제목, 나머지 → 본문으로 처리)
+ *       (첫 번째 줄 → 제목, "출처: … | 날짜: … | 태그: …" 줄 → 메타데이터,
+ *        나머지 → 본문으로 처리 — article.js 참고)
  *
- * [스팸스나이퍼]
- *   A:날짜 | B:메일종류 | C:모드 | D:전송결과 | E:첨부 | F:제목 | G:발신자 | H:발신자IP
- *   I:수신자 | J:메일크기 | K:필터링정보 | L:복구날짜 | M:서버IP | N:Vade Engine Spamcause
- *   → 뉴스기사 제목 키워드를 F(제목) 또는 G(발신자)에서 검색하여 매칭
+ * [스팸스나이퍼] / [NDR로그] / [웹방화벽로그]  ← 로그 소스 어댑터의 sheet (log-sources.js)
+ *   1행(최대 5행 안)의 헤더 이름으로 컬럼을 찾는다 — 열 순서가 바뀌거나 열이 끼어 있어도 된다.
+ *   헤더 이름과 별칭은 어댑터의 columns 참고 (대소문자·공백 무시, 정확히 일치 → 부분 일치 순).
+ *   헤더를 찾지 못한 시트는 README의 기본 열 순서(A, B, C …)로 읽는다.
  *
- * [NDR로그]
- *   A:기사명 | B:NDR_RuleName | C:소스IP | D:대상IP | E:탐지유형
- *   F:클라이언트IP | G:서버IP | H:탐지근거 | I:조치 | J:이벤트건수
- *
- * [웹방화벽로그]
- *   A:기사명 | B:클라이언트IP | C:서버IP | D:탐지근거 | E:조치 | F:이벤트건수
+ * 파싱한 로그 행은 correlate.js에서 매칭 룰(rules.js)에 따라 기사와 연계한다.
  */
 
 // URL(fetch)로 엑셀 파일을 읽어 파싱
@@ -41,208 +37,117 @@ function parseExcel(file) {
   });
 }
 
-function parseExcelData(data) {
+function parseExcelData(data, rules = activeRules, suppressions = activeSuppressions) {
   return new Promise((resolve, reject) => {
     try {
-        const wb = XLSX.read(data, { type: "array", cellDates: true });
-
-        const threats = [];
-        const detections = [];
-        let threatId = 1;
-        let detectionId = 1;
-
-        // ── 뉴스기사 시트 파싱 ──────────────────────────────────
-        // 시트 1개 = 기사 1개, A1 셀에 제목+본문 전체 텍스트
-        wb.SheetNames.forEach((name) => {
-          if (!name.startsWith("뉴스기사")) return;
-          const sheet = wb.Sheets[name];
-          const a1 = sheet["A1"] ? String(sheet["A1"].v) : "";
-          if (!a1) return;
-          const lines = a1.split("\n").map((l) => l.trim()).filter(Boolean);
-          const title = lines[0] || "";
-          const body = lines.slice(1).join("\n");
-          threats.push({ id: threatId++, title, source: "", date: "", body, tags: [] });
-        });
-
-        // ── 스팸스나이퍼 시트 파싱 ─────────────────────────────
-        // 컬럼: A:날짜 B:메일종류 C:모드 D:전송결과 E:첨부 F:제목 G:발신자 H:발신자IP
-        //        I:수신자 J:메일크기 K:필터링정보 L:복구날짜 M:서버IP N:Vade Engine Spamcause
-        if (wb.Sheets["스팸스나이퍼"]) {
-          const rows = XLSX.utils.sheet_to_json(wb.Sheets["스팸스나이퍼"], { header: 1, defval: "" });
-          const spamRows = [];
-          for (let i = 1; i < rows.length; i++) {
-            const [date, mailType, mode, result, attachment, subject, sender, senderIP, recipient, mailSize, filterInfo, recoveryDate, serverIP, vadeCause] = rows[i];
-            if (!date && !subject && !sender) continue;
-            spamRows.push({
-              date, mailType, mode, result, attachment,
-              subject: String(subject || ""),
-              sender: String(sender || ""),
-              senderIP: String(senderIP || ""),
-              recipient: String(recipient || ""),
-              mailSize, filterInfo: String(filterInfo || ""),
-              recoveryDate, serverIP, vadeCause: String(vadeCause || ""),
-            });
-          }
+      resolve(parseExcelWorkbook(XLSX.read(data, { type: "array", cellDates: true }), rules, suppressions));
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
 
-          // 뉴스기사 제목 키워드로 스팸 로그 매칭 (메일 제목 or 발신자)
-          threats.forEach((threat) => {
-            const keywords = extractKeywords(threat.title);
-            const matched = spamRows.filter((row) =>
-              keywords.some((kw) => row.subject.includes(kw) || row.sender.includes(kw))
-            );
-            if (matched.length === 0) return;
-            detections.push({
-              id: detectionId++,
-              threatId: threat.id,
-              type: "메일",
-              label: `[메일] ${threat.title} 관련 메일 ${matched.length}건 유입`,
-              count: matched.length,
-              action: "유입",
-              source: "스팸스나이퍼",
-              detail: {
-                날짜: [...new Set(matched.map((r) => formatDate(r.date)).filter(Boolean))].join(", "),
-                발신자: [...new Set(matched.map((r) => r.sender).filter(Boolean))].join(", "),
-                "메일 제목": matched.map((r) => r.subject).filter(Boolean).join(" / "),
-                수신자: [...new Set(matched.map((r) => r.recipient).filter(Boolean))].join(", "),
-                수신건수: `${matched.length}건`,
-                필터링정보: [...new Set(matched.map((r) => r.filterInfo).filter(Boolean))].join(", "),
-              },
-            });
-          });
-        }
+// 이미 읽은 통합문서(cellDates: true) → { threats, detections, suppressed, logs, columns, report }
+// file: 가져오기 검증 리포트에 표시할 파일명 (챗봇 첨부는 첨부한 파일명)
+function parseExcelWorkbook(wb, rules = activeRules, suppressions = activeSuppressions, file = "data.xlsx") {
+  const threats = [];
+  const logs = emptyLogs();
+  let threatId = 1;
+
+  // ── 뉴스기사 시트 파싱 ──────────────────────────────────
+  // 시트 1개 = 기사 1개, A1 셀에 제목+메타데이터+본문 전체 텍스트
+  wb.SheetNames.forEach((name) => {
+    if (!name.startsWith("뉴스기사")) return;
+    const sheet = wb.Sheets[name];
+    const a1 = sheet["A1"] ? String(sheet["A1"].v) : "";
+    if (!a1) return;
+    const { title, source, date, tags, body } = parseArticleText(a1);
+    threats.push({ id: threatId++, title, source, date, body, tags });
+  });
 
-        // ── NDR로그 시트 파싱 ──────────────────────────────────
-        // 컬럼: A:NDR_RuleName(사용자정의) B:RiskScore(사용자정의) C:로그소스
-        //        D:시작시간 E:소스IP F:소스포트 G:대상IP H:대상포트
-        // → 뉴스기사 제목 키워드를 A(NDR_RuleName)/C(로그소스)에서 검색하여 매칭
-        if (wb.Sheets["NDR로그"]) {
-          const rows = XLSX.utils.sheet_to_json(wb.Sheets["NDR로그"], { header: 1, defval: "" });
-          const ndrRows = [];
-          for (let i = 1; i < rows.length; i++) {
-            const [ruleName, riskScore, logSource, startTime, srcIP, srcPort, dstIP, dstPort] = rows[i];
-            if (!ruleName && !logSource && !srcIP) continue;
-            ndrRows.push({
-              ruleName: String(ruleName || ""),
-              riskScore: +riskScore || 0,
-              logSource: String(logSource || ""),
-              startTime,
-              srcIP: String(srcIP || ""),
-              srcPort,
-              dstIP: String(dstIP || ""),
-              dstPort,
-            });
-          }
+  // ── 로그 시트 파싱 (소스 어댑터의 시트 · 헤더 이름으로 컬럼 매핑) ──
+  const columns = {};
+  logSourceKeys().forEach((sourceKey) => {
+    const sheet = readLogSheet(wb, sourceKey);
+    if (!sheet) return;
+    columns[sourceKey] = sheet.report;
+    sheet.rows.forEach((v) => {
+      if (!isEmptyLogRow(v, sourceKey)) logs[sourceKey].push(LOG_SOURCES[sourceKey].buildRow(v));
+    });
+  });
 
-          // 뉴스기사 제목 키워드로 매칭 (NDR_RuleName / 로그소스)
-          threats.forEach((threat) => {
-            const keywords = extractKeywords(threat.title);
-            const matched = ndrRows.filter((row) =>
-              keywords.some((kw) => row.ruleName.includes(kw) || row.logSource.includes(kw))
-            );
-            if (matched.length === 0) return;
-            const totalCount = matched.length;
-            detections.push({
-              id: detectionId++,
-              threatId: threat.id,
-              type: "NDR",
-              label: `[NDR] ${threat.title} 관련 이벤트 ${totalCount}건 탐지`,
-              count: totalCount,
-              action: "탐지",
-              source: "NDR",
-              detail: {
-                로그출처: "NDR",
-                NDR_RuleName: [...new Set(matched.map((r) => r.ruleName).filter(Boolean))].join(", "),
-                "로그 소스": [...new Set(matched.map((r) => r.logSource).filter(Boolean))].join(", "),
-                "소스 IP": [...new Set(matched.map((r) => r.srcIP).filter(Boolean))].join(", "),
-                "대상 IP": [...new Set(matched.map((r) => r.dstIP).filter(Boolean))].join(", "),
-                매칭이벤트건수: `${totalCount}건`,
-                조치량: `${totalCount}건 탐지`,
-              },
-            });
-          });
-        }
+  // 억제 규칙(suppress.js)에 걸린 행을 뺀 뒤 기사 ↔ 로그 매칭 — correlate.js (매칭 룰: rules.js)
+  // logs는 억제 전 전체 행 (규칙을 바꾸면 app.js가 다시 나눔)
+  const { logs: kept, suppressed } = splitSuppressed(logs, suppressions);
+  const detections = correlateLogs(threats, kept, rules);
+  return { threats, detections, suppressed, logs, columns, report: validateLogWorkbook(wb, file) };
+}
 
-        // ── 웹방화벽로그 시트 파싱 ────────────────────────────
-        // 컬럼: A:시간 B:클라이언트IP(국가) C:클라이언트포트 D:OriginIP(국가) E:서버IP
-        //        F:서버포트 G:HTTP버전 H:URL도메인 I:요청 J:요청데이터길이 K:응답
-        //        L:응답데이터길이 M:룰이름 N:패턴이름 O:탐지유형 P:탐지근거
-        //        Q:OWASP취약점 R:국정원8대취약점 S:KISA홈페이지취약점 T:탐지개수
-        //        U:메일 V:위험도 W:조치 X:TransactionID
-        // → 뉴스기사 제목 키워드를 H(URL도메인)/M(룰이름)/N(패턴이름)/P(탐지근거)에서 검색하여 매칭
-        if (wb.Sheets["웹방화벽로그"]) {
-          const rows = XLSX.utils.sheet_to_json(wb.Sheets["웹방화벽로그"], { header: 1, defval: "" });
-          const wafRows = [];
-          for (let i = 1; i < rows.length; i++) {
-            const [time, clientIP, clientPort, originIP, serverIP, serverPort, httpVer, urlDomain, request, reqLen, response, resLen, ruleName, patternName, detType, basis, owasp, gov8, kisa, countRaw, mail, riskLevel, action, transactionId] = rows[i];
-            if (!time && !clientIP && !ruleName) continue;
-            wafRows.push({
-              time, clientIP: String(clientIP || ""), clientPort, originIP, serverIP: String(serverIP || ""),
-              serverPort, httpVer, urlDomain: String(urlDomain || ""), request, reqLen, response, resLen,
-              ruleName: String(ruleName || ""), patternName: String(patternName || ""),
-              detType: String(detType || ""), basis: String(basis || ""),
-              owasp, gov8, kisa, count: +countRaw || 1,
-              mail, riskLevel, action: String(action || "차단"), transactionId,
-            });
-          }
+// ── 로그 시트 헤더 매핑 ─────────────────────────────────────────────
+// → { rows: [v(필드키) → 셀 값], cells: [원본 행], report: { sheet, headerRow, positional, missing: [표시명] } }
+//   시트가 없거나 시트로 받지 않는 소스면 null
+function readLogSheet(wb, sourceKey) {
+  const { sheet, columns } = LOG_SOURCES[sourceKey];
+  if (!sheet || !columns || !wb.Sheets[sheet]) return null;
+  const rows = XLSX.utils.sheet_to_json(wb.Sheets[sheet], { header: 1, defval: "" });
+
+  // 헤더 행 탐색 (최대 5행) — 인식되는 컬럼이 가장 많은 행, 2개 미만이면 헤더 없음으로 간주
+  let headerRowIdx = -1;
+  let col = null;
+  let best = 1;
+  for (let i = 0; i < Math.min(5, rows.length); i++) {
+    const candidate = mapLogColumns(rows[i].map((c) => norm(c)), columns);
+    const found = Object.values(candidate).filter((idx) => idx !== -1).length;
+    if (found > best) {
+      best = found;
+      headerRowIdx = i;
+      col = candidate;
+    }
+  }
 
-          // 뉴스기사 제목 키워드로 매칭 (URL도메인/룰이름/패턴이름/탐지근거)
-          threats.forEach((threat) => {
-            const keywords = extractKeywords(threat.title);
-            const matched = wafRows.filter((row) =>
-              keywords.some((kw) =>
-                row.urlDomain.includes(kw) || row.ruleName.includes(kw) ||
-                row.patternName.includes(kw) || row.basis.includes(kw)
-              )
-            );
-            if (matched.length === 0) return;
+  const positional = !col;
+  if (positional) {
+    // 헤더를 찾지 못함 → 기본 열 순서, 1행은 헤더로 보고 건너뜀
+    headerRowIdx = 0;
+    col = Object.fromEntries(Object.keys(columns).map((key, i) => [key, i]));
+  }
 
-            const totalCount = matched.reduce((sum, r) => sum + r.count, 0);
+  const cells = rows.slice(headerRowIdx + 1);
+  return {
+    rows: cells.map((r) => (key) => (col[key] === -1 ? "" : r[col[key]] ?? "")),
+    cells,
+    report: {
+      sheet,
+      headerRow: headerRowIdx + 1,
+      positional,
+      missing: Object.keys(columns).filter((key) => col[key] === -1).map((key) => columns[key][0]),
+    },
+  };
+}
 
-            // 같은 위협에 NDR 탐지가 이미 있으면 합치기
-            const existingNDR = detections.find((d) => d.threatId === threat.id && d.type === "NDR");
-            if (existingNDR) {
-              existingNDR.type = "NDR,웹방화벽";
-              existingNDR.label = `[NDR, 웹방화벽] ${threat.title} 관련 이벤트 ${existingNDR.count + totalCount}건 탐지/차단`;
-              existingNDR.count += totalCount;
-              existingNDR.action = "탐지/차단";
-              existingNDR.detail["웹방화벽_클라이언트IP"] = [...new Set(matched.map((r) => r.clientIP).filter(Boolean))].join(", ");
-              existingNDR.detail["웹방화벽_서버IP"] = [...new Set(matched.map((r) => r.serverIP).filter(Boolean))].join(", ");
-              existingNDR.detail["웹방화벽_URL도메인"] = [...new Set(matched.map((r) => r.urlDomain).filter(Boolean))].join(", ");
-              existingNDR.detail["웹방화벽_룰이름"] = [...new Set(matched.map((r) => r.ruleName).filter(Boolean))].join(", ");
-              existingNDR.detail["웹방화벽_탐지근거"] = [...new Set(matched.map((r) => r.basis).filter(Boolean))].join(", ");
-              existingNDR.detail["조치량"] = `NDR 탐지 ${existingNDR.count - totalCount}건 / 웹방화벽 차단 ${totalCount}건`;
-            } else {
-              detections.push({
-                id: detectionId++,
-                threatId: threat.id,
-                type: "웹방화벽",
-                label: `[웹방화벽] ${threat.title} 관련 이벤트 ${totalCount}건 차단`,
-                count: totalCount,
-                action: "차단",
-                source: "웹방화벽",
-                detail: {
-                  로그출처: "웹방화벽",
-                  매칭이벤트건수: `${totalCount}건`,
-                  "클라이언트 IP": [...new Set(matched.map((r) => r.clientIP).filter(Boolean))].join(", "),
-                  "서버 IP": [...new Set(matched.map((r) => r.serverIP).filter(Boolean))].join(", "),
-                  "URL 도메인": [...new Set(matched.map((r) => r.urlDomain).filter(Boolean))].join(", "),
-                  룰이름: [...new Set(matched.map((r) => r.ruleName).filter(Boolean))].join(", "),
-                  패턴이름: [...new Set(matched.map((r) => r.patternName).filter(Boolean))].join(", "),
-                  탐지근거: [...new Set(matched.map((r) => r.basis).filter(Boolean))].join(", "),
-                  조치: [...new Set(matched.map((r) => r.action).filter(Boolean))].join(", "),
-                  조치량: `${totalCount}건 차단`,
-                },
-              });
-            }
-          });
-        }
+function isEmptyLogRow(v, sourceKey) {
+  return LOG_SOURCES[sourceKey].keyFields.every((key) => !v(key));
+}
 
-        resolve({ threats, detections });
-      } catch (err) {
-        reject(err);
-      }
-    });
+// 헤더(norm 적용) → { 필드키: 열 인덱스 | -1 }
+// 모든 필드를 먼저 정확히 일치로 찾고, 남은 필드만 남은 열에서 부분 일치(findIdx)로 찾는다.
+// 한 열은 한 필드에만 배정된다 ("날짜"가 없을 때 "복구 날짜"를 가져가지 않도록).
+function mapLogColumns(header, columns) {
+  const left = [...header];
+  const col = {};
+  Object.entries(columns).forEach(([key, names]) => {
+    const wanted = names.map((n) => norm(n));
+    const idx = left.findIndex((h) => h && wanted.includes(h));
+    col[key] = idx;
+    if (idx !== -1) left[idx] = "";
   });
+  Object.entries(columns).forEach(([key, names]) => {
+    if (col[key] !== -1) return;
+    const idx = findIdx(left, names);
+    col[key] = idx;
+    if (idx !== -1) left[idx] = "";
+  });
+  return col;
 }
 
 // ── 유틸 ──────────────────────────────────────────────────────────
@@ -262,11 +167,3 @@ function extractKeywords(title) {
     .map((w) => w.trim())
     .filter((w) => w.length >= 2 && !stopWords.has(w));
 }
-
-function formatDate(val) {
-  if (!val) return "";
-  if (val instanceof Date) {
-    return val.toLocaleDateString("ko-KR", { year: "numeric", month: "2-digit", day: "2-digit" }).replace(/\. /g, "-").replace(".", "");
-  }
-  return String(val);
-}
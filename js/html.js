@@ -0,0 +1,54 @@
+/**
+ * 안전한 HTML 렌더링 모듈 (index.html / assets.html 공통)
+ *
+ * 스팸 메일 제목 · 발신자, 웹방화벽 요청, 기사 본문, 자산 엑셀 값은 모두 외부에서 들어온 값이라
+ * 그대로 innerHTML에 넣으면 마크업이 실행될 수 있다. 화면에 넣는 HTML은 모두 이 모듈을 거친다.
+ *
+ *   html`<b>${value}</b>`   보간 값은 자동 이스케이프, 결과는 SafeHtml
+ *   html`${[a, b]}`         배열은 항목마다 같은 규칙으로 이어붙임
+ *   html`${other}`          다른 html`` 결과(SafeHtml)는 그대로 삽입 — 의도한 서식은 이렇게 조립
+ *   nl2br(text)             텍스트 이스케이프 후 줄바꿈 → <br>
+ *   setHtml(el, content)    innerHTML 대입 (SafeHtml이 아닌 값은 텍스트로 이스케이프)
+ */
+
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+}
+
+// 보간 값 → HTML 문자열 (null · undefined · false는 빈 문자열 — `${cond && html`…`}` 용)
+function toHtml(value) {
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(toHtml).join("");
+  if (value === null || value === undefined || value === false) return "";
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, str, i) => out + toHtml(values[i - 1]) + str));
+}
+
+// 항목 사이에 구분자를 넣어 이어붙임 (구분자도 같은 규칙 — 마크업이면 html`<br>`)
+function joinHtml(items, separator = "") {
+  const sep = toHtml(separator);
+  return new SafeHtml(items.map(toHtml).join(sep));
+}
+
+function nl2br(text) {
+  return new SafeHtml(escapeHtml(text ?? "").replace(/\n/g, "<br>"));
+}
+
+function setHtml(el, content) {
+  el.innerHTML = toHtml(content);
+}
@@ -0,0 +1,101 @@
+/**
+ * 가져오기 검증 리포트 화면 (index.html 📋 검증 리포트 모달)
+ *
+ * autoLoadExcel이 data.xlsx / assets.xlsx를 읽을 때 만든 리포트(validate.js)를 파일별로 보여주고,
+ * [xlsx 다운로드]로 요약 · 시트 · 문제 행 시트가 담긴 엑셀을 내려받는다.
+ */
+
+const REPORT_DISPLAY_LIMIT = 300; // 화면에 보여줄 파일별 문제 행 수 (다운로드는 전체)
+
+let importReports = [];
+
+function setupImportReport() {
+  document.getElementById("btn-report").addEventListener("click", openImportReport);
+  document.getElementById("report-close").addEventListener("click", closeImportReport);
+  document.getElementById("report-modal").addEventListener("click", (e) => {
+    if (e.target === e.currentTarget) closeImportReport();
+  });
+  document.getElementById("report-download").addEventListener("click", downloadImportReport);
+}
+
+function setImportReports(reports) {
+  importReports = reports.filter(Boolean);
+  const { errors, warnings } = countIssues(importReports);
+  const badge = document.getElementById("report-count");
+  badge.textContent = errors + warnings || "";
+  badge.className = `report-count ${errors ? "has-error" : warnings ? "has-warning" : ""}`;
+}
+
+function countIssues(reports) {
+  const issues = reports.flatMap((r) => r.issues);
+  return {
+    errors: issues.filter((i) => i.level === "오류").length,
+    warnings: issues.filter((i) => i.level === "경고").length,
+  };
+}
+
+function openImportReport() {
+  renderImportReport();
+  document.getElementById("report-modal").classList.add("open");
+}
+
+function closeImportReport() {
+  document.getElementById("report-modal").classList.remove("open");
+}
+
+function renderImportReport() {
+  const body = document.getElementById("report-body");
+  if (importReports.length === 0) {
+    setHtml(body, html`<div class="empty-msg">읽어들인 엑셀 파일이 없습니다 (목데이터 표시 중).</div>`);
+    return;
+  }
+
+  setHtml(body, importReports.map((r) => {
+    const { errors, warnings } = countIssues([r]);
+    const sheets = r.sheets
+      .map((s) => html`<tr class="${s.status === "무시" ? "report-ignored" : ""}"><td>${s.name}</td><td>${s.status}</td><td>${s.rows}</td><td>${s.note}</td></tr>`);
+    const issues = r.issues.slice(0, REPORT_DISPLAY_LIMIT)
+      .map((i) => html`<tr><td>${i.sheet}</td><td>${i.row}</td><td>${i.column}</td><td>${i.value}</td><td class="report-${i.level === "오류" ? "error" : "warning"}">${i.level}</td><td>${i.problem}</td></tr>`);
+    const more = r.issues.length > REPORT_DISPLAY_LIMIT
+      && html`<p class="rules-hint">외 ${r.issues.length - REPORT_DISPLAY_LIMIT}건 — 전체 목록은 xlsx 다운로드로 확인하세요.</p>`;
+    return html`
+      <div class="report-file">
+        <div class="rules-form-title">📄 ${r.file} — 오류 ${errors}건 / 경고 ${warnings}건</div>
+        <table class="detail-table asset-hit-table">
+          <tr><th>시트</th><th>상태</th><th>읽은 행</th><th>비고</th></tr>
+          ${sheets}
+        </table>
+        ${r.issues.length ? html`
+        <table class="detail-table asset-hit-table">
+          <tr><th>시트</th><th>행</th><th>컬럼</th><th>값</th><th>구분</th><th>문제</th></tr>
+          ${issues}
+        </table>${more}` : html`<p class="rules-hint">문제가 없습니다.</p>`}
+      </div>`;
+  }));
+}
+
+function downloadImportReport() {
+  if (importReports.length === 0) return;
+  const summary = importReports.map((r) => {
+    const { errors, warnings } = countIssues([r]);
+    return [
+      r.file,
+      r.sheets.filter((s) => s.status === "인식").map((s) => s.name).join(", "),
+      r.sheets.filter((s) => s.status === "무시").map((s) => s.name).join(", "),
+      errors,
+      warnings,
+    ];
+  });
+  const sheets = importReports.flatMap((r) => r.sheets.map((s) => [r.file, s.name, s.status, s.rows, s.note]));
+  const issues = importReports.flatMap((r) => r.issues.map((i) => [r.file, i.sheet, i.row, i.column, i.value, i.level, i.problem]));
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([["파일", "인식한 시트", "무시한 시트", "오류", "경고"], ...summary]), "요약");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([["파일", "시트", "상태", "읽은 행", "비고"], ...sheets]), "시트");
+  const ws = XLSX.utils.aoa_to_sheet([["파일", "시트", "행", "컬럼", "값", "구분", "문제"], ...issues]);
+  ws["!cols"] = [{ wch: 12 }, { wch: 14 }, { wch: 6 }, { wch: 18 }, { wch: 24 }, { wch: 6 }, { wch: 36 }];
+  XLSX.utils.book_append_sheet(wb, ws, "문제 행");
+
+  const date = formatTimestamp(Date.now(), "date").replace(/-/g, "");
+  XLSX.writeFile(wb, `검증리포트_${date}.xlsx`);
+}
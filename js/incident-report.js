@@ -0,0 +1,331 @@
+/**
+ * 사고 보고서 모듈 (기사 카드 📝 보고서 생성 · 챗봇 "보고서")
+ *
+ * 위협 1건과 그 탐지 · 영향 자산으로 팀 보고서 양식을 채운다.
+ *   1. 개요        위협 · 출처 · 보도일 · 우선순위 · 분석 기간 · 탐지 요약
+ *   2. 기사 요약    본문 [대응 방법] 앞의 첫 문단들
+ *   3. 대응 방법    본문 [대응 방법] 절의 항목
+ *   4. 탐지 현황    소스별 탐지 — 건수 · 조치 · 신뢰도 · 관측 기간 · 분석 상태 (+ 상세정보)
+ *   5. 영향 자산    findAffectedAssets (asset-match.js) — 담당 · 위치 · 보안 SW
+ *   6. 조치 내역    차단(어댑터 allowed가 false) · 탐지 · 유입 건수, 분석 메모 (triage.js)
+ * 조치 건수는 키워드 · IOC 탐지가 같은 행을 가리켜도 한 번만 센다 (threatRows).
+ * 내려받기: 시트별 엑셀(개요 · 탐지 현황 · 탐지 상세 · 영향 자산 · 소스별 원본 로그)과
+ *          인쇄용 HTML(결재란 포함, A4 인쇄 스타일)
+ */
+
+const REPORT_TITLE = "보안 위협 대응 보고서";
+const REPORT_APPROVALS = ["작성", "검토", "승인"];
+const REPORT_ACTIONS = ["차단", "탐지", "유입"];
+const REPORT_SUMMARY_PARAGRAPHS = 2;
+const REPORT_PRINT_STYLE = `
+  @page { size: A4; margin: 18mm 15mm; }
+  body { font-family: Malgun Gothic, sans-serif; font-size: 12px; color: #1f2937; max-width: 820px; margin: 24px auto; }
+  .report-head { display: flex; justify-content: space-between; align-items: flex-end; border-bottom: 3px double #2c3e5c; padding-bottom: 8px; }
+  h1 { font-size: 22px; margin: 0; color: #2c3e5c; letter-spacing: 2px; }
+  h2 { font-size: 14px; margin: 22px 0 8px; padding-left: 8px; border-left: 4px solid #e87d2b; }
+  table { width: 100%; border-collapse: collapse; margin: 6px 0; }
+  th, td { border: 1px solid #9ca3af; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #eef2f7; white-space: nowrap; }
+  .approval { width: auto; }
+  .approval th, .approval td { width: 64px; text-align: center; }
+  .approval td { height: 44px; }
+  .meta th { width: 90px; }
+  .num { text-align: right; }
+  .missing { color: #b91c1c; font-weight: 700; }
+  p { line-height: 1.7; margin: 4px 0; }
+  footer { margin-top: 28px; font-size: 10.5px; color: #6b7280; text-align: right; }
+  .no-print { margin-bottom: 12px; }
+  @media print { .no-print { display: none; } body { margin: 0; max-width: none; } h2, tr { break-inside: avoid; } }`;
+
+// ── 보고서 데이터 ─────────────────────────────────────────────────
+// → { threat, generatedAt, range, priority, summary: [문단], response: [항목], detections: [reportDetection],
+//     assets: [{ asset, sources }], actions: { 차단, 탐지, 유입 }, total, first, last }
+function buildIncidentReport(threat, detections = activeDetections, assets = ASSETS) {
+  const related = detections.filter((d) => d.threatId === threat.id);
+  const { summary, response } = articleSections(threat.body);
+
+  const affected = new Map();
+  related.forEach((d) => findAffectedAssets(d, assets).forEach((a) => {
+    const entry = affected.get(a.id) || { asset: a, sources: new Set() };
+    entry.sources.add(d.source);
+    affected.set(a.id, entry);
+  }));
+
+  // 조치 건수 — 원본 행은 위협 단위로 한 번씩, 목데이터 탐지는 탐지의 조치로
+  const actions = Object.fromEntries(REPORT_ACTIONS.map((a) => [a, 0]));
+  threatRows(threat.id, related).forEach(({ source, row }) => {
+    actions[reportAction(source, row)] += source.count([row]);
+  });
+  related.filter((d) => !d.rows).forEach((d) => {
+    actions[REPORT_ACTIONS.includes(d.action) ? d.action : "탐지"] += d.count;
+  });
+
+  const items = related.map(reportDetection);
+  const times = items.flatMap((i) => [i.first, i.last]).filter((t) => t !== null);
+  return {
+    threat,
+    generatedAt: Date.now(),
+    range: isRangeActive() ? formatDateRange() : "전체 기간",
+    priority: threatPriority(threat, detections, assets),
+    summary,
+    response,
+    detections: items,
+    assets: [...affected.values()].map((e) => ({ asset: e.asset, sources: [...e.sources] })),
+    actions,
+    total: Object.values(actions).reduce((sum, n) => sum + n, 0),
+    first: times.length ? Math.min(...times) : null,
+    last: times.length ? Math.max(...times) : null,
+  };
+}
+
+// 탐지 1건 → { detection, source, actions, first, last, triage }
+function reportDetection(d) {
+  const source = LOG_SOURCES[d.sourceKey] || sourceForType(d.type);
+  const actions = Object.fromEntries(REPORT_ACTIONS.map((a) => [a, 0]));
+  let first = null;
+  let last = null;
+  if (d.rows && source) {
+    d.rows.forEach((row) => {
+      actions[reportAction(source, row)] += source.count([row]);
+      const time = rowTime(source, row);
+      if (time === null) return;
+      first = first === null ? time : Math.min(first, time);
+      last = last === null ? time : Math.max(last, time);
+    });
+  } else {
+    actions[REPORT_ACTIONS.includes(d.action) ? d.action : "탐지"] += d.count;
+  }
+  return { detection: d, source, actions, first, last, triage: triageFor(d) };
+}
+
+// 차단된 행은 차단, 통과한 행은 메일이면 유입 · 그 외 탐지
+function reportAction(source, row) {
+  if (!source.allowed(row)) return "차단";
+  return source.action === "유입" ? "유입" : "탐지";
+}
+
+// 본문 → { summary: [[대응 방법] 앞 첫 문단들], response: [대응 방법 항목] }
+function articleSections(body) {
+  const sections = { "": [] };
+  let current = "";
+  String(body || "").split("\n").forEach((line) => {
+    const heading = line.trim().match(/^\[([^\]]+)\]$/);
+    if (heading) {
+      current = heading[1].replace(/\s+/g, " ").trim();
+      sections[current] = [];
+    } else {
+      sections[current].push(line);
+    }
+  });
+  const paragraphs = sections[""].join("\n").split(/\n\s*\n/).map((p) => p.replace(/\s*\n\s*/g, " ").trim()).filter(Boolean);
+  const response = Object.entries(sections).find(([name]) => /대응|조치|권고/.test(name));
+  return {
+    summary: paragraphs.slice(0, REPORT_SUMMARY_PARAGRAPHS),
+    response: response ? response[1].map((l) => l.replace(/^\s*(?:[-•*·]|\d+[.)])\s*/, "").trim()).filter(Boolean) : [],
+  };
+}
+
+function formatReportActions(actions) {
+  return REPORT_ACTIONS.filter((a) => actions[a] > 0).map((a) => `${a} ${actions[a]}건`).join(" · ") || "-";
+}
+
+function formatReportPeriod(first, last) {
+  if (first === null) return "-";
+  return first === last ? formatTimestamp(first, "minute") : `${formatTimestamp(first, "minute")} ~ ${formatTimestamp(last, "minute")}`;
+}
+
+// ── 챗봇 ─────────────────────────────────────────────────────────
+// 챗봇 "보고서 [위협 단어]" — 단어로 위협 1건을 찾고, 없으면 선택한 기사
+function answerReportRequest(text, threats = activeThreats) {
+  const matched = queryThreats(text.toLowerCase(), threats);
+  if (matched.length > 1) {
+    return html`여러 위협이 해당됩니다. 제목의 단어를 하나 더 넣어 주세요.<br>${joinHtml(matched.map((t) => html`• ${t.title}`), html`<br>`)}`;
+  }
+  const selected = document.querySelector(".threat-item.active");
+  const threat = matched[0] || (selected && activeThreats.find((t) => t.id === +selected.dataset.id));
+  if (!threat) return html`어느 위협의 보고서인지 알려주세요. 외부 위협동향에서 기사를 클릭한 뒤 <b>📝 보고서 생성</b>을 누르거나, "ChinaZ 보고서"처럼 제목의 단어를 함께 입력하세요.`;
+  return formatReportCard(buildIncidentReport(threat));
+}
+
+function formatReportCard(report) {
+  const t = report.threat;
+  const sources = [...new Set(report.detections.map((i) => i.detection.source))];
+  return html`<div class="chat-card">
+    <div class="chat-card-title">📝 사고 보고서 — ${t.title}</div>
+    <div class="chat-card-meta">${report.range} · ${formatTimestamp(report.generatedAt, "minute")} 기준</div>
+    <table class="detail-table">
+      <tr><th>탐지</th><td>${report.detections.length}건${sources.length > 0 && ` (${sources.join(" · ")})`}</td></tr>
+      <tr><th>조치</th><td>${formatReportActions(report.actions)}</td></tr>
+      <tr><th>관측 기간</th><td>${formatReportPeriod(report.first, report.last)}</td></tr>
+      <tr><th>영향 자산</th><td>${report.assets.length}대</td></tr>
+      <tr><th>대응 방법</th><td>${report.response.length ? `${report.response.length}개 항목` : "기사에 [대응 방법] 절 없음"}</td></tr>
+    </table>
+    <button class="btn-action detail-rows-btn" data-report-xlsx="${t.id}" data-label="${t.title}">📊 엑셀 보고서</button>
+    <button class="btn-action detail-rows-btn" data-report-html="${t.id}" data-label="${t.title}">🖨 인쇄용 HTML</button>
+  </div>`;
+}
+
+// 기사 카드 · 보고서 카드 버튼 — 누른 시점의 데이터로 다시 만든다
+function handleReportButton(btn) {
+  const id = +(btn.dataset.threatReport || btn.dataset.reportXlsx || btn.dataset.reportHtml);
+  const threat = activeThreats.find((t) => t.id === id && t.title === btn.dataset.label);
+  if (!threat) {
+    appendChatMessage("bot", "위협동향이 다시 로드되었습니다. 기사를 다시 선택해 주세요.");
+    return;
+  }
+  const report = buildIncidentReport(threat);
+  if (btn.dataset.threatReport) appendChatMessage("bot", formatReportCard(report));
+  else if (btn.dataset.reportXlsx) downloadReportXlsx(report);
+  else downloadReportHtml(report);
+}
+
+// ── 엑셀 ─────────────────────────────────────────────────────────
+function downloadReportXlsx(report) {
+  const t = report.threat;
+  const wb = XLSX.utils.book_new();
+
+  const overview = XLSX.utils.aoa_to_sheet([
+    [REPORT_TITLE],
+    [],
+    ...reportOverviewRows(report),
+    [],
+    ...report.summary.map((p, i) => [i === 0 ? "기사 요약" : "", p]),
+    [],
+    ...(report.response.length ? report.response : ["-"]).map((r, i) => [i === 0 ? "대응 방법" : "", report.response.length ? `${i + 1}. ${r}` : r]),
+    [],
+    ...report.detections.filter((i) => i.triage.notes).map((i, n) => [n === 0 ? "분석 메모" : "", `${i.detection.label}: ${i.triage.notes}`]),
+  ]);
+  overview["!cols"] = [{ wch: 14 }, { wch: 100 }];
+  overview["!merges"] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: 1 } }];
+  XLSX.utils.book_append_sheet(wb, overview, "개요");
+
+  appendReportSheet(wb, "탐지 현황",
+    ["소스", "매칭", "탐지 항목", "건수", ...REPORT_ACTIONS.map((a) => `${a} 건수`), "신뢰도", "최초 시각", "최종 시각", "분석 상태", "담당자"],
+    report.detections.map((i) => [
+      i.detection.source, i.detection.matchType || "키워드", i.detection.label, i.detection.count,
+      ...REPORT_ACTIONS.map((a) => i.actions[a]),
+      i.detection.score ?? "", formatTimestamp(i.first, "minute"), formatTimestamp(i.last, "minute"), i.triage.status, i.triage.assignee,
+    ]),
+    [8, 8, 60, 6, 8, 8, 8, 6, 16, 16, 8, 10]);
+
+  appendReportSheet(wb, "탐지 상세",
+    ["탐지 항목", "항목", "값"],
+    report.detections.flatMap((i) => Object.entries(i.detection.detail || {}).map(([k, v]) => [i.detection.label, k, String(v)])),
+    [60, 14, 80]);
+
+  appendReportSheet(wb, "영향 자산",
+    ["호스트명", "IP", "구분", "자산정보", "관리부서", "관리담당자", "운영자", "위치", ...Object.values(ASSET_SW_LABELS), "미설치 필수 SW", "관련 소스"],
+    report.assets.map(({ asset: a, sources }) => [
+      a.hostname, a.ip, a.category, a.assetName, a.manageDept, a.manager, a.operator, a.location,
+      ...Object.keys(ASSET_SW_LABELS).map((k) => (a[k] ? "O" : "X")),
+      missingSecuritySW(a).join(", "), sources.join(", "),
+    ]),
+    [16, 14, 6, 8, 14, 10, 10, 20, 5, 5, 5, 5, 5, 5, 14, 20]);
+
+  // 소스별 원본 로그 (탐지 원본 로그 창과 같은 컬럼)
+  const bySource = new Map();
+  threatRows(t.id, report.detections.map((i) => i.detection)).forEach(({ sourceKey, row }) => {
+    bySource.set(sourceKey, [...(bySource.get(sourceKey) || []), row]);
+  });
+  bySource.forEach((rows, sourceKey) => {
+    const columns = logTableColumns(sourceKey, rows);
+    appendReportSheet(wb, `원본_${LOG_SOURCES[sourceKey].label}`,
+      columns.map((c) => c.label),
+      rows.map((r) => columns.map((c) => (typeof r[c.key] === "number" ? r[c.key] : formatLogCell(r[c.key])))),
+      columns.map((c) => Math.min(40, Math.max(8, c.label.length * 2))));
+  });
+
+  XLSX.writeFile(wb, `사고보고서_${fileSafeName(t.title)}_${formatTimestamp(report.generatedAt, "date").replace(/-/g, "")}.xlsx`);
+}
+
+// 머리글 + 행 시트 (열 너비 · 자동 필터)
+function appendReportSheet(wb, name, header, rows, widths) {
+  const ws = XLSX.utils.aoa_to_sheet([header, ...rows]);
+  ws["!cols"] = widths.map((wch) => ({ wch }));
+  if (rows.length > 0) ws["!autofilter"] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: header.length - 1 } }) };
+  XLSX.utils.book_append_sheet(wb, ws, sheetSafeName(name));
+}
+
+function reportOverviewRows(report) {
+  const t = report.threat;
+  const p = report.priority;
+  return [
+    ["위협", t.title],
+    ["출처", t.source || "-"],
+    ["보도일", t.date || "-"],
+    ["태그", (t.tags || []).join(", ") || "-"],
+    ["우선순위", p.parts ? `${p.level} (${p.score}점)` : "탐지 없음"],
+    ["분석 기간", report.range],
+    ["관측 기간", formatReportPeriod(report.first, report.last)],
+    ["탐지 요약", `탐지 ${report.detections.length}건 · 로그 ${report.total}건 · 영향 자산 ${report.assets.length}대`],
+    ["조치 요약", formatReportActions(report.actions)],
+    ["작성 시각", formatTimestamp(report.generatedAt)],
+  ];
+}
+
+// ── 인쇄용 HTML ──────────────────────────────────────────────────
+function downloadReportHtml(report) {
+  const t = report.threat;
+  const detections = report.detections.map((i) => html`<tr>
+    <td>${i.detection.source}</td><td>${i.detection.matchType || "키워드"}</td><td>${i.detection.label}</td>
+    <td class="num">${i.detection.count}</td><td>${formatReportActions(i.actions)}</td><td class="num">${i.detection.score ?? "-"}</td>
+    <td>${formatReportPeriod(i.first, i.last)}</td><td>${i.triage.status}${i.triage.assignee && ` (${i.triage.assignee})`}</td>
+  </tr>`);
+  const details = report.detections.map((i) => html`<h3>${i.detection.label}</h3>
+    <table>${Object.entries(i.detection.detail || {}).map(([k, v]) => html`<tr><th>${k}</th><td>${v}</td></tr>`)}</table>`);
+  const assets = report.assets.map(({ asset: a, sources }) => {
+    const missing = missingSecuritySW(a);
+    return html`<tr>
+      <td>${a.hostname}</td><td>${a.ip}</td><td>${a.manageDept} · ${a.manager}</td><td>${a.location}</td>
+      <td>${Object.keys(ASSET_SW_LABELS).filter((k) => a[k]).map((k) => ASSET_SW_LABELS[k]).join(" · ") || "-"}${missing.length > 0 && html` <span class="missing">(${missing.join(", ")} 미설치)</span>`}</td>
+      <td>${sources.join(", ")}</td>
+    </tr>`;
+  });
+  const notes = report.detections.filter((i) => i.triage.notes)
+    .map((i) => html`<tr><th>${i.detection.label}</th><td>${nl2br(i.triage.notes)}</td></tr>`);
+
+  const page = html`<!DOCTYPE html>
+<html lang="ko">
+<head><meta charset="UTF-8"><title>${REPORT_TITLE} — ${t.title}</title><style>${REPORT_PRINT_STYLE}</style></head>
+<body>
+<div class="no-print"><button onclick="window.print()">🖨 인쇄</button></div>
+<div class="report-head">
+  <h1>${REPORT_TITLE}</h1>
+  <table class="approval"><tr>${REPORT_APPROVALS.map((a) => html`<th>${a}</th>`)}</tr><tr>${REPORT_APPROVALS.map(() => html`<td></td>`)}</tr></table>
+</div>
+
+<h2>1. 개요</h2>
+<table class="meta">${reportOverviewRows(report).map(([k, v]) => html`<tr><th>${k}</th><td>${v}</td></tr>`)}</table>
+
+<h2>2. 기사 요약</h2>
+${report.summary.length ? report.summary.map((p) => html`<p>${p}</p>`) : html`<p>-</p>`}
+
+<h2>3. 대응 방법</h2>
+${report.response.length ? html`<ol>${report.response.map((r) => html`<li>${r}</li>`)}</ol>` : html`<p>기사에 [대응 방법] 절이 없습니다.</p>`}
+
+<h2>4. 탐지 현황</h2>
+${detections.length
+  ? html`<table><tr><th>소스</th><th>매칭</th><th>탐지</th><th>건수</th><th>조치</th><th>신뢰도</th><th>관측 기간</th><th>분석 상태</th></tr>${detections}</table>${details}`
+  : html`<p>연계된 탐지가 없습니다.</p>`}
+
+<h2>5. 영향 자산</h2>
+${assets.length
+  ? html`<table><tr><th>호스트명</th><th>IP</th><th>관리부서 · 담당자</th><th>위치</th><th>보안 SW</th><th>관련 소스</th></tr>${assets}</table>`
+  : html`<p>자산 기준정보와 일치하는 영향 자산이 없습니다.</p>`}
+
+<h2>6. 조치 내역</h2>
+<table>${REPORT_ACTIONS.map((a) => html`<tr><th>${a}</th><td class="num">${report.actions[a]}건</td></tr>`)}</table>
+${notes.length > 0 && html`<table>${notes}</table>`}
+
+<footer>위협탐지시스템 자동 생성 · ${formatTimestamp(report.generatedAt)}</footer>
+</body>
+</html>
+`;
+
+  const blob = new Blob([toHtml(page)], { type: "text/html" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `사고보고서_${fileSafeName(t.title)}_${formatTimestamp(report.generatedAt, "date").replace(/-/g, "")}.html`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
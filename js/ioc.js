@@ -0,0 +1,195 @@
+/**
+ * IOC(침해지표) 추출 · 직접 매칭 모듈
+ *
+ * 기사 본문에서 IP · 도메인 · URL · 메일 주소 · 해시(MD5/SHA1/SHA256) · CVE를 추출한다.
+ * 보안 기사에서 흔한 무력화(defang) 표기도 원래대로 되돌린 뒤 추출한다.
+ *   copyright-notice[.]kr, 185.220.101(.)5, hxxps://…, user[@]domain, evil[dot]com
+ * URL · 메일 주소 밖의 맨 도메인은 무력화 표기였거나, 소문자로 쓰였고 최상위 도메인이 DOMAIN_TLDS에 있을 때만
+ * 추출한다 ("ASP.NET" · "Node.js" 같은 기술 용어는 도메인이 아님).
+ *
+ * "출처: https://…" · "원문 링크: …"처럼 기사 자체의 출처 · 인용 링크 줄(IOC_CITATION_LINE)에서는 추출하지 않는다.
+ *
+ * 추출한 IOC는 키워드 매칭과 별개로 로그의 정해진 필드와 "정확히" 비교한다.
+ *   IP     → 스팸 발신자IP / NDR 소스·대상IP / 웹방화벽 클라이언트IP·OriginIP
+ *   도메인 → 스팸 발신자 메일 도메인 / 웹방화벽 URL도메인 (하위 도메인 포함)
+ *   메일   → 스팸 발신자
+ *   URL    → 웹방화벽 요청 경로 + URL도메인 — 호스트와 경로가 모두 같을 때만
+ *            (호스트를 모르는 행은 비교하지 않음 — "/wp-login.php"만으로는 우리 서버 요청과 구분되지 않음)
+ *   해시   → 웹방화벽 탐지근거
+ *   CVE    → 웹방화벽 탐지근거 / 패턴이름 / 룰이름
+ */
+
+const IOC_TYPE_LABELS = { ip: "IP", domain: "도메인", url: "URL", email: "메일", hash: "해시", cve: "CVE" };
+
+// 도메인처럼 보이지만 파일명인 경우 제외
+const NON_DOMAIN_EXT = new Set([
+  "exe", "dll", "pdf", "doc", "docx", "xls", "xlsx", "xlsm", "ppt", "pptx", "hwp", "zip", "rar", "7z",
+  "js", "vbs", "ps1", "bat", "cmd", "sh", "txt", "html", "htm", "php", "jsp", "asp", "aspx",
+  "png", "jpg", "jpeg", "gif", "lnk", "iso", "img", "msi", "jar", "py", "log", "eml", "csv",
+]);
+
+// 무력화 표기 없이 쓰인 맨 도메인으로 인정하는 최상위 도메인 (co.kr 등은 마지막 라벨로 판단)
+const DOMAIN_TLDS = new Set([
+  "com", "net", "org", "info", "biz", "io", "co", "me", "cc", "tv", "ws", "pw", "xyz", "top", "site", "online",
+  "club", "shop", "store", "live", "app", "dev", "cloud", "link", "click", "tk", "ml", "ga", "cf", "gq", "su",
+  "kr", "jp", "cn", "hk", "tw", "ru", "ir", "kp", "vn", "in", "uk", "de", "fr", "nl", "us", "eu", "ua", "br",
+]);
+const DEFANGED_DOMAIN = /(?:[a-z0-9-]+\s*(?:[\[\(\{](?:\.|dot)[\]\)\}]|\.)\s*)+[a-z]{2,24}\b/gi;
+const DEFANG_MARK = /[\[\(\{](?:\.|dot)[\]\)\}]/i;
+// 기사 자체의 출처 · 인용 링크 줄 ("출처: https://www.boannews.com/…", "- 원문 링크 : …", "Source: …")
+const IOC_CITATION_LINE = /^[\s\-*•·>\[(]*(?:출처|원문|기사\s*원문|원문\s*링크|기사\s*링크|관련\s*기사|링크|source|via|link)\s*[:：]/i;
+
+// 무력화 표기 복원
+function refang(text) {
+  return String(text || "")
+    .replace(/\bhxxp(s?):\/\//gi, "http$1://")
+    .replace(/\bh\[?tt\]?p(s?)\[?:\]?\/\//gi, "http$1://")
+    .replace(/\s*[\[\(\{](?:\.|dot)[\]\)\}]\s*/gi, ".")
+    .replace(/\s*[\[\(\{](?:@|at)[\]\)\}]\s*/gi, "@")
+    .replace(/\[:\]/g, ":")
+    .replace(/\[\/\]/g, "/");
+}
+
+// 텍스트 → { ip: [], domain: [], url: [], email: [], hash: [], cve: [] }
+function extractIOCs(text) {
+  const original = String(text || "").split("\n").filter((line) => !IOC_CITATION_LINE.test(line)).join("\n");
+  const src = refang(original);
+  // 원문에서 [.] · (dot) 등으로 무력화되어 있던 도메인
+  const defanged = new Set((original.match(DEFANGED_DOMAIN) || [])
+    .filter((v) => DEFANG_MARK.test(v))
+    .map((v) => refang(v).toLowerCase()));
+  const iocs = { ip: new Set(), domain: new Set(), url: new Set(), email: new Set(), hash: new Set(), cve: new Set() };
+
+  (src.match(/\bCVE-\d{4}-\d{4,7}\b/gi) || []).forEach((v) => iocs.cve.add(v.toUpperCase()));
+
+  (src.match(/\b(?:[a-f0-9]{64}|[a-f0-9]{40}|[a-f0-9]{32})\b/gi) || []).forEach((v) => iocs.hash.add(v.toLowerCase()));
+
+  (src.match(/\bhttps?:\/\/[^\s"'<>()\[\]]+/gi) || []).forEach((v) => {
+    const url = v.replace(/[.,;:]+$/, "");
+    iocs.url.add(url);
+    const host = urlHost(url);
+    if (isIPv4(host)) iocs.ip.add(host);
+    else if (host) iocs.domain.add(host);
+  });
+
+  (src.match(/\b[a-z0-9._%+-]+@(?:[a-z0-9-]+\.)+[a-z]{2,24}\b/gi) || []).forEach((v) => {
+    iocs.email.add(v.toLowerCase());
+  });
+
+  (src.match(/\b\d{1,3}(?:\.\d{1,3}){3}\b/g) || []).forEach((v) => {
+    if (isIPv4(v)) iocs.ip.add(v);
+  });
+
+  // 메일 주소의 로컬파트("noreply.team@…")가 도메인으로 오인되지 않도록 제거 (도메인 부분은 추출)
+  const withoutEmails = src.replace(/\b[a-z0-9._%+-]+@/gi, " ");
+  (withoutEmails.match(/\b(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,24}\b/gi) || []).forEach((v) => {
+    const d = v.toLowerCase();
+    const tld = d.split(".").pop();
+    if (NON_DOMAIN_EXT.has(tld) || isIPv4(d)) return;
+    if (!defanged.has(d) && !(v === d && DOMAIN_TLDS.has(tld))) return;
+    iocs.domain.add(d);
+  });
+
+  return Object.fromEntries(Object.entries(iocs).map(([k, set]) => [k, [...set]]));
+}
+
+function countIOCs(iocs) {
+  return Object.values(iocs).reduce((sum, list) => sum + list.length, 0);
+}
+
+// ── 로그 매칭 ──────────────────────────────────────────────────────
+// 위협 1건의 IOC × 로그 소스 1개 → { rows, matches: [{ source, term, type, field, fieldLabel, count }] }
+function matchIOCRows(iocs, sourceKey, rows) {
+  const spec = LOG_SOURCES[sourceKey].iocFields; // IOC 유형 → 비교할 필드 (log-sources.js)
+  const result = { rows: [], matches: [] };
+  if (!Object.keys(spec).some((type) => iocTermsFor(iocs, type).length)) return result;
+
+  const byTerm = new Map();
+  rows.forEach((row) => {
+    let hit = false;
+    // URL 경로는 같은 행의 도메인 필드(웹방화벽 URL도메인)를 호스트로 삼아 함께 비교
+    const host = (spec.domain || []).map((f) => urlHost(row[f])).find(Boolean) || "";
+    Object.entries(spec).forEach(([type, fields]) => {
+      iocTermsFor(iocs, type).forEach((term) => {
+        const field = fields.find((f) => iocEquals(type, term, row[f], host));
+        if (!field) return;
+        hit = true;
+        const key = `${type}\u0000${term}\u0000${field}`;
+        if (!byTerm.has(key)) {
+          byTerm.set(key, {
+            source: sourceKey,
+            term,
+            type,
+            field,
+            fieldLabel: LOG_SOURCES[sourceKey].fields[field] || field,
+            count: 0,
+            rarity: 1,
+          });
+        }
+        byTerm.get(key).count++;
+      });
+    });
+    if (hit) result.rows.push(row);
+  });
+
+  result.matches = [...byTerm.values()].sort((a, b) => b.count - a.count);
+  return result;
+}
+
+// 경로 없는 URL은 호스트가 이미 도메인 IOC로 비교되므로 제외
+function iocTermsFor(iocs, type) {
+  if (type === "url") return iocs.url.filter((u) => urlHost(u) && urlPath(u) && urlPath(u) !== "/");
+  return iocs[type] || [];
+}
+
+// 로그 값과 IOC의 정확 비교 (부분 문자열이 아닌 토큰/도메인 단위)
+// host: URL 비교 시 경로만 적힌 요청의 호스트 (같은 행의 도메인 필드 — 모르면 "")
+function iocEquals(type, term, value, host = "") {
+  const v = String(value ?? "").trim().toLowerCase();
+  if (!v) return false;
+  const t = term.toLowerCase();
+  switch (type) {
+    case "ip":
+      return (v.match(/\b\d{1,3}(?:\.\d{1,3}){3}\b/g) || []).includes(t);
+    case "domain": {
+      // 메일 주소면 @ 뒤 도메인, URL이면 호스트 — 같은 도메인이거나 하위 도메인
+      const host = v.includes("@") ? v.split("@").pop().replace(/[>\s].*$/, "") : (urlHost(v) || v);
+      return host === t || host.endsWith(`.${t}`);
+    }
+    case "email":
+      return (v.match(/[a-z0-9._%+-]+@[a-z0-9.-]+/g) || []).includes(t);
+    case "url": {
+      // 요청 줄("GET /path?x HTTP/1.1")의 토큰 — 절대 URL이면 그 호스트, 경로뿐이면 행의 호스트와 함께 비교
+      const termHost = urlHost(t);
+      const termPath = urlPath(t);
+      const sameHost = (h) => h === termHost || h.endsWith(`.${termHost}`);
+      return v.split(/\s+/).some((tok) => {
+        const absolute = /^[a-z]+:\/\//.test(tok);
+        const tokHost = absolute ? urlHost(tok) : String(host).toLowerCase();
+        const path = absolute ? urlPath(tok) : tok.split(/[?#]/)[0];
+        return Boolean(tokHost) && sameHost(tokHost) && path === termPath;
+      });
+    }
+    case "hash":
+    case "cve":
+      return new RegExp(`(^|[^a-z0-9-])${t.replace(/[-]/g, "\\-")}($|[^a-z0-9-])`).test(v);
+    default:
+      return false;
+  }
+}
+
+// ── 유틸 ──────────────────────────────────────────────────────────
+function isIPv4(value) {
+  const parts = String(value || "").split(".");
+  return parts.length === 4 && parts.every((p) => /^\d{1,3}$/.test(p) && +p <= 255);
+}
+
+function urlHost(value) {
+  const m = String(value || "").match(/^(?:[a-z]+:\/\/)?([^/:?#\s]+)/i);
+  return m ? m[1].toLowerCase() : "";
+}
+
+function urlPath(value) {
+  const m = String(value || "").match(/^[a-z]+:\/\/[^/]+(\/[^\s?#]*)/i);
+  return m ? m[1] : "";
+}
@@ -0,0 +1,118 @@
+/**
+ * 로드 간 변화 모듈 (🔄 데이터 새로고침 전후 비교)
+ *
+ * 데이터를 읽을 때마다 탐지현황을 스냅숏으로 남기고, 직전 스냅숏과 비교해 탐지마다 상태를 매긴다.
+ *   신규    직전 로드에 없던 탐지
+ *   증가 · 감소   건수가 달라진 탐지 (+12건 / -3건)
+ *   사라짐  직전 로드에만 있던 탐지 — 탐지현황 맨 아래에 흐리게 표시
+ * 탐지 id는 로드마다 새로 매겨지므로 "소스 · 매칭 방식(키워드 | IOC) · 기사 제목"을 키로 쓴다.
+ * 스냅숏은 기간 필터와 무관하게 전체 기간 기준이며, localStorage에 저장해 페이지를 다시 열어도 이어서 비교한다.
+ */
+
+const LOAD_STORAGE_KEY = "threat-trend.lastLoad";
+const LOAD_DIFF_STATUS = {
+  new: { label: "신규", className: "diff-new" },
+  grown: { label: "증가", className: "diff-grown" },
+  shrunk: { label: "감소", className: "diff-shrunk" },
+  gone: { label: "사라짐", className: "diff-gone" },
+};
+
+// { previous: 스냅숏 | null, current: 스냅숏, changes: Map(key → 변화) } — 비교 전이면 null
+let loadDiff = null;
+
+// "ndr\u0000IOC\u0000ChinaZ …" — 목데이터처럼 sourceKey가 없으면 유형
+function detectionKey(d, threats) {
+  const threat = threats.find((t) => t.id === d.threatId);
+  return [d.sourceKey || d.type, d.matchType || "키워드", threat ? threat.title : d.threatId].join("\u0000");
+}
+
+// 스냅숏 { at, name, detections: [{ key, threatTitle, type, matchType, source, label, count }] }
+function snapshotLoad(name, threats, detections) {
+  return {
+    at: Date.now(),
+    name,
+    detections: detections.map((d) => {
+      const threat = threats.find((t) => t.id === d.threatId);
+      return {
+        key: detectionKey(d, threats),
+        threatTitle: threat ? threat.title : "",
+        type: d.type,
+        matchType: d.matchType || null,
+        source: d.source,
+        label: d.label,
+        count: d.count,
+      };
+    }),
+  };
+}
+
+function loadStoredSnapshot() {
+  try {
+    const raw = localStorage.getItem(LOAD_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// 이번 로드를 기록하고 직전 로드와 비교 → loadDiff
+function recordLoad(name, threats, detections) {
+  const previous = loadDiff ? loadDiff.current : loadStoredSnapshot();
+  const current = snapshotLoad(name, threats, detections);
+  loadDiff = { previous, current, changes: diffLoads(previous, current) };
+  try {
+    localStorage.setItem(LOAD_STORAGE_KEY, JSON.stringify(current));
+  } catch (_) {
+    // 저장 공간이 없어도 이번 세션 안에서는 비교한다
+  }
+  return loadDiff;
+}
+
+// Map(key → { status, delta, before, after: 스냅숏 항목 }) — 직전 로드가 없으면 빈 Map
+function diffLoads(previous, current) {
+  const changes = new Map();
+  if (!previous) return changes;
+  const before = new Map(previous.detections.map((d) => [d.key, d]));
+  current.detections.forEach((d) => {
+    const old = before.get(d.key);
+    if (!old) changes.set(d.key, { status: "new", delta: d.count, before: null, after: d });
+    else if (d.count !== old.count) changes.set(d.key, { status: d.count > old.count ? "grown" : "shrunk", delta: d.count - old.count, before: old, after: d });
+    before.delete(d.key);
+  });
+  before.forEach((old, key) => changes.set(key, { status: "gone", delta: -old.count, before: old, after: null }));
+  return changes;
+}
+
+// 탐지현황 항목의 변화 배지 (변화가 없으면 "")
+function formatDiffBadge(d, threats) {
+  if (!loadDiff) return "";
+  const change = loadDiff.changes.get(detectionKey(d, threats));
+  if (!change) return "";
+  const status = LOAD_DIFF_STATUS[change.status];
+  const text = change.status === "new" ? status.label : `${change.delta > 0 ? "+" : ""}${change.delta}`;
+  return html` <span class="diff-badge ${status.className}" title="직전 로드 대비 ${status.label}">${text}</span>`;
+}
+
+function goneDetections() {
+  return loadDiff ? [...loadDiff.changes.values()].filter((c) => c.status === "gone").map((c) => c.before) : [];
+}
+
+// "NDR +12건 — ChinaZ …" 형태의 변화 목록 (절댓값이 큰 순)
+function formatLoadDiff(diff = loadDiff, limit = 8) {
+  if (!diff || !diff.previous) return "";
+  const since = `직전 로드(${diff.previous.name}, ${formatTimestamp(diff.previous.at, "short")}) 대비`;
+  const changes = [...diff.changes.values()].sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  if (changes.length === 0) return html`🔁 ${since} 변화가 없습니다.`;
+
+  const counts = Object.keys(LOAD_DIFF_STATUS)
+    .map((status) => [status, changes.filter((c) => c.status === status).length])
+    .filter(([, n]) => n > 0)
+    .map(([status, n]) => `${LOAD_DIFF_STATUS[status].label} ${n}`);
+  const lines = changes.slice(0, limit).map((c) => {
+    const d = c.after || c.before;
+    const status = LOAD_DIFF_STATUS[c.status];
+    const delta = `${c.delta > 0 ? "+" : ""}${c.delta}건`;
+    return html`• <span class="diff-badge ${status.className}">${status.label}</span> ${d.matchType === "IOC" ? "IOC·" : ""}${d.type} <b>${delta}</b> — ${d.threatTitle || d.label}`;
+  });
+  return html`🔁 ${since} ${counts.join(" · ")}<br>${joinHtml(lines, html`<br>`)}${changes.length > limit && html`<br>… 외 ${changes.length - limit}건`}`;
+}
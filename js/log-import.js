@@ -0,0 +1,391 @@
+/**
+ * 로그 파일 가져오기 모듈 (CSV / JSON / syslog · CEF)
+ *
+ * data.xlsx 시트에 옮겨 붙이지 않고 장비에서 내보낸 로그 파일을 그대로 읽어
+ * 같은 상관분석(correlate.js)에 넣는다.
+ *   - index.html과 같은 폴더의 logs.json에 나열한 파일 (페이지 로드 · 새로고침 시 자동)
+ *   - 화면에 끌어다 놓은 파일
+ *
+ * logs.json 형식:
+ * {
+ *   "files": [
+ *     "spam_20260224.csv",                                    // 소스 자동 판별
+ *     { "file": "ndr_forward.log", "source": "ndr" },         // 소스 키 지정 (log-sources.js)
+ *     { "file": "proxy.csv", "source": "proxy", "label": "프록시", "fields": ["url", "user"] }
+ *   ]                                                         // ↑ 새 소스 (fields = 키워드 검색 컬럼)
+ * }
+ *
+ * 소스 판별: logs.json의 source → 어댑터의 filePattern(파일명) → CEF · key=value는 cefKeys, 없으면 cefDefault
+ *   → CSV · JSON은 헤더 일치 수 → 그 외는 파일명으로 새 소스를 등록한다 (log-sources.js).
+ * 컬럼 매핑: CSV · JSON은 xlsx와 같은 헤더 별칭(columns), CEF · key=value 로그는 어댑터의 cefFields.
+ */
+
+const LOG_MANIFEST_URL = "./logs.json";
+const LOG_FILE_FORMATS = {
+  csv: "csv", tsv: "csv",
+  json: "json", ndjson: "json", jsonl: "json",
+  cef: "syslog", log: "syslog", syslog: "syslog", txt: "syslog",
+};
+
+// CEF 심각도 단어 → 0~10
+const CEF_SEVERITY = { low: 3, medium: 5, high: 8, "very-high": 10 };
+
+// ── 불러오기 ──────────────────────────────────────────────────────
+// logs.json에 나열된 파일을 모두 읽음 → 파일별 결과 목록 (logs.json이 없으면 [])
+async function loadLogManifest(url = LOG_MANIFEST_URL) {
+  let manifest;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return [];
+    manifest = await response.json();
+  } catch (_) {
+    return [];
+  }
+  const entries = (Array.isArray(manifest) ? manifest : manifest.files || [])
+    .map((e) => (typeof e === "string" ? { file: e } : e))
+    .filter((e) => e && e.file);
+
+  return Promise.all(entries.map(async (entry) => {
+    try {
+      const response = await fetch(`./${entry.file}`);
+      if (!response.ok) throw new Error("파일을 찾을 수 없습니다");
+      return parseLogFileText(entry.file, await response.text(), entry);
+    } catch (err) {
+      return { file: entry.file, error: err.message };
+    }
+  }));
+}
+
+// File 객체(끌어다 놓은 파일) → 결과 1건
+function readLogFile(file, entry = {}) {
+  return new Promise((resolve) => {
+    if (!logFileFormat(file.name)) {
+      resolve({ file: file.name, error: "지원하지 않는 형식 (CSV · JSON · syslog/CEF만 가능)" });
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try { resolve(parseLogFileText(file.name, e.target.result, entry)); }
+      catch (err) { resolve({ file: file.name, error: err.message }); }
+    };
+    reader.onerror = () => resolve({ file: file.name, error: "파일을 읽을 수 없습니다" });
+    reader.readAsText(file);
+  });
+}
+
+// 파일 내용 → { file, format, source, rows: [로그 행], sheet: readLogSheet와 같은 형식 (검증용) }
+function parseLogFileText(name, text, entry = {}) {
+  const format = logFileFormat(name, text);
+  if (!format) throw new Error("지원하지 않는 형식 (CSV · JSON · syslog/CEF만 가능)");
+
+  const table = format === "csv" ? parseDelimited(text, /\.tsv$/i.test(name) ? "\t" : null)
+    : format === "json" ? parseJSONRecords(text)
+    : parseSyslogRecords(text);
+  if (table.records.length === 0) throw new Error("읽을 수 있는 로그 행이 없습니다");
+
+  const source = entry.source || detectLogSource(name, table);
+  const label = table.cef ? "cef" : format;
+  return LOG_SOURCES[source] && LOG_SOURCES[source].columns
+    ? mapKnownSource(name, label, source, table)
+    : mapCustomSource(name, label, source || customSourceKey(name), table, entry);
+}
+
+function logFileFormat(name, text) {
+  const ext = (String(name).match(/\.([a-z0-9]+)$/i) || [])[1];
+  const format = LOG_FILE_FORMATS[(ext || "").toLowerCase()];
+  if (format !== "syslog" || text === undefined) return format;
+  // .log / .txt는 내용으로 한 번 더 판별
+  const head = text.trimStart();
+  if (head.startsWith("[") || head.startsWith("{")) return "json";
+  if (!head.includes("CEF:") && !/\w=/.test(head.split("\n")[0]) && /[,\t]/.test(head.split("\n")[0])) return "csv";
+  return "syslog";
+}
+
+// ── 소스 판별 / 매핑 ───────────────────────────────────────────────
+function detectLogSource(name, table) {
+  const sources = Object.values(LOG_SOURCES).filter((s) => s.columns);
+  const byName = sources.find((s) => s.filePattern && s.filePattern.test(name));
+  if (byName) return byName.key;
+
+  if (table.keyValue) {
+    const byKey = sources.find((s) => s.cefKeys.some((k) => table.header.includes(k)));
+    if (byKey) return byKey.key;
+    const fallback = table.cef && sources.find((s) => s.cefDefault);
+    return fallback ? fallback.key : null;
+  }
+
+  // 헤더 이름이 가장 많이 일치하는 소스 (3개 이상)
+  const header = table.header.map((h) => norm(h));
+  let best = null;
+  let bestCount = 2;
+  sources.forEach(({ key, columns }) => {
+    const count = Object.values(mapLogColumns(header, columns)).filter((idx) => idx !== -1).length;
+    if (count > bestCount) {
+      best = key;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+function mapKnownSource(name, format, source, table) {
+  const { columns, cefFields, label, buildRow } = LOG_SOURCES[source];
+  let accessors;
+  let col = {};
+  if (table.keyValue) {
+    // 필드마다 후보 키 순서대로 — 그 줄에 값이 있는 첫 키
+    const keyIdx = Object.fromEntries(Object.keys(columns).map((key) => [
+      key,
+      (cefFields[key] || []).map((k) => table.header.indexOf(k)).filter((idx) => idx !== -1),
+    ]));
+    accessors = table.records.map((r) => (key) => {
+      const idx = keyIdx[key].find((i) => !isBlank(r[i]));
+      return idx === undefined ? "" : r[idx];
+    });
+  } else {
+    col = mapLogColumns(table.header.map((h) => norm(h)), columns);
+    accessors = table.records.map((r) => (key) => (col[key] === -1 ? "" : r[col[key]] ?? ""));
+  }
+
+  return {
+    file: name,
+    format,
+    source,
+    rows: accessors.filter((v) => !isEmptyLogRow(v, source)).map((v) => buildRow(v)),
+    sheet: {
+      rows: accessors,
+      cells: table.records,
+      note: `${label} (${format.toUpperCase()})`,
+      report: {
+        sheet: name,
+        headerRow: table.keyValue ? 0 : 1,
+        positional: false,
+        missing: table.keyValue ? [] : Object.keys(columns).filter((key) => col[key] === -1).map((key) => columns[key][0]),
+      },
+    },
+  };
+}
+
+// 새 소스 — 컬럼(키) 이름 그대로 행 객체를 만들고 소스 어댑터로 등록
+function mapCustomSource(name, format, source, table, entry) {
+  const label = entry.label || source;
+  const searchable = (entry.fields || []).filter((f) => table.header.includes(f));
+  registerCustomSource(source, label, table.header, searchable.length ? searchable : table.header);
+
+  const rows = table.records.map((r) => Object.fromEntries(table.header.map((h, i) => [h, String(r[i] ?? "")])));
+  return {
+    file: name,
+    format,
+    source,
+    rows,
+    sheet: {
+      rows,
+      cells: table.records,
+      note: `새 소스 "${label}" (${format.toUpperCase()})`,
+      report: { sheet: name, headerRow: table.keyValue ? 0 : 1, positional: false, missing: [] },
+    },
+  };
+}
+
+// 같은 소스로 여러 파일이 들어오면 컬럼을 합친다 — 유형 · 라벨 · 상세정보는 어댑터 기본값
+function registerCustomSource(key, label, header, searchable) {
+  const existing = LOG_SOURCES[key];
+  const fields = { ...(existing ? existing.fields : {}) };
+  header.forEach((h) => { fields[h] = h; });
+  registerLogSource(key, {
+    label,
+    fields,
+    defaults: [...new Set([...(existing ? existing.defaults : []), ...searchable])],
+    custom: true,
+  });
+}
+
+// "proxy_20260224.csv" → "proxy"
+function customSourceKey(name) {
+  const base = name.replace(/\.[^.]+$/, "").toLowerCase()
+    .replace(/[_\-. ]?\d{6,8}$/, "")
+    .replace(/[^a-z0-9가-힣]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return base && !(LOG_SOURCES[base] && LOG_SOURCES[base].columns) ? base : "imported";
+}
+
+// 결과 목록 → logs에 소스별로 합침
+function mergeImportedLogs(logs, results) {
+  results.filter((r) => !r.error).forEach((r) => {
+    logs[r.source] = (logs[r.source] || []).concat(r.rows);
+  });
+  return logs;
+}
+
+// 결과 목록 → 가져오기 검증 리포트 (validate.js 형식)
+function buildLogFileReport(file, results) {
+  const report = { file, sheets: [], issues: [] };
+  results.forEach((r) => {
+    if (r.error) {
+      report.sheets.push({ name: r.file, status: "무시", rows: "", note: r.error });
+      return;
+    }
+    validateLogRows(r.sheet, r.source, report);
+  });
+  return report;
+}
+
+// ── CSV ───────────────────────────────────────────────────────────
+// → { header, records: [[셀]] } (따옴표 · 따옴표 안 줄바꿈 처리, 구분자 자동 판별)
+function parseDelimited(text, delimiter = null) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const sep = delimiter || [",", "\t", ";"].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best, ",");
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((c) => c.trim() !== ""));
+  return {
+    header: (nonEmpty[0] || []).map((h) => h.trim()),
+    records: nonEmpty.slice(1).map((r) => r.map((c) => c.trim())),
+  };
+}
+
+// ── JSON ──────────────────────────────────────────────────────────
+// 배열 / { records|data|logs|events|items: [...] } / 한 줄에 객체 하나(NDJSON)
+function parseJSONRecords(text) {
+  let list;
+  try {
+    const parsed = JSON.parse(text);
+    if (Array.isArray(parsed)) list = parsed;
+    else {
+      const key = ["records", "data", "logs", "events", "items", "hits"].find((k) => Array.isArray(parsed[k]));
+      list = key ? parsed[key] : [parsed];
+    }
+  } catch (_) {
+    list = String(text).split(/\r?\n/).filter((l) => l.trim()).map((l) => {
+      try { return JSON.parse(l); } catch (e) { return null; }
+    }).filter(Boolean);
+  }
+
+  const flat = list.filter((o) => o && typeof o === "object").map((o) => flattenRecord(o));
+  const header = [...new Set(flat.flatMap((o) => Object.keys(o)))];
+  return { header, records: flat.map((o) => header.map((h) => o[h] ?? "")) };
+}
+
+// { a: { b: 1 }, c: [1, 2] } → { "a.b": 1, c: "1, 2" }
+function flattenRecord(obj, prefix = "", out = {}) {
+  Object.entries(obj).forEach(([k, v]) => {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object" && !Array.isArray(v)) flattenRecord(v, key, out);
+    else out[key] = Array.isArray(v) ? v.join(", ") : v;
+  });
+  return out;
+}
+
+// ── syslog / CEF ──────────────────────────────────────────────────
+// 한 줄 = 1건. CEF 줄은 헤더 7개 + 확장 키, 그 외는 key=value 쌍 + message
+function parseSyslogRecords(text) {
+  const parsed = String(text).split(/\r?\n/).filter((l) => l.trim()).map(parseSyslogLine);
+  const header = [...new Set(parsed.flatMap((o) => Object.keys(o)))];
+  return {
+    header,
+    records: parsed.map((o) => header.map((h) => o[h] ?? "")),
+    keyValue: true,
+    cef: parsed.some((o) => o.cefVersion !== undefined),
+  };
+}
+
+function parseSyslogLine(line) {
+  const record = {};
+  let rest = line.trim();
+
+  // "<134>Feb 24 09:10:00 host " 또는 "<134>1 2026-02-24T09:10:00+09:00 host "
+  const prefix = rest.match(/^(?:<\d+>)?(?:\d\s+)?([A-Z][a-z]{2}\s+\d{1,2}\s+\d{2}:\d{2}:\d{2}|\d{4}-\d{2}-\d{2}T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)\s+(\S+)\s+/);
+  if (prefix) {
+    record.syslogTime = prefix[1];
+    record.syslogHost = prefix[2];
+    rest = rest.slice(prefix[0].length);
+  }
+
+  const cefAt = rest.indexOf("CEF:");
+  if (cefAt !== -1) return Object.assign(record, parseCEF(rest.slice(cefAt)));
+
+  Object.assign(record, parseKeyValues(rest));
+  record.message = rest;
+  return record;
+}
+
+// "CEF:0|Vendor|Product|1.0|100|Name|8|src=1.2.3.4 dst=…"
+function parseCEF(text) {
+  const parts = [];
+  let cur = "";
+  let i = 4; // "CEF:" 다음
+  for (; i < text.length && parts.length < 7; i++) {
+    const ch = text[i];
+    if (ch === "\\" && (text[i + 1] === "|" || text[i + 1] === "\\")) { cur += text[++i]; continue; }
+    if (ch === "|") { parts.push(cur); cur = ""; continue; }
+    cur += ch;
+  }
+  const [cefVersion, deviceVendor, deviceProduct, deviceVersion, signatureId, name, severity] = parts;
+  const record = { cefVersion, deviceVendor, deviceProduct, deviceVersion, signatureId, name, severity };
+  Object.assign(record, parseKeyValues(text.slice(i), true));
+
+  // CEF 심각도(0~10 또는 Low/Medium/High) → NDR Risk Score(0~100) · 웹방화벽 위험도 등급(1~5 — riskLevelScore)
+  const sev = CEF_SEVERITY[String(severity).toLowerCase()] ?? +severity;
+  if (!isNaN(sev)) {
+    record.risk = Math.round(sev * 10);
+    record.severityLevel = Math.min(5, Math.max(1, Math.ceil(sev / 2)));
+  }
+  return record;
+}
+
+// "src=1.2.3.4 msg=two words act=blocked" → { src, msg: "two words", act }
+// cef: 값에 공백 허용 + \= \\ \n 이스케이프, cs1Label=… cs1=… → { [라벨]: 값 }
+function parseKeyValues(text, cef = false) {
+  const record = {};
+  const re = cef ? /(?:^|\s)([A-Za-z][\w.\[\]-]*)=/g : /(?:^|\s)([\w.-]+)=("(?:[^"\\]|\\.)*"|\S*)/g;
+  const matches = [...text.matchAll(re)];
+  matches.forEach((m, idx) => {
+    let value;
+    if (cef) {
+      const start = m.index + m[0].length;
+      const end = idx + 1 < matches.length ? matches[idx + 1].index : text.length;
+      value = text.slice(start, end).trim().replace(/\\([=\\])/g, "$1").replace(/\\[nr]/g, "\n");
+    } else {
+      value = m[2].replace(/^"|"$/g, "");
+    }
+    record[m[1]] = value;
+  });
+  if (cef) {
+    Object.keys(record).forEach((k) => {
+      const label = k.match(/^(c[sn]\d)Label$/);
+      if (label && record[label[1]] !== undefined) record[record[k]] = record[label[1]];
+    });
+  }
+  return record;
+}
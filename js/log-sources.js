@@ -0,0 +1,386 @@
+/**
+ * 로그 소스 어댑터 레지스트리
+ *
+ * 로그 소스(스팸스나이퍼 · NDR · 웹방화벽 …)마다 읽는 법 · 검색 필드 · 탐지 표시 · 챗봇 키워드를 한곳에 선언한다.
+ * 파서(excel.js · log-import.js), 매칭(rules.js · scoring.js · ioc.js), 상관분석(correlate.js),
+ * 검증(validate.js), 화면 · 챗봇(app.js)은 소스 이름을 직접 쓰지 않고 LOG_SOURCES를 순회한다.
+ * 새 소스는 registerLogSource 호출 하나로 추가한다 (별도 스크립트라면 index.html에서 excel.js보다 먼저 로드).
+ *
+ * 어댑터 형식 (생략한 항목은 기본값):
+ * registerLogSource("edr", {
+ *   label: "EDR",                              // 소스 표시명 (검증 리포트 · 룰 편집 · 일치 근거)
+ *   type: "EDR",                               // 탐지 유형 — 탐지현황 [유형] 라벨 · 챗봇 필터 (기본: label)
+ *   dot: "dot-edr",                            // 탐지현황 점 색 클래스 (기본: dot-etc)
+ *   keywords: /edr|엔드포인트/,                // 챗봇 질의 키워드 (기본: label)
+ *   action: "탐지",                            // 조치 — 유입 / 탐지 / 차단
+ *   labelTemplate: "{title} {match} 이벤트 {count}건 탐지",   // 앞에 [유형], {match}: 관련 | IOC 일치
+ *
+ *   sheet: "EDR로그",                          // data.xlsx 시트명 (없으면 파일로만 가져옴)
+ *   filePattern: /(?:^|[^a-z])edr(?![a-z])/i,  // 로그 파일명 판별 (log-import.js) — 영문은 단어 단위로
+ *   columns: { time: ["탐지 시간", "time"], host: ["호스트명", "host"] },  // 필드 → [헤더, ...별칭]
+ *   keyFields: ["time", "host"],               // 모두 비어 있으면 행 제외
+ *   timeField: "time",                         // 이벤트 시각 필드 — 타임라인 · 기간 필터 (time.js)
+ *   timeZone: "UTC",                           // 시간대 표기가 없는 시각의 기준 (기본: KST)
+ *   ruleField: "ruleName",                     // 장비 룰 · 시그니처 이름 필드 — 룰별 일별 추세 (trends.js)
+ *   attackerField: "srcIP",                    // 공격 출발지 IP 필드 — 일일 브리핑 상위 공격 IP (briefing.js)
+ *   serverField: "dstIP",                      // 공격 대상 서버 IP 필드 — 일일 브리핑 상위 대상 서버
+ *   buildRow: (v) => ({ time: v("time"), host: String(v("host") || "") }),
+ *   cefFields: { time: ["rt"], host: ["dhost"] },   // CEF · key=value 키 → 필드 (앞에서부터 값이 있는 키)
+ *   cefKeys: ["dproc"],                        // 이 키가 있는 CEF · key=value 파일은 이 소스로 판별
+ *   cefDefault: false,                         // 어느 cefKeys에도 안 맞는 CEF 파일을 받을 소스 (NDR)
+ *   checks: { required: ["time"], dates: ["time"], ips: [], numbers: [] },  // 행 검증 (validate.js)
+ *
+ *   fields: { host: "호스트명" },              // 키워드 검색 가능 필드 (행 키 → 표시명)
+ *   defaults: ["host"],                        // 기본 검색 필드 (기본: fields 전체)
+ *   weights: { host: 1.5 },                    // 필드별 신뢰도 가중치 (없으면 1)
+ *   iocFields: { ip: ["srcIP"], domain: ["host"] },   // IOC 유형 → 정확 매칭 필드
+ *
+ *   count: (rows) => rows.length,              // 탐지 건수
+ *   targets: (rows) => splitTargets(rows.map((r) => r.host)),   // 영향 자산 후보 (asset-match.js)
+ *   entities: (rows) => rows.map((r) => ({ kind: "host", value: r.host, role: "호스트", time: r.time })),
+ *                                              // 소스 간 교차 상관용 IP · 호스트 (cross-source.js)
+ *   detail: (rows, count) => ({ 호스트: uniqueJoin(rows.map((r) => r.host), DETAIL_VALUE_LIMIT) }),   // 챗봇 상세정보
+ *   risk: (row) => ({ high: 80, medium: 50, low: 20 })[row.severity] ?? null,   // 위험도 0~100 (priority.js)
+ *   allowed: (row) => row.action !== "block",  // 차단되지 않고 통과 · 유입된 행인가 (priority.js, 기본: action이 차단이 아니면 true)
+ * });
+ */
+
+const LOG_SOURCES = {};
+const DETAIL_VALUE_LIMIT = 10; // 상세정보 항목별 고유값 표시 개수 (전체 행은 원본 로그 표 — log-table.js)
+
+function registerLogSource(key, adapter) {
+  const label = adapter.label || key;
+  const action = adapter.action || "탐지";
+  const fields = adapter.fields || {};
+  LOG_SOURCES[key] = {
+    type: label,
+    dot: "dot-etc",
+    keywords: new RegExp(label.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i"),
+    labelTemplate: `{title} {match} 이벤트 {count}건 ${action}`,
+    sheet: null,
+    filePattern: null,
+    columns: null,
+    keyFields: [],
+    timeField: null,
+    timeZone: DEFAULT_TIME_ZONE,
+    ruleField: null,
+    attackerField: null,
+    serverField: null,
+    cefFields: {},
+    cefKeys: [],
+    checks: { required: [], dates: [], ips: [], numbers: [] },
+    defaults: Object.keys(fields),
+    weights: {},
+    iocFields: {},
+    count: (rows) => rows.length,
+    targets: (rows) => splitTargets(rows.flatMap((r) => Object.values(r).filter((v) => v && isValidIPList(v)))),
+    entities: (rows) => rows.flatMap((r) => Object.entries(r)
+      .filter(([, v]) => v && isValidIPList(v))
+      .map(([field, v]) => ({ kind: "ip", value: v, role: fields[field] || field, time: null }))),
+    detail: (rows, count) => genericDetail(key, rows, count),
+    risk: () => null,
+    allowed: () => action !== "차단",
+    ...adapter,
+    key,
+    label,
+    action,
+    fields,
+  };
+  return LOG_SOURCES[key];
+}
+
+function logSourceKeys() {
+  return Object.keys(LOG_SOURCES);
+}
+
+// { spam: [], ndr: [], waf: [], … }
+function emptyLogs() {
+  return Object.fromEntries(logSourceKeys().map((key) => [key, []]));
+}
+
+// 탐지 유형("NDR", "NDR,웹방화벽" …) → 어댑터 (여러 개면 첫 유형)
+function sourceForType(type) {
+  const first = String(type || "").split(",")[0];
+  return Object.values(LOG_SOURCES).find((s) => s.type === first) || null;
+}
+
+// "[IOC·메일] 저작권법 … IOC 일치 메일 3건 유입"
+function formatDetectionLabel(source, threat, count, matchType) {
+  const prefix = matchType ? `${matchType}·${source.type}` : source.type;
+  const body = source.labelTemplate
+    .replace("{title}", threat.title)
+    .replace("{match}", matchType ? `${matchType} 일치` : "관련")
+    .replace("{count}", count);
+  return `[${prefix}] ${body}`;
+}
+
+// "상" · "High" · "4" (1~5) · "8" (0~10) · "80" → 0~100 (해석할 수 없으면 null)
+function riskLevelScore(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  if (/^(긴급|심각|critical|crit|fatal|emergency)$/i.test(s)) return 100;
+  if (/^(상|높음|높|high|major)$/i.test(s)) return 80;
+  if (/^(중|보통|medium|med|warning|warn|minor)$/i.test(s)) return 50;
+  if (/^(하|낮음|낮|low|info|informational)$/i.test(s)) return 20;
+  const n = +s;
+  if (isNaN(n) || n < 0) return null;
+  if (n <= 5 && Number.isInteger(n)) return n * 20;
+  return Math.min(100, n <= 10 ? n * 10 : n);
+}
+
+// 기본 상세정보 — 검색 대상 필드별 고유값
+function genericDetail(key, rows, count) {
+  const source = LOG_SOURCES[key];
+  const detail = { 로그출처: source.label };
+  source.defaults.forEach((field) => {
+    detail[source.fields[field] || field] = uniqueJoin(rows.map((r) => r[field]), DETAIL_VALUE_LIMIT);
+  });
+  detail.매칭이벤트건수 = `${count}건`;
+  return detail;
+}
+
+// ── 스팸스나이퍼 ───────────────────────────────────────────────────
+registerLogSource("spam", {
+  label: "스팸스나이퍼",
+  type: "메일",
+  dot: "dot-mail",
+  keywords: /피싱|phishing|메일|mail|스팸/,
+  action: "유입",
+  labelTemplate: "{title} {match} 메일 {count}건 유입",
+
+  sheet: "스팸스나이퍼",
+  filePattern: /spam|스팸|(?:^|[^a-z])e?-?mail(?![a-z])|메일(?!서버)/i,
+  // 키 순서 = 헤더가 없을 때 사용하는 기본 열 순서(A, B, C …)
+  columns: {
+    date: ["날짜", "수신일시", "수신 일시", "일시", "date"],
+    mailType: ["메일종류", "메일 종류"],
+    mode: ["모드", "mode"],
+    result: ["전송결과", "전송 결과"],
+    attachment: ["첨부", "첨부파일", "첨부 파일"],
+    subject: ["제목", "메일 제목", "subject"],
+    sender: ["발신자", "보낸 사람", "sender", "from"],
+    senderIP: ["발신자 IP", "발신 IP", "sender ip"],
+    recipient: ["수신자", "받는 사람", "recipient"],
+    mailSize: ["메일크기", "메일 크기", "size"],
+    filterInfo: ["필터링 정보", "필터 정보"],
+    recoveryDate: ["복구 날짜", "복구일"],
+    serverIP: ["서버 IP", "server ip"],
+    vadeCause: ["Vade Engine Spamcause", "spamcause", "vade"],
+  },
+  keyFields: ["date", "subject", "sender"],
+  timeField: "date",
+  ruleField: "filterInfo",
+  attackerField: "senderIP",
+  buildRow: (v) => ({
+    date: v("date"), mailType: v("mailType"), mode: v("mode"), result: v("result"), attachment: v("attachment"),
+    subject: String(v("subject") || ""),
+    sender: String(v("sender") || ""),
+    senderIP: String(v("senderIP") || ""),
+    recipient: String(v("recipient") || ""),
+    mailSize: v("mailSize"), filterInfo: String(v("filterInfo") || ""),
+    recoveryDate: v("recoveryDate"), serverIP: v("serverIP"), vadeCause: String(v("vadeCause") || ""),
+  }),
+  cefFields: {
+    date: ["rt", "start", "syslogTime"], subject: ["msg", "subject"], sender: ["suser", "from", "sender"],
+    senderIP: ["src", "srcip"], recipient: ["duser", "to", "recipient"], serverIP: ["dst", "dstip"],
+    filterInfo: ["cat", "name"], result: ["act", "action"],
+  },
+  cefKeys: ["suser", "duser"],
+  checks: { required: ["date", "subject", "senderIP"], dates: ["date", "recoveryDate"], ips: ["senderIP", "serverIP"], numbers: [] },
+
+  fields: {
+    subject: "제목", sender: "발신자", senderIP: "발신자 IP", recipient: "수신자",
+    filterInfo: "필터링 정보", vadeCause: "Vade Spamcause",
+  },
+  defaults: ["subject", "sender"],
+  weights: { subject: 1, sender: 1.3, senderIP: 1.5, recipient: 0.5, filterInfo: 0.4, vadeCause: 0.4 },
+  iocFields: { ip: ["senderIP"], domain: ["sender"], email: ["sender"] },
+
+  targets: (rows) => ({
+    recipients: [...new Set(rows.flatMap((r) => r.recipient.split(/[;,]/)).map((v) => v.trim()).filter(Boolean))],
+  }),
+  entities: (rows) => rows.flatMap((r) => [
+    { kind: "ip", value: r.senderIP, role: "발신자 IP", time: r.date },
+    ...r.recipient.split(/[;,]/).map((v) => ({ kind: "recipient", value: v.trim(), role: "메일 수신자", time: r.date })),
+  ]),
+  detail: (rows) => ({
+    날짜: uniqueJoin(rows.map((r) => formatTimeValue(r.date, "date")), DETAIL_VALUE_LIMIT),
+    발신자: uniqueJoin(rows.map((r) => r.sender), DETAIL_VALUE_LIMIT),
+    "메일 제목": uniqueJoin(rows.map((r) => r.subject), DETAIL_VALUE_LIMIT, " / "),
+    수신자: uniqueJoin(rows.map((r) => r.recipient), DETAIL_VALUE_LIMIT),
+    수신건수: `${rows.length}건`,
+    필터링정보: uniqueJoin(rows.map((r) => r.filterInfo), DETAIL_VALUE_LIMIT),
+  }),
+  // 필터링 정보 · Vade 판정: 피싱 · 악성코드 > 스팸
+  risk: (r) => {
+    const text = `${r.filterInfo} ${r.vadeCause}`;
+    if (/phish|피싱|virus|바이러스|malware|악성|ransom|랜섬/i.test(text)) return 80;
+    return /spam|스팸/i.test(text) ? 40 : null;
+  },
+  // 전송결과 · 모드에 차단 · 격리 · 삭제가 없으면 수신자에게 전달된 메일
+  allowed: (r) => !/차단|격리|삭제|거부|반송|block|quarantin|reject|drop|delete/i.test(`${r.result || ""} ${r.mode || ""}`),
+});
+
+// ── NDR ──────────────────────────────────────────────────────────
+registerLogSource("ndr", {
+  label: "NDR",
+  dot: "dot-ndr",
+  keywords: /ndr|엔디알/,
+  action: "탐지",
+  labelTemplate: "{title} {match} 이벤트 {count}건 탐지",
+
+  sheet: "NDR로그",
+  filePattern: /(?:^|[^a-z])ndr(?![a-z])/i,
+  columns: {
+    ruleName: ["NDR_RuleName", "rule name", "룰 이름", "탐지명"],
+    riskScore: ["Risk Score", "위험 점수"],
+    logSource: ["로그 소스", "log source"],
+    startTime: ["시작 시간", "start time", "발생 시간"],
+    srcIP: ["소스 IP", "출발지 IP", "source ip", "src ip"],
+    srcPort: ["소스 포트", "출발지 포트", "source port", "src port"],
+    dstIP: ["대상 IP", "목적지 IP", "destination ip", "dst ip"],
+    dstPort: ["대상 포트", "목적지 포트", "destination port", "dst port"],
+  },
+  keyFields: ["ruleName", "logSource", "srcIP"],
+  timeField: "startTime",
+  ruleField: "ruleName",
+  attackerField: "srcIP",
+  serverField: "dstIP",
+  buildRow: (v) => ({
+    ruleName: String(v("ruleName") || ""),
+    riskScore: +v("riskScore") || 0,
+    logSource: String(v("logSource") || ""),
+    startTime: v("startTime"),
+    srcIP: String(v("srcIP") || ""),
+    srcPort: v("srcPort"),
+    dstIP: String(v("dstIP") || ""),
+    dstPort: v("dstPort"),
+  }),
+  cefDefault: true,
+  cefFields: {
+    ruleName: ["name", "rule", "msg"], riskScore: ["risk", "severity"], logSource: ["deviceProduct", "dvchost", "syslogHost"],
+    startTime: ["rt", "start", "syslogTime"], srcIP: ["src", "srcip"], srcPort: ["spt", "srcport"],
+    dstIP: ["dst", "dstip"], dstPort: ["dpt", "dstport"],
+  },
+  checks: { required: ["startTime", "ruleName", "srcIP"], dates: ["startTime"], ips: ["srcIP", "dstIP"], numbers: ["riskScore"] },
+
+  fields: { ruleName: "NDR_RuleName", logSource: "로그 소스", srcIP: "소스 IP", dstIP: "대상 IP" },
+  defaults: ["ruleName", "logSource"],
+  weights: { ruleName: 1, logSource: 0.5, srcIP: 1.5, dstIP: 1.5 },
+  iocFields: { ip: ["srcIP", "dstIP"] },
+
+  targets: (rows) => splitTargets(rows.flatMap((r) => [r.srcIP, r.dstIP])),
+  entities: (rows) => rows.flatMap((r) => [
+    { kind: "ip", value: r.srcIP, role: "소스 IP", time: r.startTime },
+    { kind: "ip", value: r.dstIP, role: "대상 IP", time: r.startTime },
+  ]),
+  detail: (rows) => ({
+    로그출처: "NDR",
+    NDR_RuleName: uniqueJoin(rows.map((r) => r.ruleName), DETAIL_VALUE_LIMIT),
+    "로그 소스": uniqueJoin(rows.map((r) => r.logSource), DETAIL_VALUE_LIMIT),
+    "소스 IP": uniqueJoin(rows.map((r) => r.srcIP), DETAIL_VALUE_LIMIT),
+    "대상 IP": uniqueJoin(rows.map((r) => r.dstIP), DETAIL_VALUE_LIMIT),
+    매칭이벤트건수: `${rows.length}건`,
+    조치량: `${rows.length}건 탐지`,
+  }),
+  risk: (r) => (r.riskScore > 0 ? Math.min(100, r.riskScore) : null),
+  allowed: () => true, // NDR은 탐지만 하고 차단하지 않음
+});
+
+// ── 웹방화벽 ─────────────────────────────────────────────────────
+registerLogSource("waf", {
+  label: "웹방화벽",
+  dot: "dot-waf",
+  keywords: /웹방화벽|waf|방화벽/,
+  action: "차단",
+  labelTemplate: "{title} {match} 이벤트 {count}건 차단",
+
+  sheet: "웹방화벽로그",
+  filePattern: /(?:^|[^a-z])waf(?![a-z])|웹방화벽/i,
+  columns: {
+    time: ["시간", "탐지 시간", "일시", "time"],
+    clientIP: ["클라이언트 IP", "client ip"],
+    clientPort: ["클라이언트 포트", "client port"],
+    originIP: ["Origin IP", "원본 IP"],
+    serverIP: ["서버 IP", "server ip"],
+    serverPort: ["서버 포트", "server port"],
+    httpVer: ["HTTP 버전", "http version"],
+    urlDomain: ["URL 도메인", "도메인", "host"],
+    request: ["요청", "request"],
+    reqLen: ["요청 데이터 길이", "요청 길이"],
+    response: ["응답", "response"],
+    resLen: ["응답 데이터 길이", "응답 길이"],
+    ruleName: ["룰 이름", "rule name"],
+    patternName: ["패턴 이름", "pattern name"],
+    detType: ["탐지 유형"],
+    basis: ["탐지 근거"],
+    owasp: ["OWASP 취약점", "owasp"],
+    gov8: ["국정원 8대 취약점", "국정원"],
+    kisa: ["KISA 홈페이지 취약점", "kisa"],
+    count: ["탐지 개수", "탐지 건수", "count"],
+    mail: ["메일", "mail"],
+    riskLevel: ["위험도", "risk level"],
+    action: ["조치", "action"],
+    transactionId: ["Transaction ID"],
+  },
+  keyFields: ["time", "clientIP", "ruleName"],
+  timeField: "time",
+  ruleField: "ruleName",
+  attackerField: "clientIP",
+  serverField: "serverIP",
+  buildRow: (v) => ({
+    time: v("time"), clientIP: String(v("clientIP") || ""), clientPort: v("clientPort"),
+    originIP: String(v("originIP") || ""), serverIP: String(v("serverIP") || ""),
+    serverPort: v("serverPort"), httpVer: v("httpVer"), urlDomain: String(v("urlDomain") || ""),
+    request: String(v("request") || ""), reqLen: v("reqLen"), response: v("response"), resLen: v("resLen"),
+    ruleName: String(v("ruleName") || ""), patternName: String(v("patternName") || ""),
+    detType: String(v("detType") || ""), basis: String(v("basis") || ""),
+    owasp: v("owasp"), gov8: v("gov8"), kisa: v("kisa"), count: +v("count") || 1,
+    mail: v("mail"), riskLevel: v("riskLevel"), action: String(v("action") || "차단"), transactionId: v("transactionId"),
+  }),
+  cefFields: {
+    time: ["rt", "start", "syslogTime"], clientIP: ["src", "srcip"], clientPort: ["spt", "srcport"],
+    serverIP: ["dst", "dstip"], serverPort: ["dpt", "dstport"], urlDomain: ["dhost", "host"],
+    request: ["request", "url"], ruleName: ["name", "rule"], patternName: ["signatureId"], basis: ["msg", "reason"],
+    action: ["act", "action"], riskLevel: ["severityLevel"], count: ["cnt"],
+  },
+  cefKeys: ["request", "requestMethod"],
+  checks: { required: ["time", "clientIP"], dates: ["time"], ips: ["clientIP", "originIP", "serverIP"], numbers: ["count"] },
+
+  fields: {
+    urlDomain: "URL 도메인", request: "요청", ruleName: "룰 이름", patternName: "패턴 이름",
+    detType: "탐지 유형", basis: "탐지 근거", clientIP: "클라이언트 IP", originIP: "Origin IP", serverIP: "서버 IP",
+  },
+  defaults: ["urlDomain", "ruleName", "patternName", "basis"],
+  weights: { urlDomain: 1.3, request: 0.7, ruleName: 1, patternName: 1, detType: 0.6, basis: 1, clientIP: 1.5, originIP: 1.5, serverIP: 1.5 },
+  iocFields: {
+    ip: ["clientIP", "originIP"],
+    domain: ["urlDomain"],
+    url: ["request"],
+    hash: ["basis"],
+    cve: ["basis", "patternName", "ruleName"],
+  },
+
+  count: (rows) => rows.reduce((sum, r) => sum + r.count, 0),
+  targets: (rows) => splitTargets(rows.map((r) => r.serverIP)),
+  entities: (rows) => rows.flatMap((r) => [
+    { kind: "ip", value: r.clientIP, role: "클라이언트 IP", time: r.time },
+    { kind: "ip", value: r.originIP, role: "Origin IP", time: r.time },
+    { kind: "ip", value: r.serverIP, role: "서버 IP", time: r.time },
+    { kind: "host", value: r.urlDomain, role: "URL 도메인", time: r.time },
+  ]),
+  detail: (rows, count) => ({
+    로그출처: "웹방화벽",
+    매칭이벤트건수: `${count}건`,
+    "클라이언트 IP": uniqueJoin(rows.map((r) => r.clientIP), DETAIL_VALUE_LIMIT),
+    "서버 IP": uniqueJoin(rows.map((r) => r.serverIP), DETAIL_VALUE_LIMIT),
+    "URL 도메인": uniqueJoin(rows.map((r) => r.urlDomain), DETAIL_VALUE_LIMIT),
+    룰이름: uniqueJoin(rows.map((r) => r.ruleName), DETAIL_VALUE_LIMIT),
+    패턴이름: uniqueJoin(rows.map((r) => r.patternName), DETAIL_VALUE_LIMIT),
+    탐지근거: uniqueJoin(rows.map((r) => r.basis), DETAIL_VALUE_LIMIT),
+    조치: uniqueJoin(rows.map((r) => r.action), DETAIL_VALUE_LIMIT),
+    조치량: `${count}건 차단`,
+  }),
+  risk: (r) => riskLevelScore(r.riskLevel),
+  allowed: (r) => !/차단|block|deny|drop|reject/i.test(r.action),
+});
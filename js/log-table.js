@@ -0,0 +1,157 @@
+/**
+ * 원본 로그 표 (index.html 📑 원본 로그 모달)
+ *
+ * 탐지 1건이 일치한 원본 로그 행(detection.rows — correlate.js)을 소스의 전체 컬럼으로 보여준다.
+ *   - 헤더 클릭 → 정렬 (다시 누르면 역순)
+ *   - 검색어 → 모든 컬럼에서 찾기 (공백으로 나눈 단어를 모두 포함하는 행)
+ *   - LOG_TABLE_PAGE_SIZE행씩 페이지 이동
+ *   - [xlsx 다운로드] → 현재 검색 · 정렬 상태의 전체 행
+ *
+ * 컬럼은 소스 어댑터의 columns(log-sources.js) 순서와 첫 번째 헤더명을 쓰고,
+ * 컬럼 정의가 없는 새 소스(로그 파일로만 들어온 소스)는 행의 키를 그대로 쓴다.
+ */
+
+const LOG_TABLE_PAGE_SIZE = 50;
+
+let logTable = { detection: null, columns: [], sortKey: null, sortDir: 1, filter: "", page: 0 };
+
+function setupLogTable() {
+  const modal = document.getElementById("rows-modal");
+  document.getElementById("rows-close").addEventListener("click", closeLogTable);
+  modal.addEventListener("click", (e) => {
+    if (e.target === e.currentTarget) closeLogTable();
+  });
+  document.getElementById("rows-filter").addEventListener("input", (e) => {
+    logTable.filter = e.target.value;
+    logTable.page = 0;
+    renderLogTable();
+  });
+  document.getElementById("rows-prev").addEventListener("click", () => moveLogTablePage(-1));
+  document.getElementById("rows-next").addEventListener("click", () => moveLogTablePage(1));
+  document.getElementById("rows-download").addEventListener("click", downloadLogTable);
+  document.getElementById("rows-table").addEventListener("click", (e) => {
+    const th = e.target.closest("th[data-key]");
+    if (!th) return;
+    const key = th.dataset.key;
+    logTable.sortDir = logTable.sortKey === key ? -logTable.sortDir : 1;
+    logTable.sortKey = key;
+    logTable.page = 0;
+    renderLogTable();
+  });
+}
+
+// 원본 행이 없는 탐지(목데이터)는 false
+function openLogTable(detection) {
+  if (!detection || !detection.rows || detection.rows.length === 0) return false;
+  logTable = {
+    detection,
+    columns: logTableColumns(detection.sourceKey, detection.rows),
+    sortKey: null,
+    sortDir: 1,
+    filter: "",
+    page: 0,
+  };
+  document.getElementById("rows-title").textContent = `📑 원본 로그 — ${detection.label}`;
+  document.getElementById("rows-filter").value = "";
+  renderLogTable();
+  document.getElementById("rows-modal").classList.add("open");
+  return true;
+}
+
+function closeLogTable() {
+  document.getElementById("rows-modal").classList.remove("open");
+}
+
+// [{ key, label }] — 어댑터 columns 순서, 없으면 행 키
+function logTableColumns(sourceKey, rows) {
+  const source = LOG_SOURCES[sourceKey];
+  if (source && source.columns) {
+    return Object.entries(source.columns).map(([key, aliases]) => ({ key, label: aliases[0] }));
+  }
+  const keys = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  return keys.map((key) => ({ key, label: (source && source.fields[key]) || key }));
+}
+
+// 검색 · 정렬을 적용한 전체 행
+function logTableRows() {
+  const { detection, columns, sortKey, sortDir } = logTable;
+  const terms = logTable.filter.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const rows = terms.length === 0 ? [...detection.rows] : detection.rows.filter((r) => {
+    const text = columns.map((c) => formatLogCell(r[c.key])).join("\u0000").toLowerCase();
+    return terms.every((t) => text.includes(t));
+  });
+  if (sortKey) rows.sort((a, b) => compareLogValues(a[sortKey], b[sortKey]) * sortDir);
+  return rows;
+}
+
+function renderLogTable() {
+  const { columns, sortKey, sortDir } = logTable;
+  const rows = logTableRows();
+  const pages = Math.max(1, Math.ceil(rows.length / LOG_TABLE_PAGE_SIZE));
+  logTable.page = Math.min(logTable.page, pages - 1);
+  const start = logTable.page * LOG_TABLE_PAGE_SIZE;
+  const pageRows = rows.slice(start, start + LOG_TABLE_PAGE_SIZE);
+
+  const head = columns.map((c) => {
+    const mark = c.key === sortKey ? (sortDir > 0 ? " ▲" : " ▼") : "";
+    return html`<th data-key="${c.key}" class="${c.key === sortKey ? "sorted" : ""}">${c.label}${mark}</th>`;
+  });
+  const body = pageRows.length
+    ? pageRows.map((r) => html`<tr>${columns.map((c) => {
+      const text = formatLogCell(r[c.key]);
+      return html`<td title="${text}">${text}</td>`;
+    })}</tr>`)
+    : html`<tr><td colspan="${columns.length}" class="asset-empty">검색 결과가 없습니다.</td></tr>`;
+  setHtml(document.getElementById("rows-table"), html`<thead><tr>${head}</tr></thead><tbody>${body}</tbody>`);
+
+  const total = logTable.detection.rows.length;
+  document.getElementById("rows-count").textContent = rows.length === 0 ? `0행 / 전체 ${total}행`
+    : `${start + 1}–${start + pageRows.length} / ${rows.length}행` + (rows.length < total ? ` (전체 ${total}행)` : "");
+  document.getElementById("rows-page").textContent = `${logTable.page + 1} / ${pages}`;
+  document.getElementById("rows-prev").disabled = logTable.page === 0;
+  document.getElementById("rows-next").disabled = logTable.page >= pages - 1;
+}
+
+function moveLogTablePage(delta) {
+  logTable.page = Math.max(0, logTable.page + delta);
+  renderLogTable();
+}
+
+// 빈 값은 항상 뒤로, 날짜 · 숫자는 값으로, 나머지는 문자열(숫자 포함 자연 정렬)
+function compareLogValues(a, b) {
+  const blankA = isBlank(a), blankB = isBlank(b);
+  if (blankA || blankB) return blankA - blankB;
+  if (a instanceof Date && b instanceof Date) return a - b;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return formatLogCell(a).localeCompare(formatLogCell(b), "ko", { numeric: true });
+}
+
+// 셀 표시값 — Date는 "2026-02-24 09:10:00" (time.js)
+function formatLogCell(value) {
+  if (value instanceof Date) return formatTimeValue(value);
+  return value === null || value === undefined ? "" : String(value);
+}
+
+// 현재 검색 · 정렬 상태의 전체 행 (페이지 무관)
+function downloadLogTable() {
+  const { detection, columns } = logTable;
+  if (!detection) return;
+  const rows = logTableRows().map((r) => columns.map((c) => (typeof r[c.key] === "number" ? r[c.key] : formatLogCell(r[c.key]))));
+  const ws = XLSX.utils.aoa_to_sheet([columns.map((c) => c.label), ...rows]);
+  ws["!cols"] = columns.map((c) => ({ wch: Math.min(40, Math.max(8, c.label.length * 2)) }));
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, sheetSafeName(LOG_SOURCES[detection.sourceKey]?.label || "원본 로그"));
+
+  const date = formatTimestamp(Date.now(), "date").replace(/-/g, "");
+  XLSX.writeFile(wb, `탐지로그_${fileSafeName(detection.label)}_${date}.xlsx`);
+}
+
+// 엑셀 시트명 제한: 31자, : \ / ? * [ ] 불가
+function sheetSafeName(name) {
+  return String(name).replace(/[:\\/?*[\]]/g, "_").slice(0, 31);
+}
+
+function fileSafeName(name) {
+  return String(name).replace(/[\\/:*?"<>|[\]]/g, "").replace(/\s+/g, "_").slice(0, 60);
+}
@@ -0,0 +1,155 @@
+/**
+ * 지표 조회 모듈 (챗봇 — IP · 도메인 · 메일 주소 · 호스트명 하나로 전체 소스를 피벗)
+ *
+ * 소스 · 조치 · 건수 · 위협 조건 없이 지표만 입력하면(기간은 있어도 됨) 지표마다 카드 하나로 답한다.
+ *   📑 로그     그 지표가 든 스팸 · NDR · 웹방화벽 행 (소스별 최대 10행, 전체는 [원본 로그] 버튼)
+ *   🎯 위협     그 행으로 만들어진 탐지의 위협 + 기사 본문 IOC에 그 지표가 있는 위협 — 탐지 버튼을 누르면 탐지 카드
+ *   🖥 자산     IP · 호스트명이 같은 자산 (메일 주소는 로컬파트가 호스트명과 같은 자산) — 버튼을 누르면 자산 카드
+ * 행 검색은 chat-query.js(runChatQuery)와 같다 — 억제된 행은 빼고, 기간이 없으면 상단 기간 필터를 따른다.
+ * 목데이터처럼 원본 행이 없는 탐지는 상세정보 값으로 비교한다.
+ */
+
+const PIVOT_ROW_LIMIT = 10;
+const PIVOT_KINDS = [
+  { field: "ips", type: "ip", label: "IP" },
+  { field: "domains", type: "domain", label: "도메인" },
+  { field: "emails", type: "email", label: "메일" },
+  { field: "hosts", type: null, label: "호스트" },
+];
+const ASSET_SW_LABELS = { edr: "EDR", eps: "EPS", dlp: "DLP", drm: "DRM", nac: "NAC", pms: "PMS" };
+
+function isPivotQuery(q) {
+  const indicators = q.ips.length + q.domains.length + q.emails.length + q.hosts.length;
+  return indicators > 0 && !q.sources.length && !q.action && !q.count && !q.threats.length && !q.rangeError;
+}
+
+// 지표마다 카드 하나
+function answerPivot(q) {
+  const cards = PIVOT_KINDS.flatMap((kind) => q[kind.field].map((value) => {
+    // 지표 하나만 남긴 질의 — runChatQuery · rowHasIndicators에 그대로 쓴다
+    const single = { ...q, ips: [], domains: [], emails: [], hosts: [], [kind.field]: [value] };
+    return formatPivotCard(kind, value, single);
+  }));
+  return joinHtml(cards);
+}
+
+function formatPivotCard(kind, value, single) {
+  const result = activeLogs ? runChatQuery(single) : null;
+  const detections = pivotDetections(single, result);
+  const threats = pivotThreats(kind, value, detections);
+  const assets = pivotAssets(kind, value, single);
+  const scope = [single.range ? single.range.label : isRangeActive() ? formatDateRange() : "전체 기간", activeLogs && "억제된 행 제외"].filter(Boolean).join(" · ");
+
+  if (!(result && result.rowCount) && threats.length === 0 && assets.length === 0) {
+    return html`<div class="chat-card">
+      <div class="chat-card-title">🧭 지표 조회 — ${kind.label} ${value}</div>
+      <div class="chat-card-meta">${scope}</div>
+      로그 · 위협 · 자산 어디에서도 찾지 못했습니다.${!activeLogs && " (목데이터 표시 중 — 원본 로그 없음)"}
+    </div>`;
+  }
+  return html`<div class="chat-card">
+    <div class="chat-card-title">🧭 지표 조회 — ${kind.label} ${value}</div>
+    <div class="chat-card-meta">${scope}</div>
+    ${result && formatPivotRows(kind, value, result)}
+    ${formatPivotThreats(threats)}
+    ${formatPivotAssets(assets)}
+  </div>`;
+}
+
+// 소스별 행 표 — 시각 · 룰 · IP
+function formatPivotRows(kind, value, result) {
+  if (result.rowCount === 0) return html`<div class="chat-card-section">📑 로그 0행</div>`;
+  const sections = result.groups.map((g) => {
+    const id = `q${chatRowSets.size + 1}`;
+    chatRowSets.set(id, { sourceKey: g.sourceKey, rows: g.rows, label: `${g.source.label} — ${kind.label} ${value}` });
+    const rows = g.rows.slice(0, PIVOT_ROW_LIMIT).map((row) => html`<tr><td>${formatQueryRow(g.source, row)}</td></tr>`);
+    return html`<tr><th><span class="item-dot ${g.source.dot}"></span> ${g.source.label} ${g.rows.length}행
+      <button class="btn-action chat-link" data-chat-rows="${id}">📑 원본 로그</button></th></tr>
+      ${rows}
+      ${g.rows.length > PIVOT_ROW_LIMIT && html`<tr><td class="rules-hint">… 외 ${g.rows.length - PIVOT_ROW_LIMIT}행</td></tr>`}`;
+  });
+  return html`<div class="chat-card-section">📑 로그 ${result.rowCount}행 (${result.total}건)</div>
+    <table class="detail-table asset-hit-table pivot-table">${sections}</table>`;
+}
+
+// 지표가 든 행으로 만들어진 탐지 — 원본 행이 없으면 상세정보 값으로 ("copyright-notice[.]kr" 같은 무력화 표기도)
+function pivotDetections(single, result) {
+  return activeDetections.filter((d) => d.rows && d.rows.length
+    ? Boolean(result) && d.rows.some((r) => result.rowSet.has(r))
+    : rowHasIndicators(Object.values(d.detail || {}).map((v) => refang(String(v))), single));
+}
+
+// [{ threat, detections, fromArticle }] — 탐지가 있는 위협 먼저
+function pivotThreats(kind, value, detections) {
+  return activeThreats
+    .map((threat) => {
+      const iocs = kind.type ? extractIOCs(`${threat.title}\n${threat.body || ""}`)[kind.type] : [];
+      return {
+        threat,
+        detections: detections.filter((d) => d.threatId === threat.id),
+        fromArticle: iocs.some((term) => iocEquals(kind.type, term, value)),
+      };
+    })
+    .filter((t) => t.detections.length > 0 || t.fromArticle)
+    .sort((a, b) => b.detections.length - a.detections.length);
+}
+
+function formatPivotThreats(threats) {
+  if (threats.length === 0) return html`<div class="chat-card-section">🎯 연계 위협 없음</div>`;
+  const items = threats.map(({ threat, detections, fromArticle }) => {
+    const buttons = detections.map((d) => html`<button class="btn-action chat-link" data-detection-open="${d.id}" data-label="${d.label}">${d.type}${d.matchType === "IOC" && " IOC"} ${d.count}건</button>`);
+    return html`<tr><td>${threat.title}${fromArticle && html` <span class="ioc-badge" title="기사 본문 IOC에 이 지표가 있습니다">기사 IOC</span>`}</td><td>${buttons.length ? joinHtml(buttons, " ") : "-"}</td></tr>`;
+  });
+  return html`<div class="chat-card-section">🎯 연계 위협 ${threats.length}건</div>
+    <table class="detail-table asset-hit-table"><tr><th>위협</th><th>탐지</th></tr>${items}</table>`;
+}
+
+// IP · 호스트명이 같은 자산 — 메일 주소는 로컬파트 = 호스트명 (asset-match.js와 같은 규칙)
+function pivotAssets(kind, value, single) {
+  if (kind.field === "emails") {
+    const { local } = parseRecipient(value);
+    return ASSETS.filter((a) => a.hostname && norm(a.hostname) === local);
+  }
+  if (kind.field === "domains") return [];
+  return ASSETS.filter((a) => rowHasIndicators({ ip: a.ip, hostname: a.hostname }, single));
+}
+
+function formatPivotAssets(assets) {
+  if (assets.length === 0) return html`<div class="chat-card-section">🖥 자산 기준정보에 없음</div>`;
+  const rows = assets.map((a) => html`<tr>
+    <td><button class="btn-action chat-link" data-chat-asset="${a.id}">${a.hostname}</button></td>
+    <td>${a.ip}</td><td>${a.manageDept} · ${a.manager}</td><td>${a.location}</td><td>${formatAssetSW(a)}</td>
+  </tr>`);
+  return html`<div class="chat-card-section">🖥 자산 ${assets.length}건</div>
+    <table class="detail-table asset-hit-table">
+      <tr><th>호스트명</th><th>IP</th><th>관리부서 · 담당자</th><th>위치</th><th>보안 SW</th></tr>
+      ${rows}
+    </table>`;
+}
+
+// "EDR · EPS · NAC · PMS" + 필수 SW 미설치 경고
+function formatAssetSW(asset) {
+  const installed = Object.keys(ASSET_SW_LABELS).filter((k) => asset[k]).map((k) => ASSET_SW_LABELS[k]);
+  const missing = missingSecuritySW(asset);
+  return html`${installed.join(" · ") || "없음"}${missing.length > 0 && html`<br><span class="sw-missing">${missing.join(", ")} 미설치</span>`}`;
+}
+
+// 자산 카드 (assets.html 상세 모달과 같은 항목) — 자산관리시스템에서 그 호스트로 검색하는 링크
+function formatAssetCard(asset) {
+  const sw = Object.entries(ASSET_SW_LABELS)
+    .map(([k, label]) => html`<tr><th>${label}</th><td>${asset[k] ? "설치" : html`<span class="sw-missing">미설치</span>`}</td></tr>`);
+  return html`<div class="chat-card">
+    <div class="chat-card-title">🖥 [${asset.category}] ${asset.hostname}</div>
+    <div class="chat-card-meta">${asset.assetName} · ${asset.status}</div>
+    <table class="detail-table">
+      <tr><th>IP</th><td>${asset.ip}</td></tr>
+      <tr><th>OS</th><td>${asset.os}</td></tr>
+      <tr><th>관리부서</th><td>${asset.manageDept}</td></tr>
+      <tr><th>관리담당자</th><td>${asset.manager}</td></tr>
+      <tr><th>운영자</th><td>${asset.operator}</td></tr>
+      <tr><th>위치</th><td>${asset.location}</td></tr>
+      ${sw}
+    </table>
+    <a class="btn-action detail-rows-btn" href="assets.html?q=${encodeURIComponent(asset.hostname)}" target="_blank">🗂 자산관리시스템에서 보기</a>
+  </div>`;
+}
@@ -0,0 +1,88 @@
+/**
+ * 위협 우선순위 모듈
+ *
+ * 기사(위협)마다 연계된 탐지로 0~100점의 우선순위를 매겨, 외부 위협동향을 중요한 순으로 보여준다.
+ *
+ *   항목          가중치  0~1 환산
+ *   탐지 규모       20    로그 건수 — log10(1 + 건수) / 2 (100건 이상이면 1)
+ *   소스 다양성     15    탐지된 소스 수 / 3
+ *   최대 위험도     25    행 위험도의 최댓값 / 100 (어댑터의 risk — NDR Risk Score, 웹방화벽 위험도, 스팸 필터링 정보)
+ *   미차단 이벤트   20    차단되지 않은 행(어댑터의 allowed)이 있으면 0.5 + 0.5 × 미차단 비율
+ *   자산 중요도     20    영향 자산 중요도(assetCriticality — asset-match.js)의 최댓값, 자산 수가 적으면 감산
+ *
+ * 원본 행이 없는 탐지(목데이터)는 탐지 건수와 조치(차단이 아니면 미차단)만으로 계산한다.
+ * 등급: 긴급 ≥ 70, 높음 ≥ 45, 보통 ≥ 25, 그 외 낮음 (탐지가 없으면 없음)
+ */
+
+const PRIORITY_WEIGHTS = { volume: 20, diversity: 15, risk: 25, allowed: 20, assets: 20 };
+const PRIORITY_LABELS = { volume: "탐지 규모", diversity: "소스 다양성", risk: "최대 위험도", allowed: "미차단 이벤트", assets: "자산 중요도" };
+const PRIORITY_LEVELS = [
+  { min: 70, label: "긴급", className: "critical" },
+  { min: 45, label: "높음", className: "high" },
+  { min: 25, label: "보통", className: "mid" },
+  { min: 0, label: "낮음", className: "low" },
+];
+
+// { score, level, className, parts: { volume: { value, score }, … } }
+function threatPriority(threat, detections, assets) {
+  const related = detections.filter((d) => d.threatId === threat.id);
+  if (related.length === 0) return { score: 0, level: "없음", className: "none", parts: null };
+
+  const rows = threatRows(threat.id, detections);
+  const mock = related.filter((d) => !d.rows);
+  let total = 0, allowed = 0, maxRisk = null;
+  rows.forEach(({ source, row }) => {
+    const count = source ? source.count([row]) : 1;
+    total += count;
+    if (!source || source.allowed(row)) allowed += count;
+    const risk = source ? source.risk(row) : null;
+    if (risk !== null && (maxRisk === null || risk > maxRisk)) maxRisk = risk;
+  });
+  mock.forEach((d) => {
+    total += d.count;
+    if (d.action !== "차단") allowed += d.count;
+  });
+
+  const sourceCount = new Set(related.map((d) => d.source)).size;
+  const affected = new Map();
+  related.forEach((d) => findAffectedAssets(d, assets).forEach((a) => affected.set(a.id, a)));
+  const maxCriticality = Math.max(0, ...[...affected.values()].map(assetCriticality));
+
+  const parts = {
+    volume: { value: `${total}건`, score: Math.min(1, Math.log10(1 + total) / 2) },
+    diversity: { value: `${sourceCount}개 소스`, score: Math.min(1, sourceCount / 3) },
+    risk: { value: maxRisk === null ? "-" : `${Math.round(maxRisk)}`, score: (maxRisk || 0) / 100 },
+    allowed: { value: `${allowed}건 / ${total}건`, score: allowed === 0 || total === 0 ? 0 : 0.5 + 0.5 * (allowed / total) },
+    assets: {
+      value: affected.size ? `${affected.size}대 (최고 ${Math.round(maxCriticality * 100)}%)` : "-",
+      score: maxCriticality * (0.7 + 0.3 * Math.min(1, affected.size / 5)),
+    },
+  };
+  const score = Math.round(Object.entries(PRIORITY_WEIGHTS).reduce((sum, [key, weight]) => sum + weight * parts[key].score, 0));
+  const level = PRIORITY_LEVELS.find((l) => score >= l.min);
+  return { score, level: level.label, className: level.className, parts };
+}
+
+// 기사 id → 우선순위 (렌더링 1회에 한 번 계산)
+function threatPriorities(threats, detections, assets) {
+  return new Map(threats.map((t) => [t.id, threatPriority(t, detections, assets)]));
+}
+
+function formatPriorityBadge(priority) {
+  if (!priority.parts) return "";
+  return html`<span class="priority-badge priority-${priority.className}" title="우선순위 ${priority.score}점">${priority.level} ${priority.score}</span>`;
+}
+
+// 기사 카드의 우선순위 근거 표
+function formatPriorityBreakdown(priority) {
+  if (!priority.parts) return "";
+  const rows = Object.entries(PRIORITY_WEIGHTS).map(([key, weight]) => {
+    const part = priority.parts[key];
+    return html`<tr><td>${PRIORITY_LABELS[key]}</td><td>${part.value}</td><td>${Math.round(part.score * weight)} / ${weight}</td></tr>`;
+  });
+  return html`<div class="chat-card-section">⚡ 우선순위 ${formatPriorityBadge(priority)}</div>
+    <table class="detail-table asset-hit-table">
+      <tr><th>항목</th><th>값</th><th>점수</th></tr>
+      ${rows}
+    </table>`;
+}
@@ -0,0 +1,231 @@
+/**
+ * 매칭 룰 편집기 (index.html ⚙ 매칭 룰 모달)
+ *
+ * 편집은 사본(ruleDraft)에서 이루어지며 [적용] 시 activeRules에 반영·브라우저에 저장하고
+ * 로드된 로그로 탐지현황을 다시 계산한다. [rules.json 저장]으로 파일로 내려받아
+ * index.html과 같은 폴더에 두면 다른 PC에서도 같은 룰이 적용된다.
+ */
+
+let ruleDraft = null;
+let ruleDraftIndex = -1; // -1 = 공통 설정, 그 외 = activeThreats 인덱스
+
+function setupRulesEditor() {
+  document.getElementById("btn-rules").addEventListener("click", openRulesEditor);
+  document.getElementById("rules-close").addEventListener("click", closeRulesEditor);
+  document.getElementById("rules-modal").addEventListener("click", (e) => {
+    if (e.target === e.currentTarget) closeRulesEditor();
+  });
+  document.getElementById("rules-apply").addEventListener("click", applyRuleDraft);
+  document.getElementById("rules-export").addEventListener("click", () => downloadRules(ruleDraft));
+  document.getElementById("rules-import").addEventListener("click", () => {
+    document.getElementById("rules-file-input").click();
+  });
+  document.getElementById("rules-file-input").addEventListener("change", (e) => {
+    importRulesFile(e.target.files[0]);
+    e.target.value = "";
+  });
+  document.getElementById("rules-reset").addEventListener("click", resetRules);
+}
+
+function openRulesEditor() {
+  ruleDraft = cloneRules(activeRules);
+  ruleDraftIndex = -1;
+  setRulesStatus("");
+  renderRuleThreatList();
+  renderRuleForm();
+  document.getElementById("rules-modal").classList.add("open");
+}
+
+function closeRulesEditor() {
+  document.getElementById("rules-modal").classList.remove("open");
+}
+
+// ── 좌측: 공통 설정 + 기사 목록 ──────────────────────────────────────
+function renderRuleThreatList() {
+  const list = document.getElementById("rules-threat-list");
+  const items = [html`<div class="rules-threat-item ${ruleDraftIndex === -1 ? "active" : ""}" data-index="-1">공통 설정</div>`]
+    .concat(activeThreats.map((t, i) => {
+      const hasRule = findRuleForThreat(t, ruleDraft) && html`<span class="rules-mark">룰</span>`;
+      return html`<div class="rules-threat-item ${ruleDraftIndex === i ? "active" : ""}" data-index="${i}">${t.title} ${hasRule}</div>`;
+    }));
+  setHtml(list, items);
+  list.querySelectorAll(".rules-threat-item").forEach((el) => {
+    el.addEventListener("click", () => {
+      ruleDraftIndex = +el.dataset.index;
+      renderRuleThreatList();
+      renderRuleForm();
+    });
+  });
+}
+
+// ── 우측: 선택 항목 편집 폼 ─────────────────────────────────────────
+function renderRuleForm() {
+  const form = document.getElementById("rules-form");
+
+  if (ruleDraftIndex === -1) {
+    setHtml(form, html`
+      <label class="rules-label">제목 키워드에서 제외할 일반어 <small>(쉼표 구분)</small></label>
+      <textarea id="rule-ignore" class="rules-input" rows="4"></textarea>
+      <label class="rules-label">기본 최소 일치 수</label>
+      <input id="rule-default-min" class="rules-input rules-num" type="number" min="1" />
+      <p class="rules-hint">기사별 룰이 없으면 제목 키워드(일반어 제외)를 각 로그의 기본 필드에서 검색합니다.</p>`);
+    document.getElementById("rule-ignore").value = ruleDraft.defaults.ignore.join(", ");
+    document.getElementById("rule-default-min").value = ruleDraft.defaults.minMatch;
+    document.getElementById("rule-ignore").addEventListener("input", (e) => {
+      ruleDraft.defaults.ignore = toList(e.target.value);
+      renderRulePreview();
+    });
+    document.getElementById("rule-default-min").addEventListener("input", (e) => {
+      ruleDraft.defaults.minMatch = Math.max(1, +e.target.value || 1);
+      renderRulePreview();
+    });
+    renderRulePreview();
+    return;
+  }
+
+  const threat = activeThreats[ruleDraftIndex];
+  const rule = findRuleForThreat(threat, ruleDraft);
+  const fieldChecks = Object.entries(LOG_SOURCES).map(([src, def]) => {
+    const selected = rule && rule.fields[src] ? rule.fields[src] : def.defaults;
+    const boxes = Object.entries(def.fields).map(([key, label]) =>
+      html`<label class="rules-check"><input type="checkbox" data-src="${src}" data-field="${key}" ${selected.includes(key) ? "checked" : ""} /> ${label}</label>`
+    );
+    return html`<div class="rules-source"><b>${def.label}</b> ${boxes}</div>`;
+  });
+
+  setHtml(form, html`
+    <div class="rules-form-title">${threat.title}</div>
+    <label class="rules-check"><input type="checkbox" id="rule-title-kw" /> 제목 키워드 자동 포함</label>
+    <label class="rules-label">포함 키워드 <small>(쉼표 구분)</small></label>
+    <input id="rule-include" class="rules-input" />
+    <label class="rules-label">제외 키워드 <small>(검색 필드에 있으면 매칭 제외)</small></label>
+    <input id="rule-exclude" class="rules-input" />
+    <label class="rules-label">정규식 <small>(한 줄에 하나, 대소문자 무시)</small></label>
+    <textarea id="rule-regex" class="rules-input" rows="3"></textarea>
+    <label class="rules-label">최소 일치 수 <small>(비우면 공통 설정)</small></label>
+    <input id="rule-min" class="rules-input rules-num" type="number" min="1" />
+    <label class="rules-label">검색 필드 <small>(소스별 모두 해제 시 해당 소스 매칭 안 함)</small></label>
+    ${fieldChecks}
+    <button id="rule-delete" class="startup-skip-btn">이 기사의 룰 삭제 (기본값 사용)</button>`);
+
+  document.getElementById("rule-title-kw").checked = !rule || rule.titleKeywords;
+  document.getElementById("rule-include").value = rule ? rule.include.join(", ") : "";
+  document.getElementById("rule-exclude").value = rule ? rule.exclude.join(", ") : "";
+  document.getElementById("rule-regex").value = rule ? rule.regex.join("\n") : "";
+  document.getElementById("rule-min").value = rule && rule.minMatch ? rule.minMatch : "";
+
+  form.querySelectorAll("input, textarea").forEach((el) => {
+    el.addEventListener(el.type === "checkbox" ? "change" : "input", () => updateDraftRule(threat));
+  });
+  document.getElementById("rule-delete").addEventListener("click", () => {
+    ruleDraft.rules = ruleDraft.rules.filter((r) => r !== findRuleForThreat(threat, ruleDraft));
+    renderRuleThreatList();
+    renderRuleForm();
+  });
+  renderRulePreview();
+}
+
+// 폼 값 → 해당 기사의 룰 (없으면 생성)
+function updateDraftRule(threat) {
+  let rule = findRuleForThreat(threat, ruleDraft);
+  if (!rule) {
+    rule = { threat: threat.title };
+    ruleDraft.rules.push(rule);
+    renderRuleThreatList();
+  }
+  const fields = {};
+  Object.keys(LOG_SOURCES).forEach((src) => {
+    fields[src] = [...document.querySelectorAll(`#rules-form input[data-src="${src}"]:checked`)]
+      .map((el) => el.dataset.field);
+  });
+  Object.assign(rule, {
+    titleKeywords: document.getElementById("rule-title-kw").checked,
+    include: toList(document.getElementById("rule-include").value),
+    exclude: toList(document.getElementById("rule-exclude").value),
+    regex: toList(document.getElementById("rule-regex").value, /\n/),
+    fields,
+    minMatch: +document.getElementById("rule-min").value || undefined,
+  });
+  renderRulePreview();
+}
+
+// ── 미리보기: 소스별 매칭 건수와 일치 키워드 ───────────────────────────
+function renderRulePreview() {
+  const box = document.getElementById("rules-preview");
+  if (ruleDraftIndex === -1) {
+    setHtml(box, "");
+    return;
+  }
+  const threat = activeThreats[ruleDraftIndex];
+  if (!activeLogs) {
+    setHtml(box, html`<p class="rules-hint">로드된 로그가 없어 미리보기를 할 수 없습니다 (목데이터 표시 중).</p>`);
+    return;
+  }
+
+  try {
+    const rules = normalizeRules(ruleDraft);
+    const logs = splitSuppressed(filterLogsByRange(activeLogs)).logs; // 기간 밖 · 억제 규칙에 걸린 행 제외 — 적용 결과(correlateActiveLogs)와 같게
+    const stats = createTermStats(logs);
+    const lines = Object.entries(LOG_SOURCES).map(([src, def]) => {
+      if (!buildMatcher(threat, src, rules)) return html`<tr><th>${def.label}</th><td>매칭 안 함</td></tr>`;
+      const logRows = logs[src] || [];
+      const { rows, score, matches } = scoreLogMatches(threat, src, logRows, rules, stats);
+      const why = matches.map((m) => `${m.term} → ${m.fieldLabel} (${m.count})`).join(", ");
+      const confidence = rows.length ? ` · 신뢰도 ${score} (${scoreLevel(score)})` : "";
+      return html`<tr><th>${def.label}</th><td><b>${rows.length}건</b> / ${logRows.length}건${confidence} ${why && html`<br><small>${why}</small>`}</td></tr>`;
+    });
+    setHtml(box, html`
+      <div class="rules-label">매칭 미리보기</div>
+      <p class="rules-hint">검색 키워드: ${ruleTerms(threat, rules).join(", ") || "-"}</p>
+      <table class="detail-table">${lines}</table>`);
+  } catch (err) {
+    setHtml(box, html`<p class="rules-error">${err.message}</p>`);
+  }
+}
+
+// ── 적용 / 불러오기 / 초기화 ─────────────────────────────────────────
+function applyRuleDraft() {
+  try {
+    activeRules = normalizeRules(ruleDraft);
+  } catch (err) {
+    setRulesStatus(err.message, "error");
+    return;
+  }
+  saveRules(activeRules);
+  const recalculated = recorrelate();
+  setRulesStatus(recalculated ? `적용 완료 — 탐지 ${activeDetections.length}건` : "저장 완료 (로그 로드 후 반영)", "success");
+}
+
+function importRulesFile(file) {
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      ruleDraft = normalizeRules(JSON.parse(e.target.result));
+      ruleDraftIndex = -1;
+      renderRuleThreatList();
+      renderRuleForm();
+      setRulesStatus(`${file.name} 불러옴 — [적용]을 눌러 반영하세요`, "success");
+    } catch (err) {
+      setRulesStatus(`룰 파일 오류: ${err.message}`, "error");
+    }
+  };
+  reader.readAsText(file);
+}
+
+async function resetRules() {
+  clearStoredRules();
+  const from = await initRules();
+  ruleDraft = cloneRules(activeRules);
+  ruleDraftIndex = -1;
+  renderRuleThreatList();
+  renderRuleForm();
+  recorrelate();
+  setRulesStatus(from === "rules.json" ? "rules.json으로 초기화했습니다" : "기본 룰로 초기화했습니다", "success");
+}
+
+function setRulesStatus(text, kind = "") {
+  const el = document.getElementById("rules-status");
+  el.textContent = text;
+  el.className = `excel-status ${kind}`;
+}
@@ -0,0 +1,200 @@
+/**
+ * 상관분석(기사 ↔ 로그) 매칭 룰 모듈
+ *
+ * 룰 파일 형식 (rules.json):
+ * {
+ *   "version": 1,
+ *   "defaults": {
+ *     "ignore": ["메일", "서버", ...],   // 기사 제목에서 키워드로 쓰지 않을 일반어
+ *     "minMatch": 1                       // 기본 최소 일치 키워드 수
+ *   },
+ *   "rules": [
+ *     {
+ *       "threat": "ChinaZ DDoS Bot",      // 기사 제목(일부)으로 대상 위협 지정
+ *       "titleKeywords": true,            // 제목 키워드 자동 포함 여부
+ *       "include": ["ChinaZ", "DDoS Bot"],// 추가 포함 키워드
+ *       "exclude": ["테스트"],            // 검색 필드에 있으면 매칭 제외
+ *       "regex": ["chinaz(dns)?\\."],     // 정규식 (대소문자 무시)
+ *       "fields": { "spam": [], "ndr": ["ruleName"], "waf": ["urlDomain", "ruleName"] },  // 소스 키 · 필드는 log-sources.js
+ *       "minMatch": 1                     // 서로 다른 키워드/정규식이 몇 개 이상 일치해야 하는지
+ *     }
+ *   ]
+ * }
+ *
+ * 적용 우선순위: 브라우저 저장본(localStorage) → 같은 폴더의 rules.json → 기본값
+ */
+
+const RULES_STORAGE_KEY = "threat-trend.rules";
+
+const DEFAULT_RULES = {
+  version: 1,
+  defaults: {
+    ignore: [
+      "메일", "서버", "공격", "공격자", "주의", "안내", "악용", "유포", "기승", "노려", "노린다",
+      "위장한", "클릭", "정보", "국내", "웹", "악성코드", "해킹그룹", "대상", "중",
+    ],
+    minMatch: 1,
+  },
+  rules: [],
+};
+
+let activeRules = cloneRules(DEFAULT_RULES);
+
+// ── 로드 / 저장 ────────────────────────────────────────────────────
+async function initRules() {
+  const stored = loadStoredRules();
+  if (stored) {
+    activeRules = stored;
+    return "browser";
+  }
+  try {
+    activeRules = await loadRulesFromUrl("./rules.json");
+    return "rules.json";
+  } catch (_) {
+    activeRules = cloneRules(DEFAULT_RULES);
+    return "default";
+  }
+}
+
+async function loadRulesFromUrl(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url} 파일을 찾을 수 없습니다`);
+  return normalizeRules(await response.json());
+}
+
+function loadStoredRules() {
+  try {
+    const raw = localStorage.getItem(RULES_STORAGE_KEY);
+    return raw ? normalizeRules(JSON.parse(raw)) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function saveRules(rules) {
+  localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+}
+
+function clearStoredRules() {
+  localStorage.removeItem(RULES_STORAGE_KEY);
+}
+
+function downloadRules(rules, filename = "rules.json") {
+  const blob = new Blob([JSON.stringify(rules, null, 2)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// 룰 파일 형식 검증 + 누락 필드 기본값 채우기 (잘못된 형식이면 Error)
+function normalizeRules(obj) {
+  if (!obj || typeof obj !== "object") throw new Error("룰 파일 형식이 올바르지 않습니다");
+  const defaults = obj.defaults || {};
+  const rules = Array.isArray(obj.rules) ? obj.rules : [];
+
+  return {
+    version: 1,
+    defaults: {
+      ignore: toList(defaults.ignore ?? DEFAULT_RULES.defaults.ignore),
+      minMatch: Math.max(1, +defaults.minMatch || 1),
+    },
+    rules: rules.map((r, i) => {
+      if (!r || !r.threat) throw new Error(`${i + 1}번째 룰에 threat(기사 제목)가 없습니다`);
+      const regex = toList(r.regex, /\n/);
+      regex.forEach((p) => {
+        try { new RegExp(p, "i"); }
+        catch (err) { throw new Error(`"${r.threat}" 룰의 정규식 오류: ${p}`); }
+      });
+      const fields = {};
+      Object.entries(r.fields || {}).forEach(([src, list]) => {
+        if (!Array.isArray(list)) return;
+        // 아직 등록되지 않은 소스(로그 파일로 들어올 새 소스)의 필드는 그대로 둔다
+        fields[src] = LOG_SOURCES[src] ? list.filter((f) => f in LOG_SOURCES[src].fields) : list.map(String);
+      });
+      return {
+        threat: String(r.threat),
+        titleKeywords: r.titleKeywords !== false,
+        include: toList(r.include),
+        exclude: toList(r.exclude),
+        regex,
+        fields,
+        minMatch: r.minMatch ? Math.max(1, +r.minMatch || 1) : undefined,
+      };
+    }),
+  };
+}
+
+function cloneRules(rules) {
+  return JSON.parse(JSON.stringify(rules));
+}
+
+// ── 매칭 ──────────────────────────────────────────────────────────
+function findRuleForThreat(threat, rules) {
+  const title = compact(threat.title);
+  return rules.rules.find((r) => compact(r.threat) === title) ||
+    rules.rules.find((r) => title.includes(compact(r.threat)));
+}
+
+// 위협 1건의 검색 키워드 (제목 키워드 − 일반어 + 포함 키워드, 소문자)
+function ruleTerms(threat, rules) {
+  const rule = findRuleForThreat(threat, rules);
+  const ignore = new Set(rules.defaults.ignore.map((w) => w.toLowerCase()));
+  const titleTerms = !rule || rule.titleKeywords
+    ? extractKeywords(threat.title).filter((w) => !ignore.has(w.toLowerCase()))
+    : [];
+  return [...new Set([...titleTerms, ...(rule ? rule.include : [])].map((w) => w.toLowerCase()))];
+}
+
+// 위협 1건 × 로그 소스 1개에 대한 매처 — 검색 필드가 없으면 null
+function buildMatcher(threat, sourceKey, rules) {
+  const rule = findRuleForThreat(threat, rules);
+  const fields = rule && rule.fields[sourceKey]
+    ? rule.fields[sourceKey]
+    : LOG_SOURCES[sourceKey].defaults;
+  if (fields.length === 0) return null;
+
+  const terms = ruleTerms(threat, rules);
+  const patterns = (rule ? rule.regex : []).map((p) => new RegExp(p, "i"));
+  if (terms.length === 0 && patterns.length === 0) return null;
+
+  return {
+    fields,
+    terms,
+    patterns,
+    exclude: (rule ? rule.exclude : []).map((w) => w.toLowerCase()),
+    minMatch: (rule && rule.minMatch) || rules.defaults.minMatch,
+  };
+}
+
+// 행 1개 검사 → 일치 목록 [{ term, field }] (미달·제외 시 null)
+function matchRow(matcher, row) {
+  const values = matcher.fields.map((f) => [f, String(row[f] ?? "")]);
+  const lowered = values.map(([f, v]) => [f, v.toLowerCase()]);
+
+  if (matcher.exclude.some((ex) => lowered.some(([, v]) => v.includes(ex)))) return null;
+
+  const hits = [];
+  matcher.terms.forEach((term) => {
+    const hit = lowered.find(([, v]) => v.includes(term));
+    if (hit) hits.push({ term, field: hit[0] });
+  });
+  matcher.patterns.forEach((re) => {
+    const hit = values.find(([, v]) => re.test(v));
+    if (hit) hits.push({ term: `/${re.source}/`, field: hit[0], pattern: re });
+  });
+
+  return hits.length >= matcher.minMatch ? hits : null;
+}
+
+// ── 유틸 ──────────────────────────────────────────────────────────
+// 배열 또는 구분자로 나열된 문자열 → 문자열 배열 (정규식은 줄 단위로만 구분)
+function toList(value, separator = /[,\n]/) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+  return String(value || "").split(separator).map((v) => v.trim()).filter(Boolean);
+}
+
+function compact(value) {
+  return String(value || "").replace(/\s/g, "").toLowerCase();
+}
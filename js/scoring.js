@@ -0,0 +1,81 @@
+/**
+ * 매칭 신뢰도 점수 모듈
+ *
+ * 기사 ↔ 로그 매칭마다 0~100점의 신뢰도를 매긴다.
+ *   희소도   = max(RARITY_FLOOR, log((N + 1) / df) / log(N + 1))
+ *              N: 해당 소스의 전체 행 수, df: 키워드가 검색 가능 필드에 나온 행 수 (일치했으므로 1 이상)
+ *              모든 행에 나오는 키워드(행이 1개인 소스 포함)도 0점이 되지 않도록 하한을 둔다
+ *   행 점수  = 100 × (1 − e^(−Σ 필드 가중치 × 희소도))   ← 일치 키워드마다 합산
+ *   탐지 점수 = 매칭된 행 점수의 평균
+ *
+ * 흔한 단어 하나만 일치한 행은 낮은 점수, 드문 키워드가 여러 필드에서 일치한 행은 높은 점수를 받는다.
+ */
+
+const RARITY_FLOOR = 0.1;
+
+// 키워드별 출현 행 수(df) 계산기 — 같은 로드 안에서는 캐시 재사용
+function createTermStats(logs) {
+  const cache = new Map();
+  return {
+    rarity(sourceKey, hit) {
+      const rows = logs[sourceKey] || [];
+      const key = `${sourceKey}\u0000${hit.term}`;
+      if (!cache.has(key)) {
+        const fields = Object.keys(LOG_SOURCES[sourceKey].fields);
+        const test = hit.pattern
+          ? (v) => hit.pattern.test(v)
+          : (v) => v.toLowerCase().includes(hit.term);
+        const df = Math.max(1, rows.filter((row) => fields.some((f) => test(String(row[f] ?? "")))).length);
+        const n = rows.length;
+        cache.set(key, n === 0 ? 1 : Math.max(RARITY_FLOOR, Math.log((n + 1) / df) / Math.log(n + 1)));
+      }
+      return cache.get(key);
+    },
+  };
+}
+
+// 위협 1건 × 로그 소스 1개 매칭 + 점수
+// → { rows, score, matches: [{ source, term, field, fieldLabel, count, rarity }] }
+function scoreLogMatches(threat, sourceKey, rows, rules, stats) {
+  const matcher = buildMatcher(threat, sourceKey, rules);
+  const result = { rows: [], score: 0, matches: [] };
+  if (!matcher) return result;
+
+  const { weights } = LOG_SOURCES[sourceKey]; // 필드별 가중치 (없으면 1) — 식별력이 높은 필드일수록 크게
+  const byTerm = new Map();
+  let scoreSum = 0;
+
+  rows.forEach((row) => {
+    const hits = matchRow(matcher, row);
+    if (!hits) return;
+    let raw = 0;
+    hits.forEach((hit) => {
+      const rarity = stats.rarity(sourceKey, hit);
+      raw += (weights[hit.field] ?? 1) * rarity;
+      const key = `${hit.term}\u0000${hit.field}`;
+      if (!byTerm.has(key)) {
+        byTerm.set(key, {
+          source: sourceKey,
+          term: hit.term,
+          field: hit.field,
+          fieldLabel: LOG_SOURCES[sourceKey].fields[hit.field],
+          count: 0,
+          rarity,
+        });
+      }
+      byTerm.get(key).count++;
+    });
+    scoreSum += 100 * (1 - Math.exp(-raw));
+    result.rows.push(row);
+  });
+
+  if (result.rows.length > 0) result.score = Math.round(scoreSum / result.rows.length);
+  result.matches = [...byTerm.values()].sort((a, b) => b.count - a.count);
+  return result;
+}
+
+function scoreLevel(score) {
+  if (score >= 70) return "높음";
+  if (score >= 40) return "보통";
+  return "낮음";
+}
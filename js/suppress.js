@@ -0,0 +1,254 @@
+/**
+ * 오탐 억제 규칙 (index.html 탐지현황 🔇 억제 규칙 모달)
+ *
+ * 늘 잡히는 잡음 — 사내 뉴스레터 발신자, 자체 취약점 스캐너 IP, 웹방화벽 헬스체크 URL — 을
+ * 규칙으로 등록하면 상관분석 전에 해당 로그 행을 빼고 탐지를 만든다 (parseExcelData · app.js recorrelate).
+ *
+ *   유형     비교 필드 (어댑터 — log-sources.js)        값 예
+ *   발신자   iocFields.email                           newsletter@corp.co.kr, *@news.corp.co.kr
+ *   도메인   iocFields.domain · email의 도메인          corp.co.kr (하위 도메인 포함)
+ *   IP       iocFields.ip                              10.10.1.5, 10.10.0.0/16
+ *   룰 이름  ruleField                                 Port Scan*, 내부 점검
+ *   URL      iocFields.url                             /healthz, /actuator/*
+ * 발신자 · 룰 이름은 전체 일치, URL은 요청 어디든 포함되면 일치 (* 와일드카드, 대소문자 무시).
+ * 소스를 지정하면 그 소스에만, 만료일을 지정하면 그날까지만(KST) 적용한다. 규칙은 localStorage에 저장.
+ * 빠진 행은 activeSuppressed에 남아 탐지현황의 "🔇 억제 N"으로 펼쳐 볼 수 있다.
+ */
+
+const SUPPRESS_STORAGE_KEY = "threat-trend.suppressions";
+const SUPPRESS_KINDS = {
+  sender: { label: "발신자", placeholder: "newsletter@corp.co.kr 또는 *@news.corp.co.kr" },
+  domain: { label: "도메인", placeholder: "corp.co.kr" },
+  ip: { label: "IP", placeholder: "10.10.1.5 또는 10.10.0.0/16" },
+  rule: { label: "룰 이름", placeholder: "Port Scan*" },
+  url: { label: "URL", placeholder: "/healthz" },
+};
+
+// [{ id, kind, value, source: sourceKey | "", expires: "YYYY-MM-DD" | "", note, createdAt }]
+let activeSuppressions = loadSuppressions();
+// 마지막 상관분석에서 빠진 행 [{ sourceKey, row, rule }]
+let activeSuppressed = [];
+let showSuppressed = false;
+
+function loadSuppressions() {
+  try {
+    const raw = localStorage.getItem(SUPPRESS_STORAGE_KEY);
+    return raw ? JSON.parse(raw).filter((r) => r && SUPPRESS_KINDS[r.kind] && r.value) : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function saveSuppressions() {
+  localStorage.setItem(SUPPRESS_STORAGE_KEY, JSON.stringify(activeSuppressions));
+}
+
+// 만료일이 지났으면 false (만료일 당일까지 적용)
+function isSuppressionActive(rule, now = Date.now()) {
+  if (!rule.expires) return true;
+  const until = parseTimestamp(rule.expires);
+  return until === null || now < until + DAY_MS;
+}
+
+// { spam: [...], … } → { logs: 남은 행, suppressed: [{ sourceKey, row, rule }] }
+function splitSuppressed(logs, rules = activeSuppressions, now = Date.now()) {
+  const active = rules.filter((r) => isSuppressionActive(r, now));
+  if (active.length === 0) return { logs, suppressed: [] };
+  const suppressed = [];
+  const kept = Object.fromEntries(Object.entries(logs).map(([sourceKey, rows]) => [
+    sourceKey,
+    rows.filter((row) => {
+      const rule = active.find((r) => suppressionMatches(r, sourceKey, row));
+      if (rule) suppressed.push({ sourceKey, row, rule });
+      return !rule;
+    }),
+  ]));
+  return { logs: kept, suppressed };
+}
+
+function suppressionMatches(rule, sourceKey, row) {
+  if (rule.source && rule.source !== sourceKey) return false;
+  const source = LOG_SOURCES[sourceKey];
+  if (!source) return false;
+  const values = (fields) => (fields || []).map((f) => String(row[f] ?? "").trim().toLowerCase()).filter(Boolean);
+  const value = String(rule.value).trim().toLowerCase();
+
+  switch (rule.kind) {
+    case "sender": {
+      const pattern = globRegex(value, true);
+      return values(source.iocFields.email).some((v) => (v.match(/[a-z0-9._%+-]+@[a-z0-9.-]+/g) || [v]).some((e) => pattern.test(e)));
+    }
+    case "domain": {
+      const hosts = [
+        ...values(source.iocFields.domain).map((v) => (v.includes("@") ? v.split("@").pop() : urlHost(v) || v)),
+        ...values(source.iocFields.email).map((v) => v.split("@").pop().replace(/[>\s].*$/, "")),
+      ];
+      return hosts.some((h) => h === value || h.endsWith(`.${value}`));
+    }
+    case "ip":
+      return values(source.iocFields.ip).some((v) => (v.match(/\b\d{1,3}(?:\.\d{1,3}){3}\b/g) || []).some((ip) => ipInCidr(ip, value)));
+    case "rule":
+      return source.ruleField !== null && globRegex(value, true).test(String(row[source.ruleField] ?? "").trim().toLowerCase());
+    case "url":
+      return values(source.iocFields.url).some((v) => globRegex(value, false).test(v));
+    default:
+      return false;
+  }
+}
+
+// "*@corp.co.kr" → /^.*@corp\.co\.kr$/ (anchored가 아니면 부분 일치)
+function globRegex(pattern, anchored) {
+  const body = pattern.split("*").map((p) => p.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(anchored ? `^${body}$` : body, "i");
+}
+
+// "10.1.2.3" ∈ "10.1.0.0/16" · "10.1.2.3" — 같은 접두 블록이면 일치
+function ipInCidr(ip, cidr) {
+  const [base, bits = "32"] = cidr.split("/");
+  if (!isIPv4(ip) || !isIPv4(base) || !/^\d{1,2}$/.test(bits) || +bits > 32) return false;
+  const toInt = (v) => v.split(".").reduce((n, p) => n * 256 + +p, 0);
+  const block = 2 ** (32 - +bits);
+  return Math.floor(toInt(ip) / block) === Math.floor(toInt(base) / block);
+}
+
+// 규칙 값 검증 (잘못되면 Error)
+function validateSuppression(kind, value) {
+  if (!SUPPRESS_KINDS[kind]) throw new Error("억제 유형을 선택하세요");
+  if (!value) throw new Error("값을 입력하세요");
+  if (kind === "ip") {
+    const [base, bits] = value.split("/");
+    if (!isIPv4(base) || (bits !== undefined && !(/^\d{1,2}$/.test(bits) && +bits <= 32))) {
+      throw new Error(`IP 또는 CIDR 형식이 아닙니다: ${value}`);
+    }
+  }
+}
+
+// ── 화면 ─────────────────────────────────────────────────────────
+function setupSuppressions() {
+  document.getElementById("btn-suppress").addEventListener("click", openSuppressions);
+  document.getElementById("suppressed-toggle").addEventListener("click", () => {
+    showSuppressed = !showSuppressed;
+    renderDetections();
+  });
+  document.getElementById("suppress-close").addEventListener("click", closeSuppressions);
+  document.getElementById("suppress-modal").addEventListener("click", (e) => {
+    if (e.target === e.currentTarget) closeSuppressions();
+  });
+  document.getElementById("suppress-body").addEventListener("click", (e) => {
+    if (e.target.id === "suppress-add") return addSuppression();
+    const del = e.target.closest("[data-suppress-delete]");
+    if (del) removeSuppression(del.dataset.suppressDelete);
+  });
+}
+
+function openSuppressions() {
+  setSuppressStatus("");
+  renderSuppressions();
+  document.getElementById("suppress-modal").classList.add("open");
+}
+
+function closeSuppressions() {
+  document.getElementById("suppress-modal").classList.remove("open");
+}
+
+function renderSuppressions() {
+  const hits = new Map();
+  activeSuppressed.forEach(({ rule }) => hits.set(rule.id, (hits.get(rule.id) || 0) + 1));
+  const sourceName = (key) => (key ? (LOG_SOURCES[key] ? LOG_SOURCES[key].label : key) : "전체");
+  const rows = activeSuppressions.map((r) => html`<tr class="${isSuppressionActive(r) ? "" : "suppress-expired"}">
+    <td>${SUPPRESS_KINDS[r.kind].label}</td><td>${r.value}</td><td>${sourceName(r.source)}</td>
+    <td>${r.expires ? `${r.expires}${isSuppressionActive(r) ? "" : " (만료)"}` : "-"}</td>
+    <td>${hits.get(r.id) || 0}행</td><td title="${r.note}">${r.note || "-"}</td>
+    <td><button class="btn-action" data-suppress-delete="${r.id}">삭제</button></td>
+  </tr>`);
+
+  setHtml(document.getElementById("suppress-body"), html`
+    <div class="rules-form-title">규칙 추가</div>
+    <div class="suppress-form">
+      <select id="suppress-kind" class="rules-input">${Object.entries(SUPPRESS_KINDS).map(([k, v]) => html`<option value="${k}">${v.label}</option>`)}</select>
+      <input id="suppress-value" class="rules-input" placeholder="${SUPPRESS_KINDS.sender.placeholder}" />
+      <select id="suppress-source" class="rules-input">
+        <option value="">전체 소스</option>
+        ${Object.entries(LOG_SOURCES).map(([k, s]) => html`<option value="${k}">${s.label}</option>`)}
+      </select>
+      <input id="suppress-expires" type="date" class="rules-input" title="만료일 (비우면 계속 적용)" />
+      <input id="suppress-note" class="rules-input" placeholder="사유 (예: 사내 취약점 스캐너)" />
+      <button class="btn-primary" id="suppress-add">추가</button>
+    </div>
+    <p class="rules-hint">* 와일드카드 사용 가능 · 도메인은 하위 도메인 포함 · IP는 CIDR(10.0.0.0/8) 가능 · 만료일 당일까지 적용</p>
+    <div class="rules-form-title">등록된 규칙 ${activeSuppressions.length}개 — 현재 억제 ${activeSuppressed.length}행</div>
+    ${activeSuppressions.length
+      ? html`<table class="detail-table asset-hit-table suppress-table">
+          <tr><th>유형</th><th>값</th><th>소스</th><th>만료일</th><th>억제</th><th>사유</th><th></th></tr>
+          ${rows}
+        </table>`
+      : html`<p class="rules-hint">등록된 억제 규칙이 없습니다.</p>`}`);
+
+  document.getElementById("suppress-kind").addEventListener("change", (e) => {
+    document.getElementById("suppress-value").placeholder = SUPPRESS_KINDS[e.target.value].placeholder;
+  });
+}
+
+function addSuppression() {
+  const kind = document.getElementById("suppress-kind").value;
+  const value = document.getElementById("suppress-value").value.trim();
+  try {
+    validateSuppression(kind, value);
+  } catch (err) {
+    setSuppressStatus(err.message, "error");
+    return;
+  }
+  activeSuppressions.push({
+    id: `s${Date.now().toString(36)}${activeSuppressions.length}`,
+    kind,
+    value,
+    source: document.getElementById("suppress-source").value,
+    expires: document.getElementById("suppress-expires").value,
+    note: document.getElementById("suppress-note").value.trim(),
+    createdAt: Date.now(),
+  });
+  applySuppressionChange(`${SUPPRESS_KINDS[kind].label} ${value} 억제 규칙을 추가했습니다`);
+}
+
+function removeSuppression(id) {
+  activeSuppressions = activeSuppressions.filter((r) => r.id !== id);
+  applySuppressionChange("규칙을 삭제했습니다");
+}
+
+// 저장 → 로드된 로그로 탐지현황 재계산 → 목록 갱신
+function applySuppressionChange(message) {
+  saveSuppressions();
+  const recalculated = recorrelate();
+  renderSuppressions();
+  setSuppressStatus(recalculated ? `${message} — 탐지 ${activeDetections.length}건, 억제 ${activeSuppressed.length}행` : `${message} (로그 로드 후 반영)`, "success");
+}
+
+function setSuppressStatus(text, kind = "") {
+  const el = document.getElementById("suppress-status");
+  el.textContent = text;
+  el.className = `excel-status ${kind}`;
+}
+
+// 억제된 행을 규칙 · 소스별로 묶은 목록 — 원본 로그 표(log-table.js)로 열 수 있는 형태
+function suppressedGroups() {
+  const groups = new Map();
+  activeSuppressed.forEach(({ sourceKey, row, rule }) => {
+    const key = `${rule.id}|${sourceKey}`;
+    if (!groups.has(key)) {
+      const source = LOG_SOURCES[sourceKey];
+      groups.set(key, { sourceKey, type: source.type, rule, rows: [], label: "" });
+    }
+    groups.get(key).rows.push(row);
+  });
+  return [...groups.values()].map((g) => ({
+    ...g,
+    label: `[${g.type}] 억제 — ${SUPPRESS_KINDS[g.rule.kind].label} ${g.rule.value}${g.rule.note ? ` (${g.rule.note})` : ""} ${g.rows.length}행`,
+  }));
+}
+
+function updateSuppressedToggle() {
+  const toggle = document.getElementById("suppressed-toggle");
+  toggle.hidden = activeSuppressed.length === 0;
+  toggle.textContent = `🔇 억제 ${activeSuppressed.length}${showSuppressed ? " ▲" : " ▼"}`;
+  toggle.title = showSuppressed ? "억제된 로그 숨기기" : "억제 규칙으로 빠진 로그 보기";
+}
@@ -0,0 +1,173 @@
+/**
+ * 시각 정규화 모듈 (로그 어댑터 · 기사 날짜 공통)
+ *
+ * 소스마다 시각 형식이 달라 그대로는 비교 · 정렬할 수 없으므로 모든 시각을 ms(UTC 기준 epoch)로 바꿔 쓴다.
+ *   parseTimestamp(value, timeZone)   → ms | null
+ *   formatTimestamp(ms, style)        → 표시 문자열 (항상 DISPLAY_TIME_ZONE 기준)
+ *   formatTimeValue(value, style)     → 해석되면 formatTimestamp, 아니면 원래 값 그대로
+ *   rowTime(source, row)              → 로그 행의 이벤트 시각 (어댑터의 timeField · timeZone — log-sources.js)
+ *
+ * 인식하는 형식:
+ *   Date (SheetJS cellDates — 셀에 보이는 시각 그대로), 엑셀 일련번호, epoch 초 · ms
+ *   2026-02-24 09:10[:00[.123]], 2026.02.24, 2026/2/24 오후 3:10, 2026년 2월 24일 9시 10분, 20260224091000
+ *   2026-02-24T09:10:00Z / +09:00 (ISO 8601), Feb 24 2026 09:10:00 (CEF rt), Feb 24 09:10:00 (syslog, 연도 없음)
+ *   24/Feb/2026:09:10:00 +0900 (웹 서버 로그), Tue, 24 Feb 2026 09:10:00 +0900 (메일 헤더)
+ * 시간대가 없는 값은 timeZone(기본 KST)의 현지 시각으로 본다. UTC로 기록하는 장비는 어댑터에 timeZone: "UTC".
+ */
+
+const DEFAULT_TIME_ZONE = "KST";
+const DISPLAY_TIME_ZONE = "KST";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const TIME_ZONE_PATTERN = "(Z|UTC|GMT|KST|[+-]\\d{1,2}(?::?\\d{2})?)";
+// Date.parse에 넘기는 문자열에 시간대가 적혀 있는지 — "UTC" · "GMT+9" · "...00Z" · " +0900"
+const EXPLICIT_TIME_ZONE = /\b(?:utc|gmt)\b|\bz\b|\dz\b|[\s\d][+-]\d{2}:?\d{2}\b/i;
+
+// "KST" · "Asia/Seoul" → 540, "UTC" · "Z" → 0, "+09:00" · "+0900" · "-5" → 분 단위 오프셋 (모르면 null)
+function timeZoneOffset(timeZone) {
+  const tz = String(timeZone ?? "").trim();
+  if (/^(kst|asia\/seoul)$/i.test(tz)) return 540;
+  if (/^(z|utc|gmt)$/i.test(tz)) return 0;
+  const m = tz.match(/^(?:utc|gmt)?([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+  if (!m) return null;
+  return (m[1] === "-" ? -1 : 1) * (+m[2] * 60 + +(m[3] || 0));
+}
+
+// 현지 시각 구성요소 → ms (범위를 벗어나면 null)
+function fromWallClock(year, month, day, hour = 0, minute = 0, second = 0, millis = 0, timeZone = DEFAULT_TIME_ZONE) {
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 24 || minute > 59 || second > 60) return null;
+  const offset = timeZoneOffset(timeZone) ?? timeZoneOffset(DEFAULT_TIME_ZONE);
+  const ms = Date.UTC(year, month - 1, day, hour, minute, second, millis) - offset * 60000;
+  // 2월 30일처럼 넘어가는 날짜는 거부
+  return new Date(ms + offset * 60000).getUTCDate() === day ? ms : null;
+}
+
+function parseTimestamp(value, timeZone = DEFAULT_TIME_ZONE) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    return fromWallClock(value.getFullYear(), value.getMonth() + 1, value.getDate(),
+      value.getHours(), value.getMinutes(), value.getSeconds(), value.getMilliseconds(), timeZone);
+  }
+  if (typeof value === "number") return parseNumericTime(value, timeZone);
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  if (/^\d+(\.\d+)?$/.test(s)) return parseCompactTime(s, timeZone);
+
+  const zone = (tz) => (tz ? (/^kst$/i.test(tz) ? "KST" : tz) : timeZone);
+  const hour12 = (h, ampm) => {
+    if (!ampm) return +h;
+    const pm = /pm|오후/i.test(ampm);
+    return (+h % 12) + (pm ? 12 : 0);
+  };
+
+  // 연-월-일 [시각] [시간대] — 구분자 - . / 년월일, 오전/오후 · AM/PM
+  let m = s.match(new RegExp(
+    "^(\\d{4})\\s*[-./년]\\s*(\\d{1,2})\\s*[-./월]\\s*(\\d{1,2})\\s*일?\\.?" +
+    "(?:(?:\\s*[T ]\\s*|\\s+)(?:(오전|오후|AM|PM)\\s*)?(\\d{1,2})\\s*[:시]\\s*(\\d{1,2})?\\s*분?(?:\\s*:?\\s*(\\d{1,2})(?:[.,](\\d{1,3})\\d*)?\\s*초?)?\\s*(AM|PM|오전|오후)?)?" +
+    `\\s*${TIME_ZONE_PATTERN}?$`, "i"));
+  if (m) {
+    return fromWallClock(+m[1], +m[2], +m[3], hour12(m[5] || 0, m[4] || m[9]), +(m[6] || 0), +(m[7] || 0),
+      +(m[8] || "0").padEnd(3, "0"), zone(m[10]));
+  }
+
+  // [요일,] Feb 24 [2026] 09:10[:00] [시간대] — CEF rt · syslog
+  m = s.match(new RegExp(
+    `^(?:[a-z]{3},?\\s+)?([a-z]{3})[a-z]*\\.?\\s+(\\d{1,2}),?(?:\\s+(\\d{4}))?\\s+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\.(\\d{1,3})\\d*)?\\s*${TIME_ZONE_PATTERN}?$`, "i"));
+  if (m && MONTH_NAMES.includes(m[1].toLowerCase())) {
+    const month = MONTH_NAMES.indexOf(m[1].toLowerCase()) + 1;
+    const tz = zone(m[8]);
+    const at = (year) => fromWallClock(year, month, +m[2], +m[4], +m[5], +(m[6] || 0), +(m[7] || "0").padEnd(3, "0"), tz);
+    if (m[3]) return at(+m[3]);
+    // 연도 없는 syslog — 올해(브라우저 현지가 아닌 DISPLAY_TIME_ZONE 기준)로 보고, 미래가 되면 작년
+    const thisYear = new Date(Date.now() + timeZoneOffset(DISPLAY_TIME_ZONE) * 60000).getUTCFullYear();
+    const ms = at(thisYear);
+    return ms !== null && ms > Date.now() + DAY_MS ? at(thisYear - 1) : ms;
+  }
+
+  // [요일,] 24 Feb 2026 [09:10[:00]] [시간대] · 24/Feb/2026:09:10:00 +0900
+  m = s.match(new RegExp(
+    `^(?:[a-z]{3},?\\s+)?(\\d{1,2})[\\s/-]([a-z]{3})[a-z]*\\.?[\\s/-](\\d{4})(?:[\\s:]+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?\\s*${TIME_ZONE_PATTERN}?$`, "i"));
+  if (m && MONTH_NAMES.includes(m[2].toLowerCase())) {
+    return fromWallClock(+m[3], MONTH_NAMES.indexOf(m[2].toLowerCase()) + 1, +m[1], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), 0, zone(m[7]));
+  }
+
+  // 그 밖의 영문 날짜 — 브라우저가 해석하되, 시간대가 없으면 브라우저 현지 시각 대신 timeZone 기준으로 다시 본다
+  if (/[a-z]/i.test(s)) {
+    const t = Date.parse(s);
+    if (isNaN(t)) return null;
+    return EXPLICIT_TIME_ZONE.test(s) ? t : parseTimestamp(new Date(t), timeZone);
+  }
+  return null;
+}
+
+// 엑셀 일련번호(1900 기준, 날짜만이면 정수) · epoch 초 · epoch ms
+function parseNumericTime(n, timeZone) {
+  if (!isFinite(n) || n <= 0) return null;
+  if (n >= 1e12) return Math.round(n);
+  if (n >= 1e9) return Math.round(n * 1000);
+  if (n < 2958466) {
+    const wall = Math.round((n - 25569) * DAY_MS);
+    const d = new Date(wall);
+    return fromWallClock(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(),
+      d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds(), 0, timeZone);
+  }
+  return null;
+}
+
+// "20260224" · "20260224091000" · "1771891200" · "45712.38"
+function parseCompactTime(s, timeZone) {
+  const m = s.match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?$/);
+  if (m && +m[1] >= 1970 && +m[1] <= 2100) {
+    return fromWallClock(+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), 0, timeZone);
+  }
+  return parseNumericTime(+s, timeZone);
+}
+
+// ms → 표시 시각 (DISPLAY_TIME_ZONE 현지 시각)
+//   datetime "2026-02-24 09:10:00" · minute "2026-02-24 09:10" · date "2026-02-24" · short "02-24 09:10" · day "02-24" · time "09:10"
+function formatTimestamp(ms, style = "datetime") {
+  if (ms === null || ms === undefined || isNaN(ms)) return "";
+  const d = new Date(ms + timeZoneOffset(DISPLAY_TIME_ZONE) * 60000);
+  const pad = (n) => String(n).padStart(2, "0");
+  const date = `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+  const day = `${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+  const hm = `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+  return {
+    datetime: `${date} ${hm}:${pad(d.getUTCSeconds())}`,
+    minute: `${date} ${hm}`,
+    date,
+    short: `${day} ${hm}`,
+    day,
+    time: hm,
+  }[style];
+}
+
+// 해석할 수 있으면 정규화한 표시값, 아니면 원래 값 (빈 값은 "")
+function formatTimeValue(value, style = "datetime", timeZone = DEFAULT_TIME_ZONE) {
+  const ms = parseTimestamp(value, timeZone);
+  if (ms !== null) return formatTimestamp(ms, style);
+  return value === null || value === undefined ? "" : String(value);
+}
+
+// ms가 속한 날(DISPLAY_TIME_ZONE)의 0시
+function startOfDay(ms) {
+  const offset = timeZoneOffset(DISPLAY_TIME_ZONE) * 60000;
+  return Math.floor((ms + offset) / DAY_MS) * DAY_MS - offset;
+}
+
+// 로그 행의 이벤트 시각 — 어댑터 timeField, 없으면 이름에 시간 · 날짜가 들어간 첫 컬럼 (행마다 한 번만 계산)
+const rowTimeCache = new WeakMap();
+
+function rowTime(source, row) {
+  if (rowTimeCache.has(row)) return rowTimeCache.get(row);
+  const timeZone = (source && source.timeZone) || DEFAULT_TIME_ZONE;
+  let time = null;
+  if (source && source.timeField) {
+    time = parseTimestamp(row[source.timeField], timeZone);
+  } else {
+    const key = Object.keys(row).find((k) => /time|date|시간|시각|일시|날짜/i.test(k) && parseTimestamp(row[k], timeZone) !== null);
+    time = key ? parseTimestamp(row[key], timeZone) : null;
+  }
+  rowTimeCache.set(row, time);
+  return time;
+}
@@ -0,0 +1,201 @@
+/**
+ * 이벤트 타임라인 모듈
+ *
+ * 탐지가 가진 원본 로그 행(detection.rows)의 시각을 기사 보도일과 같은 시간축에 찍어,
+ * 우리가 보도 이전부터 당했는지 · 보도 기간에 당했는지 · 보도 이후에야 들어왔는지를 본다.
+ *   - 기사 클릭 → 위협별 타임라인 (소스별 한 줄)
+ *   - 상단 📈 타임라인 → 전체 타임라인 (위협별 한 줄) + 구간별 건수 표
+ *
+ * 구간 (기사 날짜 기준, 시간대 없는 날짜는 현지 0시):
+ *   보도 이전  < 보도일
+ *   보도 기간  보도일 ~ 보도일 + TIMELINE_CAMPAIGN_DAYS일
+ *   보도 이후  그 뒤
+ * 행 시각은 rowTime(time.js — 어댑터의 timeField · timeZone), 기사 날짜는 보도일 0시(KST)로 보고,
+ * 건수는 어댑터의 count(웹방화벽은 탐지 개수 합)로 센다. 같은 위협의 키워드 · IOC 탐지가 같은 행을 가리키면 한 번만 센다 (threatRows).
+ */
+
+const TIMELINE_CAMPAIGN_DAYS = 7;
+const TIMELINE_PHASES = { before: "보도 이전", during: "보도 기간", after: "보도 이후" };
+const TIMELINE_VERDICTS = { before: "보도 이전부터 관측", during: "보도 기간에 처음 관측", after: "보도 이후에만 관측" };
+const TIMELINE_BUCKETS = 120; // 시간축을 나눠 같은 칸의 이벤트는 점 하나로 (행이 많아도 점 수 제한)
+
+// 위협 1건의 이벤트 [{ time, count, sourceKey, detectionId }] + 시각 없는 행 수
+function threatEvents(threatId, detections) {
+  const events = [];
+  let undated = 0;
+  threatRows(threatId, detections).forEach(({ sourceKey, source, row, detection }) => {
+    const time = rowTime(source, row);
+    const count = source ? source.count([row]) : 1;
+    if (time === null) undated += count;
+    else events.push({ time, count, sourceKey, detectionId: detection.id });
+  });
+  return { events: events.sort((a, b) => a.time - b.time), undated };
+}
+
+function timelinePhase(time, publish) {
+  if (publish === null) return null;
+  if (time < publish) return "before";
+  return time < publish + TIMELINE_CAMPAIGN_DAYS * DAY_MS ? "during" : "after";
+}
+
+// { publish, first, last, total, undated, phases: { before, during, after }, verdict }
+function summarizeTimeline(threat, { events, undated }) {
+  const publish = articleTime(threat);
+  const phases = { before: 0, during: 0, after: 0 };
+  events.forEach((e) => {
+    const phase = timelinePhase(e.time, publish);
+    if (phase) phases[phase] += e.count;
+  });
+  const first = events.length ? events[0].time : null;
+  const last = events.length ? events[events.length - 1].time : null;
+  let verdict = "";
+  if (first === null) verdict = "시각 정보가 있는 로그 없음";
+  else if (publish === null) verdict = "기사 날짜 없음";
+  else verdict = TIMELINE_VERDICTS[timelinePhase(first, publish)];
+  return {
+    publish, first, last, undated, phases, verdict,
+    total: events.reduce((sum, e) => sum + e.count, 0),
+  };
+}
+
+// ─── 화면 ───────────────────────────────────────────────────────────
+// 기사 클릭 시 챗봇 카드 — 시각 있는 이벤트가 없으면 ""
+function formatThreatTimeline(threat, detections) {
+  const timeline = threatEvents(threat.id, detections);
+  if (timeline.events.length === 0) return "";
+  const summary = summarizeTimeline(threat, timeline);
+  const lanes = [...new Set(timeline.events.map((e) => e.sourceKey))].map((key) => ({
+    label: LOG_SOURCES[key] ? LOG_SOURCES[key].label : key,
+    publish: summary.publish,
+    events: timeline.events.filter((e) => e.sourceKey === key),
+  }));
+  return html`<div class="chat-card">
+    <div class="chat-card-title">📈 이벤트 타임라인</div>
+    <div class="chat-card-meta">${threat.title}${threat.date && ` — 보도일 ${threat.date}`}</div>
+    ${renderTimelineSvg(lanes)}
+    ${formatPhaseLine(summary)}
+  </div>`;
+}
+
+// "보도 이전 3건 · 보도 기간 5건 · 보도 이후 0건 — 보도 이전부터 관측"
+function formatPhaseLine(summary) {
+  const phases = summary.publish === null ? ""
+    : Object.entries(TIMELINE_PHASES).map(([key, label]) => `${label} ${summary.phases[key]}건`).join(" · ") + " — ";
+  return html`<p class="rules-hint">${phases}<b>${summary.verdict}</b>${summary.undated > 0 && ` (시각 없는 로그 ${summary.undated}건 제외)`}</p>`;
+}
+
+function setupTimeline() {
+  document.getElementById("btn-timeline").addEventListener("click", openGlobalTimeline);
+  document.getElementById("timeline-close").addEventListener("click", closeGlobalTimeline);
+  document.getElementById("timeline-modal").addEventListener("click", (e) => {
+    if (e.target === e.currentTarget) closeGlobalTimeline();
+  });
+}
+
+function openGlobalTimeline() {
+  renderGlobalTimeline();
+  document.getElementById("timeline-modal").classList.add("open");
+}
+
+function closeGlobalTimeline() {
+  document.getElementById("timeline-modal").classList.remove("open");
+}
+
+// 전체 타임라인 — 위협별 한 줄 (각 줄에 그 기사의 보도일) + 구간별 건수 표
+function renderGlobalTimeline() {
+  const body = document.getElementById("timeline-body");
+  const rows = threatsInRange()
+    .map((t) => {
+      const timeline = threatEvents(t.id, activeDetections);
+      return { threat: t, timeline, summary: summarizeTimeline(t, timeline) };
+    })
+    .filter((r) => r.timeline.events.length > 0 || r.timeline.undated > 0);
+  if (rows.every((r) => r.timeline.events.length === 0)) {
+    setHtml(body, html`<div class="empty-msg">시각 정보가 있는 원본 로그가 없습니다 (목데이터 표시 중이거나 로그에 시각 컬럼 없음).</div>`);
+    return;
+  }
+
+  const lanes = rows.map((r) => ({
+    label: r.threat.title,
+    publish: r.summary.publish,
+    events: r.timeline.events,
+  }));
+  const table = rows.map(({ threat, summary }) => html`<tr>
+    <td>${threat.title}</td><td>${threat.date || "-"}</td>
+    <td>${formatTimestamp(summary.first, "short")}</td><td>${formatTimestamp(summary.last, "short")}</td>
+    <td>${summary.phases.before}</td><td>${summary.phases.during}</td><td>${summary.phases.after}</td>
+    <td>${summary.verdict}</td>
+  </tr>`);
+  setHtml(body, html`
+    ${renderTimelineSvg(lanes)}
+    <table class="detail-table asset-hit-table">
+      <tr><th>위협</th><th>보도일</th><th>첫 이벤트</th><th>마지막 이벤트</th>
+        <th>${TIMELINE_PHASES.before}</th><th>${TIMELINE_PHASES.during}</th><th>${TIMELINE_PHASES.after}</th><th>판정</th></tr>
+      ${table}
+    </table>
+    <p class="rules-hint">보도 기간 = 기사 날짜부터 ${TIMELINE_CAMPAIGN_DAYS}일. 점 크기는 건수, 색은 로그 소스입니다.</p>`);
+}
+
+// ─── SVG 차트 ───────────────────────────────────────────────────────
+// lanes: [{ label, publish (ms | null), events: [{ time, count, sourceKey }] }]
+// 줄마다 보도일 세로선과 보도 기간 음영, 이벤트는 시간 칸 · 소스별로 묶은 점 (크기 = 건수)
+function renderTimelineSvg(lanes) {
+  const width = 760, labelWidth = 150, right = 16, laneHeight = 28, top = 6, axis = 22;
+  const height = top + lanes.length * laneHeight + axis;
+  const times = lanes.flatMap((l) => [...l.events.map((e) => e.time), ...(l.publish === null ? [] : [l.publish])]);
+  let min = Math.min(...times), max = Math.max(...times);
+  if (max - min < DAY_MS) { min -= DAY_MS / 2; max += DAY_MS / 2; }
+  const pad = (max - min) * 0.04;
+  min -= pad;
+  max += pad;
+  const x = (t) => labelWidth + ((t - min) / (max - min)) * (width - labelWidth - right);
+  const bucket = (max - min) / TIMELINE_BUCKETS;
+
+  const ticks = timelineTicks(min, max).map((t) => svg`
+    <line class="tl-grid" x1="${x(t)}" x2="${x(t)}" y1="${top}" y2="${height - axis}"></line>
+    <text class="tl-tick" x="${x(t)}" y="${height - 6}" text-anchor="middle">${formatTimestamp(t, "day")}</text>`);
+
+  const rows = lanes.map((lane, i) => {
+    const y = top + i * laneHeight + laneHeight / 2;
+    const dots = new Map();
+    lane.events.forEach((e) => {
+      const key = `${e.sourceKey}\u0000${Math.floor((e.time - min) / bucket)}`;
+      if (!dots.has(key)) dots.set(key, { sourceKey: e.sourceKey, first: e.time, last: e.time, count: 0 });
+      const dot = dots.get(key);
+      dot.count += e.count;
+      dot.last = e.time;
+    });
+    const publish = lane.publish === null ? "" : svg`
+      <rect class="tl-campaign" x="${x(lane.publish)}" y="${y - laneHeight / 2 + 2}"
+        width="${Math.max(0, Math.min(x(lane.publish + TIMELINE_CAMPAIGN_DAYS * DAY_MS), width - right) - x(lane.publish))}" height="${laneHeight - 4}"></rect>
+      <line class="tl-publish" x1="${x(lane.publish)}" x2="${x(lane.publish)}" y1="${y - laneHeight / 2 + 2}" y2="${y + laneHeight / 2 - 2}">
+        <title>보도일 ${formatTimestamp(lane.publish, "day")}</title></line>`;
+    const circles = [...dots.values()].map((d) => {
+      const source = LOG_SOURCES[d.sourceKey];
+      const time = d.first === d.last ? formatTimestamp(d.first, "short") : `${formatTimestamp(d.first, "short")} ~ ${formatTimestamp(d.last, "short")}`;
+      return svg`<circle class="tl-dot ${source ? source.dot : "dot-etc"}" cx="${x(d.first)}" cy="${y}" r="${3 + Math.min(7, Math.log2(d.count))}">
+        <title>${source ? source.label : d.sourceKey} ${d.count}건 · ${time}</title></circle>`;
+    });
+    const label = lane.label.length > 18 ? `${lane.label.slice(0, 18)}…` : lane.label;
+    return svg`<g>
+      <line class="tl-lane" x1="${labelWidth}" x2="${width - right}" y1="${y}" y2="${y}"></line>
+      <text class="tl-label" x="${labelWidth - 8}" y="${y + 4}" text-anchor="end"><title>${lane.label}</title>${label}</text>
+      ${publish}${circles}
+    </g>`;
+  });
+
+  return html`<svg class="timeline-svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMinYMin meet">${ticks}${rows}</svg>`;
+}
+
+// 보간 값을 이스케이프하는 SVG 조각 (html``과 같은 규칙, 숫자는 소수 1자리)
+function svg(strings, ...values) {
+  return html(strings, ...values.map((v) => (typeof v === "number" ? Math.round(v * 10) / 10 : v)));
+}
+
+// 눈금 — 0시(KST) 기준, 8개 안팎
+function timelineTicks(min, max) {
+  const step = Math.max(1, Math.ceil((max - min) / DAY_MS / 8)) * DAY_MS;
+  const ticks = [];
+  for (let t = startOfDay(min); t <= max; t += step) if (t >= min) ticks.push(t);
+  return ticks;
+}
@@ -0,0 +1,243 @@
+/**
+ * 일별 추세 모듈 (index.html 📊 추세 모달)
+ *
+ * 하루 하나씩 쌓이는 data_YYYYMMDD.xlsx를 모두 읽어, 위협(기사)별 · 로그 룰별 일별 건수를 만들고
+ * 직전 TREND_BASELINE_DAYS일 평균보다 크게 늘어난 날을 급증으로 표시한다.
+ *   예) "급여 변동 안내 피싱 메일 — 메일 12건, 7일 평균 1.7건 대비 7.2배"
+ *
+ * 파일 목록은 series.json에 나열한다 (없으면 추세 없음 — 날짜 파일을 추측해 요청하지 않는다).
+ *   { "files": ["data_20260220.xlsx", { "file": "0221.xlsx", "date": "2026-02-21" }] }
+ * 날짜는 항목의 date, 없으면 파일명의 YYYYMMDD. 날짜를 알 수 없는 파일은 건너뛴다.
+ *
+ * 계열:
+ *   위협  현재 기사 + 각 파일의 기사(제목 기준 중복 제거)를 그날 로그와 매칭 룰(rules.js)로 상관분석 — 위협 × 소스
+ *         키워드별이 아니라 위협(기사)별 계열이다 — 한 기사의 키워드 · IOC는 매칭 룰로 묶여 하나로 센다.
+ *         그 파일의 기사는 parseExcelData가 만든 탐지를 그대로 쓰고, 다른 파일 · 현재 기사만 추가로 상관분석한다.
+ *   룰    어댑터의 ruleField(NDR · 웹방화벽 룰 이름, 스팸 필터링 정보) 값 — 소스 × 룰
+ * 건수는 어댑터의 count, 위협은 키워드 · IOC 탐지가 같은 행을 한 번만 센다 (threatRows).
+ */
+
+const TREND_MANIFEST_URL = "./series.json";
+const TREND_FILE_PATTERN = /(?:^|[^\d])(\d{4})(\d{2})(\d{2})(?:[^\d]|$)/;
+const TREND_BASELINE_DAYS = 7;   // 급증 기준 — 직전 며칠의 평균
+const TREND_MIN_HISTORY = 2;     // 기준 기간에 최소 며칠의 파일이 있어야 판단
+const TREND_SPIKE_RATIO = 3;     // 평균의 몇 배 이상이면 급증
+const TREND_MIN_COUNT = 5;       // 이보다 적은 건수는 급증으로 보지 않음
+const TREND_TABLE_LIMIT = 20;    // 표에 보여줄 계열 수 (급증 계열은 항상 포함)
+
+// { files: [{ file, date, error? }], days: ["2026-02-20", …], series: [...], spikes: [...] } — 파일이 없으면 null
+let trendData = null;
+
+// ── 불러오기 ──────────────────────────────────────────────────────
+// → [{ file, date: "YYYY-MM-DD" }] 날짜순 (series.json이 없으면 [])
+async function listTrendFiles() {
+  let entries = [];
+  try {
+    const response = await fetch(TREND_MANIFEST_URL);
+    if (response.ok) {
+      const manifest = await response.json();
+      entries = (Array.isArray(manifest) ? manifest : manifest.files || [])
+        .map((e) => (typeof e === "string" ? { file: e } : e))
+        .filter((e) => e && e.file);
+    }
+  } catch (_) {
+    entries = [];
+  }
+  return entries
+    .map((e) => ({ ...e, date: trendFileDate(e) }))
+    .filter((e) => e.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function trendFileDate(entry) {
+  if (entry.date) return formatTimestamp(parseTimestamp(entry.date), "date");
+  const m = String(entry.file).match(TREND_FILE_PATTERN);
+  return m ? formatTimestamp(parseTimestamp(`${m[1]}-${m[2]}-${m[3]}`), "date") : "";
+}
+
+// 파일을 읽어 trendData 갱신 — threats: 현재 기사 (계열에 함께 포함)
+// data.xlsx가 없으면 app.js가 마지막 날짜 파일(latestTrendWorkbook)을 현재 데이터로 쓴다
+async function loadTrends(entries, threats, rules) {
+  const files = [];
+  for (const entry of entries) {
+    try {
+      const response = await fetch(`./${entry.file}`);
+      if (!response.ok) {
+        files.push({ file: entry.file, date: entry.date, error: "파일을 찾을 수 없습니다" });
+        continue;
+      }
+      const workbook = await parseExcelData(new Uint8Array(await response.arrayBuffer()), rules);
+      files.push({ file: entry.file, date: entry.date, workbook, threats: workbook.threats, logs: workbook.logs });
+    } catch (err) {
+      files.push({ file: entry.file, date: entry.date, error: err.message });
+    }
+  }
+  trendData = files.length ? buildTrends(files, threats, rules) : null;
+  updateTrendBadge();
+  return trendData;
+}
+
+// ── 계열 · 급증 ───────────────────────────────────────────────────
+function buildTrends(files, threats, rules) {
+  const loaded = files.filter((f) => !f.error);
+  const days = [...new Set(loaded.map((f) => f.date))].sort();
+
+  // 현재 기사 + 파일별 기사, 제목 기준 중복 제거 (id는 계열 계산용으로 새로 부여)
+  const byTitle = new Map();
+  [...threats, ...loaded.flatMap((f) => f.threats)].forEach((t) => {
+    if (t.title && !byTitle.has(t.title)) byTitle.set(t.title, { ...t, id: byTitle.size + 1 });
+  });
+  const trendThreats = [...byTitle.values()];
+
+  const series = new Map();
+  const add = (key, info, day, count) => {
+    if (!series.has(key)) series.set(key, { key, ...info, counts: {} });
+    const s = series.get(key);
+    s.counts[day] = (s.counts[day] || 0) + count;
+  };
+
+  loaded.forEach((f) => {
+    const logs = splitSuppressed(f.logs).logs; // 억제 규칙(suppress.js)에 걸린 행은 추세에서도 제외
+    // 그 파일의 기사는 parseExcelData의 탐지, 나머지 기사만 새로 상관분석
+    const own = new Set(f.threats.map((t) => t.title));
+    const others = trendThreats.filter((t) => !own.has(t.title));
+    const otherDetections = others.length ? correlateLogs(others, logs, rules) : [];
+    const addThreat = (t, detections) => threatRows(t.id, detections).forEach(({ sourceKey, source, row }) => {
+      add(`threat\u0000${t.title}\u0000${sourceKey}`, { kind: "threat", label: t.title, sourceKey }, f.date, source.count([row]));
+    });
+    f.threats.forEach((t) => addThreat(t, f.workbook.detections));
+    others.forEach((t) => addThreat(t, otherDetections));
+    Object.entries(logs).forEach(([sourceKey, rows]) => {
+      const source = LOG_SOURCES[sourceKey];
+      if (!source || !source.ruleField) return;
+      rows.forEach((row) => {
+        const rule = String(row[source.ruleField] || "").trim();
+        if (rule) add(`rule\u0000${sourceKey}\u0000${rule}`, { kind: "rule", label: rule, sourceKey }, f.date, source.count([row]));
+      });
+    });
+  });
+
+  const list = [...series.values()].map((s) => ({ ...s, total: Object.values(s.counts).reduce((a, b) => a + b, 0) }));
+  const spikes = list.flatMap((s) => findSpikes(s, days)).sort((a, b) => b.day.localeCompare(a.day) || b.count - a.count);
+  return { files, days, series: list, spikes };
+}
+
+// 계열 1개의 급증일 [{ series, day, count, baseline, ratio }] — ratio가 null이면 평소 0건이던 신규
+function findSpikes(s, days) {
+  return days.flatMap((day) => {
+    const dayMs = parseTimestamp(day);
+    const history = days.filter((d) => {
+      const ms = parseTimestamp(d);
+      return ms < dayMs && ms >= dayMs - TREND_BASELINE_DAYS * DAY_MS;
+    });
+    if (history.length < TREND_MIN_HISTORY) return [];
+    const count = s.counts[day] || 0;
+    const baseline = history.reduce((sum, d) => sum + (s.counts[d] || 0), 0) / history.length;
+    if (count < TREND_MIN_COUNT) return [];
+    if (baseline > 0 && count < baseline * TREND_SPIKE_RATIO) return [];
+    return [{ series: s, day, count, baseline, ratio: baseline > 0 ? count / baseline : null }];
+  });
+}
+
+// 마지막 날짜 파일의 파싱 결과 (없으면 null)
+function latestTrendWorkbook() {
+  const loaded = trendData ? trendData.files.filter((f) => !f.error) : [];
+  return loaded.length ? loaded[loaded.length - 1] : null;
+}
+
+function latestTrendSpikes() {
+  if (!trendData || trendData.days.length === 0) return [];
+  const latest = trendData.days[trendData.days.length - 1];
+  return trendData.spikes.filter((s) => s.day === latest);
+}
+
+// "[메일] 급여 변동 안내 … 12건 — 7일 평균 1.7건 대비 7.2배"
+function formatSpike(spike) {
+  const source = LOG_SOURCES[spike.series.sourceKey];
+  const prefix = source ? (spike.series.kind === "threat" ? source.type : source.label) : spike.series.sourceKey;
+  const versus = spike.ratio === null
+    ? `${TREND_BASELINE_DAYS}일간 없던 신규`
+    : `${TREND_BASELINE_DAYS}일 평균 ${spike.baseline.toFixed(1)}건 대비 ${spike.ratio.toFixed(1)}배`;
+  return html`[${prefix}${spike.series.kind === "rule" ? " 룰" : ""}] ${spike.series.label} <b>${spike.count}건</b> — ${versus}`;
+}
+
+// ── 화면 ─────────────────────────────────────────────────────────
+function setupTrends() {
+  document.getElementById("btn-trends").addEventListener("click", openTrends);
+  document.getElementById("trends-close").addEventListener("click", closeTrends);
+  document.getElementById("trends-modal").addEventListener("click", (e) => {
+    if (e.target === e.currentTarget) closeTrends();
+  });
+}
+
+function updateTrendBadge() {
+  const badge = document.getElementById("trends-count");
+  const count = latestTrendSpikes().length;
+  badge.textContent = count || "";
+  badge.className = `report-count ${count ? "has-error" : ""}`;
+}
+
+function openTrends() {
+  renderTrends();
+  document.getElementById("trends-modal").classList.add("open");
+}
+
+function closeTrends() {
+  document.getElementById("trends-modal").classList.remove("open");
+}
+
+function renderTrends() {
+  const body = document.getElementById("trends-body");
+  if (!trendData || trendData.days.length === 0) {
+    setHtml(body, html`<div class="empty-msg">일별 데이터 파일이 없습니다. data_YYYYMMDD.xlsx 파일을 series.json에 나열하세요.</div>`);
+    return;
+  }
+  const { files, days, series, spikes } = trendData;
+  const errors = files.filter((f) => f.error);
+  const spikeKeys = new Set(spikes.map((s) => s.series.key));
+  const table = (kind, title) => {
+    const list = series
+      .filter((s) => s.kind === kind)
+      .sort((a, b) => spikeKeys.has(b.key) - spikeKeys.has(a.key) || b.total - a.total)
+      .slice(0, TREND_TABLE_LIMIT);
+    if (list.length === 0) return "";
+    const rows = list.map((s) => {
+      const source = LOG_SOURCES[s.sourceKey];
+      return html`<tr class="${spikeKeys.has(s.key) ? "trend-spike-row" : ""}">
+        <td>${source ? (kind === "threat" ? source.type : source.label) : s.sourceKey}</td>
+        <td>${s.label}</td>
+        <td>${renderSparkline(s, days, spikes)}</td>
+        <td>${s.counts[days[days.length - 1]] || 0}</td>
+        <td>${s.total}</td>
+      </tr>`;
+    });
+    return html`<div class="rules-form-title">${title}</div>
+      <table class="detail-table asset-hit-table trend-table">
+        <tr><th>소스</th><th>${kind === "threat" ? "위협" : "룰"}</th><th>일별 건수</th><th>${days[days.length - 1].slice(5)}</th><th>합계</th></tr>
+        ${rows}
+      </table>`;
+  };
+
+  setHtml(body, html`
+    <p class="rules-hint">파일 ${days.length}개 (${days[0]} ~ ${days[days.length - 1]}) · 급증 기준: 직전 ${TREND_BASELINE_DAYS}일 평균의 ${TREND_SPIKE_RATIO}배 이상, ${TREND_MIN_COUNT}건 이상</p>
+    ${errors.length > 0 && html`<p class="rules-error">읽지 못한 파일: ${errors.map((f) => `${f.file} (${f.error})`).join(", ")}</p>`}
+    <div class="rules-form-title">⚠️ 급증 ${spikes.length}건</div>
+    ${spikes.length
+      ? html`<ul class="trend-spikes">${spikes.map((s) => html`<li><b>${s.day}</b> ${formatSpike(s)}</li>`)}</ul>`
+      : html`<p class="rules-hint">급증한 위협 · 룰이 없습니다.</p>`}
+    ${table("threat", "📰 위협별 일별 건수")}
+    ${table("rule", "📏 룰별 일별 건수")}`);
+}
+
+// 일별 막대 (급증일은 빨강, 파일이 없는 날은 빈칸)
+function renderSparkline(s, days, spikes) {
+  const barWidth = 10, gap = 2, height = 24;
+  const max = Math.max(1, ...days.map((d) => s.counts[d] || 0));
+  const spikeDays = new Set(spikes.filter((sp) => sp.series === s).map((sp) => sp.day));
+  const bars = days.map((day, i) => {
+    const count = s.counts[day] || 0;
+    const h = count === 0 ? 1 : Math.max(2, (count / max) * (height - 2));
+    return svg`<rect class="${spikeDays.has(day) ? "trend-bar spike" : "trend-bar"}" x="${i * (barWidth + gap)}" y="${height - h}" width="${barWidth}" height="${h}"><title>${day} ${count}건</title></rect>`;
+  });
+  return html`<svg class="trend-sparkline" width="${days.length * (barWidth + gap)}" height="${height}">${bars}</svg>`;
+}
@@ -0,0 +1,226 @@
+/**
+ * 분석 상태 모듈 (index.html 🗂 분석 현황 모달)
+ *
+ * 탐지마다 분석가가 상태 · 담당자 · 메모를 남기고, 바뀔 때마다 이력을 쌓는다.
+ *   상태: 신규(기본) → 조사중 → 오탐 | 종결
+ * 탐지 id는 로드마다 새로 매겨지므로 detectionKey(load-diff.js — 소스 · 매칭 방식 · 기사 제목)로 저장해
+ * 데이터를 새로고침해도 같은 탐지에 상태가 이어진다. 저장은 localStorage,
+ * 근무 교대 인수인계는 [내보내기]한 JSON 파일을 다른 PC에서 [가져오기] — 같은 탐지는 나중에 수정한 쪽을 쓰고 이력은 합친다.
+ */
+
+const TRIAGE_STORAGE_KEY = "threat-trend.triage";
+const TRIAGE_STATUSES = [
+  { label: "신규", className: "new" },
+  { label: "조사중", className: "investigating" },
+  { label: "오탐", className: "false-positive" },
+  { label: "종결", className: "closed" },
+];
+const TRIAGE_FIELDS = { status: "상태", assignee: "담당자", notes: "메모" };
+
+// key → { status, assignee, notes, label, updatedAt, history: [{ at, field, from, to }] }
+// 프로토타입 없는 객체 — 가져온 파일의 "__proto__" · "constructor" 같은 키도 보통 키로만 다룬다
+let triageStore = loadTriageStore();
+let triageTarget = null; // 모달에서 편집 중인 { key, label }
+let triageList = [];     // 모달 목록의 [key, record] (행 클릭 → 편집)
+
+function loadTriageStore() {
+  try {
+    const raw = localStorage.getItem(TRIAGE_STORAGE_KEY);
+    return raw ? normalizeTriage(JSON.parse(raw)) : Object.create(null);
+  } catch (_) {
+    return Object.create(null);
+  }
+}
+
+function saveTriageStore() {
+  localStorage.setItem(TRIAGE_STORAGE_KEY, JSON.stringify(triageStore));
+}
+
+function triageRecord(key) {
+  return triageStore[key] || { status: TRIAGE_STATUSES[0].label, assignee: "", notes: "", label: "", updatedAt: null, history: [] };
+}
+
+function triageFor(d) {
+  return triageRecord(detectionKey(d, activeThreats));
+}
+
+// 바뀐 항목만 이력에 남기고 저장 (바뀐 것이 없으면 false)
+function updateTriage(key, label, changes) {
+  const record = triageRecord(key);
+  const at = Date.now();
+  const history = Object.keys(TRIAGE_FIELDS)
+    .filter((field) => changes[field] !== undefined && changes[field] !== record[field])
+    .map((field) => ({ at, field, from: record[field], to: changes[field] }));
+  if (history.length === 0) return false;
+  triageStore[key] = { ...record, ...changes, label, updatedAt: at, history: [...record.history, ...history] };
+  saveTriageStore();
+  return true;
+}
+
+// 파일 · 저장본 형식 검증 — { records: { key: record } } 또는 key → record (잘못된 형식이면 Error)
+function normalizeTriage(obj) {
+  const records = obj && typeof obj === "object" && obj.records ? obj.records : obj;
+  if (!records || typeof records !== "object" || Array.isArray(records)) {
+    throw new Error("분석 상태 파일 형식이 올바르지 않습니다");
+  }
+  const statuses = TRIAGE_STATUSES.map((s) => s.label);
+  return Object.assign(Object.create(null), Object.fromEntries(Object.entries(records).filter(([, r]) => r && typeof r === "object").map(([key, r]) => [key, {
+    status: statuses.includes(r.status) ? r.status : statuses[0],
+    assignee: String(r.assignee || ""),
+    notes: String(r.notes || ""),
+    label: String(r.label || ""),
+    updatedAt: +r.updatedAt || null,
+    history: (Array.isArray(r.history) ? r.history : [])
+      .filter((h) => h && TRIAGE_FIELDS[h.field])
+      .map((h) => ({ at: +h.at || null, field: h.field, from: String(h.from ?? ""), to: String(h.to ?? "") })),
+  }])));
+}
+
+// 가져온 기록 합치기 — 같은 탐지는 updatedAt이 늦은 쪽, 이력은 합쳐 시각순 → 반영한 탐지 수
+function mergeTriage(records) {
+  let merged = 0;
+  Object.entries(records).forEach(([key, incoming]) => {
+    const current = triageStore[key];
+    const newer = !current || (incoming.updatedAt || 0) > (current.updatedAt || 0) ? incoming : current;
+    const seen = new Set();
+    const history = [...(current ? current.history : []), ...incoming.history]
+      .filter((h) => {
+        const id = `${h.at}|${h.field}|${h.to}`;
+        return seen.has(id) ? false : seen.add(id);
+      })
+      .sort((a, b) => (a.at || 0) - (b.at || 0));
+    if (newer === incoming || history.length !== current.history.length) merged++;
+    triageStore[key] = { ...newer, history };
+  });
+  saveTriageStore();
+  return merged;
+}
+
+// ── 화면 ─────────────────────────────────────────────────────────
+function setupTriage() {
+  document.getElementById("btn-triage").addEventListener("click", () => openTriage(null));
+  document.getElementById("triage-close").addEventListener("click", closeTriage);
+  document.getElementById("triage-modal").addEventListener("click", (e) => {
+    if (e.target === e.currentTarget) closeTriage();
+  });
+  document.getElementById("triage-export").addEventListener("click", exportTriage);
+  document.getElementById("triage-import").addEventListener("click", () => {
+    document.getElementById("triage-file-input").click();
+  });
+  document.getElementById("triage-file-input").addEventListener("change", (e) => {
+    importTriageFile(e.target.files[0]);
+    e.target.value = "";
+  });
+  document.getElementById("triage-body").addEventListener("click", (e) => {
+    if (e.target.id === "triage-save") return saveTriageForm();
+    const row = e.target.closest("tr[data-index]");
+    if (!row) return;
+    const [key, record] = triageList[+row.dataset.index];
+    triageTarget = { key, label: record.label };
+    renderTriage();
+  });
+}
+
+// detection이 없으면 목록만
+function openTriage(detection) {
+  triageTarget = detection ? { key: detectionKey(detection, activeThreats), label: detection.label } : null;
+  setTriageStatus("");
+  renderTriage();
+  document.getElementById("triage-modal").classList.add("open");
+}
+
+function closeTriage() {
+  document.getElementById("triage-modal").classList.remove("open");
+}
+
+function renderTriage() {
+  triageList = Object.entries(triageStore).sort(([, a], [, b]) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  const counts = TRIAGE_STATUSES.map((s) => `${s.label} ${triageList.filter(([, r]) => r.status === s.label).length}`).join(" · ");
+  const rows = triageList.map(([key, r], i) => html`<tr data-index="${i}" class="${triageTarget && triageTarget.key === key ? "active" : ""}">
+    <td>${formatTriageStatus(r.status)}</td><td>${r.assignee || "-"}</td><td title="${r.label}">${r.label}</td><td>${formatTimestamp(r.updatedAt, "short")}</td>
+  </tr>`);
+
+  setHtml(document.getElementById("triage-body"), html`
+    ${triageTarget && renderTriageForm(triageTarget)}
+    <div class="rules-form-title">🗂 분석 기록 ${triageList.length}건 <small class="rules-hint">(${counts})</small></div>
+    ${triageList.length
+      ? html`<table class="detail-table asset-hit-table triage-table">
+          <tr><th>상태</th><th>담당자</th><th>탐지</th><th>수정</th></tr>
+          ${rows}
+        </table>`
+      : html`<p class="rules-hint">아직 분석 기록이 없습니다. 탐지현황 항목을 눌러 챗봇 카드의 <b>🗂 분석 상태</b>에서 기록하세요.</p>`}`);
+}
+
+function renderTriageForm({ key, label }) {
+  const record = triageRecord(key);
+  const history = [...record.history].reverse().map((h) => html`<li>${formatTimestamp(h.at, "short")} · ${TRIAGE_FIELDS[h.field]}: ${h.field === "notes" ? "수정" : html`${h.from || "-"} → <b>${h.to || "-"}</b>`}</li>`);
+  return html`<div class="triage-form">
+    <div class="rules-form-title">${label}</div>
+    <label class="rules-label">상태</label>
+    <select id="triage-status-select" class="rules-input">
+      ${TRIAGE_STATUSES.map((s) => html`<option value="${s.label}" ${s.label === record.status ? "selected" : ""}>${s.label}</option>`)}
+    </select>
+    <label class="rules-label">담당자</label>
+    <input id="triage-assignee" class="rules-input" value="${record.assignee}" />
+    <label class="rules-label">메모</label>
+    <textarea id="triage-notes" class="rules-input" rows="4">${record.notes}</textarea>
+    <button class="btn-primary" id="triage-save">저장</button>
+    ${history.length > 0 && html`<label class="rules-label">변경 이력</label><ul class="triage-history">${history}</ul>`}
+  </div>`;
+}
+
+function saveTriageForm() {
+  const changed = updateTriage(triageTarget.key, triageTarget.label, {
+    status: document.getElementById("triage-status-select").value,
+    assignee: document.getElementById("triage-assignee").value.trim(),
+    notes: document.getElementById("triage-notes").value.trim(),
+  });
+  setTriageStatus(changed ? "저장했습니다" : "바뀐 내용이 없습니다", changed ? "success" : "");
+  renderTriage();
+  if (changed) renderDetections();
+}
+
+function formatTriageStatus(status) {
+  const s = TRIAGE_STATUSES.find((x) => x.label === status) || TRIAGE_STATUSES[0];
+  return html`<span class="triage-badge triage-${s.className}">${s.label}</span>`;
+}
+
+// 탐지현황 항목 배지 — 기록이 있을 때만
+function formatTriageBadge(d) {
+  const key = detectionKey(d, activeThreats);
+  if (!triageStore[key]) return "";
+  const record = triageStore[key];
+  return html` <span title="${record.assignee ? `담당 ${record.assignee}` : "분석 상태"}">${formatTriageStatus(record.status)}</span>`;
+}
+
+function exportTriage() {
+  const data = { version: 1, exportedAt: formatTimestamp(Date.now()), records: triageStore };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `triage_${formatTimestamp(Date.now(), "date").replace(/-/g, "")}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+function importTriageFile(file) {
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      const merged = mergeTriage(normalizeTriage(JSON.parse(e.target.result)));
+      renderTriage();
+      renderDetections();
+      setTriageStatus(`${file.name} — ${merged}건 반영`, "success");
+    } catch (err) {
+      setTriageStatus(`분석 상태 파일 오류: ${err.message}`, "error");
+    }
+  };
+  reader.readAsText(file);
+}
+
+function setTriageStatus(text, kind = "") {
+  const el = document.getElementById("triage-status");
+  el.textContent = text;
+  el.className = `excel-status ${kind}`;
+}
@@ -0,0 +1,176 @@
+/**
+ * 가져오기 검증 모듈 (data.xlsx / assets.xlsx)
+ *
+ * 데이터 준비가 수작업이므로, 대시보드 결과를 믿기 전에 엑셀의 문제를 찾아 리포트로 만든다.
+ *   - 인식한 시트 / 무시한 시트 (시트명이 조금 다른 경우 안내)
+ *   - 헤더에서 찾지 못한 컬럼
+ *   - 날짜 · 제목 · IP 등이 없어 제외되었거나 필수값이 빠진 행
+ *   - 해석할 수 없는 날짜
+ *   - 형식이 잘못된 IP / MAC
+ *   - 숫자가 아닌 Risk Score / 탐지 개수
+ *
+ * 리포트 형식:
+ * {
+ *   file: "data.xlsx",
+ *   sheets: [{ name, status: "인식" | "무시", rows, note }],
+ *   issues: [{ sheet, row, column, value, level: "오류" | "경고", problem }],
+ * }
+ * row는 엑셀 행 번호(1부터), 시트 전체 문제면 "".
+ */
+
+// ── data.xlsx ─────────────────────────────────────────────────────
+function validateLogWorkbook(wb, file = "data.xlsx") {
+  const report = { file, sheets: [], issues: [] };
+  const logSheets = Object.fromEntries(logSourceKeys().filter((key) => LOG_SOURCES[key].sheet).map((key) => [LOG_SOURCES[key].sheet, key]));
+
+  wb.SheetNames.forEach((name) => {
+    if (name.startsWith("뉴스기사")) {
+      const a1 = wb.Sheets[name]["A1"];
+      const ok = a1 && String(a1.v).trim();
+      report.sheets.push({ name, status: "인식", rows: ok ? 1 : 0, note: "뉴스기사" });
+      if (!ok) addIssue(report, name, 1, "A1", "", "오류", "기사 텍스트(A1)가 비어 있어 제외");
+      return;
+    }
+    if (logSheets[name]) return; // 아래에서 처리
+    const similar = Object.keys(logSheets).find((s) => norm(s) === norm(name));
+    report.sheets.push({
+      name,
+      status: "무시",
+      rows: "",
+      note: similar ? `시트명을 "${similar}"(으)로 바꾸면 인식됩니다` : "인식하지 않는 시트명",
+    });
+  });
+
+  logSourceKeys().forEach((sourceKey) => validateLogSheet(wb, sourceKey, report));
+  report.sheets.sort((a, b) => wb.SheetNames.indexOf(a.name) - wb.SheetNames.indexOf(b.name));
+  return report;
+}
+
+function validateLogSheet(wb, sourceKey, report) {
+  const sheet = readLogSheet(wb, sourceKey);
+  if (sheet) validateLogRows(sheet, sourceKey, report);
+}
+
+// readLogSheet / readLogFile 결과(같은 형식) 1개의 행 검사
+function validateLogRows(sheet, sourceKey, report) {
+  const { columns, checks, keyFields } = LOG_SOURCES[sourceKey];
+  if (!columns) {
+    // 파일로 추가된 새 소스 — 컬럼 정의가 없으므로 행 수만 기록
+    report.sheets.push({ name: sheet.report.sheet, status: "인식", rows: sheet.rows.length, note: sheet.note || LOG_SOURCES[sourceKey].label });
+    return;
+  }
+  const name = sheet.report.sheet;
+  const label = (key) => columns[key][0];
+
+  if (sheet.report.positional) {
+    addIssue(report, name, "", "", "", "경고", "헤더를 인식하지 못해 기본 열 순서로 읽음");
+  }
+  sheet.report.missing.forEach((column) => addIssue(report, name, sheet.report.headerRow, column, "", "경고", "컬럼 없음"));
+
+  let kept = 0;
+  sheet.rows.forEach((v, i) => {
+    const row = sheet.report.headerRow + 1 + i;
+    if (isBlankRow(sheet.cells[i])) return;
+
+    if (isEmptyLogRow(v, sourceKey)) {
+      const keys = keyFields.map(label).join(" · ");
+      addIssue(report, name, row, keys, "", "오류", `${keys} 모두 없음 — 행 제외`);
+      return;
+    }
+    kept++;
+
+    checks.required.forEach((key) => {
+      if (isBlank(v(key))) addIssue(report, name, row, label(key), "", "경고", "필수값 없음");
+    });
+    checks.dates.forEach((key) => {
+      const value = v(key);
+      if (!isBlank(value) && !isParseableDate(value)) addIssue(report, name, row, label(key), value, "오류", "날짜 해석 불가");
+    });
+    checks.ips.forEach((key) => {
+      const value = v(key);
+      if (!isBlank(value) && !isValidIPList(value)) addIssue(report, name, row, label(key), value, "오류", "IP 형식 오류");
+    });
+    checks.numbers.forEach((key) => {
+      const value = v(key);
+      if (!isBlank(value) && isNaN(+value)) addIssue(report, name, row, label(key), value, "오류", "숫자 아님");
+    });
+  });
+
+  report.sheets.push({ name, status: "인식", rows: kept, note: sheet.note || LOG_SOURCES[sourceKey].label });
+}
+
+// ── assets.xlsx ───────────────────────────────────────────────────
+function validateAssetsData(data, file = "assets.xlsx") {
+  const wb = XLSX.read(data, { type: "array" });
+  const report = { file, sheets: [], issues: [] };
+  const sheet = readAssetSheet(wb);
+  const used = sheet ? sheet.sheetName : wb.SheetNames[0];
+
+  wb.SheetNames.forEach((name) => {
+    if (name !== used) report.sheets.push({ name, status: "무시", rows: "", note: "자산 시트로 선택되지 않음" });
+  });
+  if (!sheet) {
+    report.sheets.unshift({ name: used, status: "인식", rows: 0, note: "데이터 행 없음" });
+    return report;
+  }
+
+  const { rows, headerRowIdx, col } = sheet;
+  const headerRow = headerRowIdx + 1;
+  if (col.ip === -1) addIssue(report, used, headerRow, "IP", "", "경고", "컬럼 없음");
+  if (col.hostname === -1) addIssue(report, used, headerRow, "호스트명", "", "경고", "컬럼 없음");
+  if (col.mac === -1) addIssue(report, used, headerRow, "MAC", "", "경고", "컬럼 없음");
+
+  let kept = 0;
+  for (let i = headerRowIdx + 1; i < rows.length; i++) {
+    const r = rows[i];
+    if (isBlankRow(r)) continue;
+    const ip = get(r, col.ip);
+    const mac = get(r, col.mac);
+    if (!ip && !get(r, col.hostname)) {
+      addIssue(report, used, i + 1, "IP · 호스트명", "", "오류", "IP · 호스트명 모두 없음 — 행 제외");
+      continue;
+    }
+    kept++;
+    if (ip && !isValidIPList(ip)) addIssue(report, used, i + 1, "IP", ip, "오류", "IP 형식 오류");
+    if (mac && !isValidMAC(mac)) addIssue(report, used, i + 1, "MAC", mac, "오류", "MAC 형식 오류");
+  }
+
+  report.sheets.unshift({ name: used, status: "인식", rows: kept, note: "자산 목록" });
+  return report;
+}
+
+// ── 형식 검사 ─────────────────────────────────────────────────────
+// Date 객체, 엑셀 일련번호, "2026-02-24 09:10", "2026.02.24", "24 Feb 2026" 등 (time.js가 해석하는 형식)
+function isParseableDate(value) {
+  return parseTimestamp(value) !== null;
+}
+
+// "10.1.2.3", "121.254.1.2(CN)", "10.1.2.3, 10.1.2.4"
+function isValidIPList(value) {
+  return String(value)
+    .replace(/\([^)]*\)/g, "")
+    .split(/[,;\s]+/)
+    .filter(Boolean)
+    .every(isIPv4);
+}
+
+// 00:1A:2B:3C:4D:5E, 00-1A-2B-3C-4D-5E, 001A.2B3C.4D5E, 001A2B3C4D5E
+function isValidMAC(value) {
+  const s = String(value).trim();
+  return /^[0-9a-f]{2}([:-])(?:[0-9a-f]{2}\1){4}[0-9a-f]{2}$/i.test(s) ||
+    /^[0-9a-f]{4}\.[0-9a-f]{4}\.[0-9a-f]{4}$/i.test(s) ||
+    /^[0-9a-f]{12}$/i.test(s);
+}
+
+function isBlank(value) {
+  return value === "" || value === null || value === undefined || String(value).trim() === "";
+}
+
+function isBlankRow(row) {
+  return !row || row.every(isBlank);
+}
+
+function addIssue(report, sheet, row, column, value, level, problem) {
+  const text = value instanceof Date ? formatTimeValue(value) : String(value ?? "");
+  report.issues.push({ sheet, row, column, value: text, level, problem });
+}